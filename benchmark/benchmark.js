@@ -0,0 +1,104 @@
+import { Score } from '../modules/score.js';
+import { MelodyPatternRenderer } from '../modules/melodyPattern.js';
+
+/**
+ * 合成した演奏情報を生成する
+ * @param {number} noteCount ノート数
+ * @param {number} duration 演奏時間（秒）
+ * @returns {Score}
+ */
+function createSyntheticScore(noteCount, duration) {
+    const midi = new Midi();
+    midi.header.setTempo(120);
+    midi.header.timeSignatures.push({ ticks: 0, timeSignature: [4, 4] });
+    midi.header.update();
+
+    const ppq = midi.header.ppq;
+    const totalTicks = Math.round(duration * 2 * ppq);
+    const trackCount = 8;
+
+    for (let trackIndex = 0; trackIndex < trackCount; ++trackIndex) {
+        const track = midi.addTrack();
+        const trackNoteCount = Math.ceil(noteCount / trackCount);
+        for (let noteIndex = 0; noteIndex < trackNoteCount; ++noteIndex) {
+            track.addNote({
+                midi: 36 + (noteIndex * 7 + trackIndex * 5) % 60,
+                ticks: Math.floor(noteIndex * totalTicks / trackNoteCount),
+                durationTicks: ppq / 2 + (noteIndex % 4) * ppq / 2,
+                velocity: 0.5 + 0.5 * ((noteIndex % 5) / 4),
+            });
+        }
+    }
+
+    // パーカッション（ノート数の1/4）
+    const drumTrack = midi.addTrack();
+    drumTrack.channel = 9;
+    const drumCount = Math.ceil(noteCount / 4);
+    for (let drumIndex = 0; drumIndex < drumCount; ++drumIndex) {
+        drumTrack.addNote({
+            midi: [36, 38, 42, 46][drumIndex % 4],
+            ticks: Math.floor(drumIndex * totalTicks / drumCount),
+            durationTicks: ppq / 4,
+            velocity: 0.8,
+        });
+    }
+
+    // 読み込み時と同じ経路を通すため一度バイト列にする
+    return new Score(`synthetic-${noteCount}`, new Midi(midi.toArray()));
+}
+
+/**
+ * @param {number[]} values
+ * @param {number} ratio
+ */
+function percentile(values, ratio) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(ratio * sorted.length))];
+}
+
+window.addEventListener('load', e => {
+    const params = new URLSearchParams(location.search);
+    const noteCounts = (params.get('notes') || '10000,30000,100000').split(',').map(Number);
+    const frameCount = Number(params.get('frames') || 300);
+    const magnification = Number(params.get('magnification') || 25);
+    const duration = 120;
+
+    const canvas = document.getElementById('benchmark-canvas');
+    const resultPre = document.getElementById('result-pre');
+
+    const renderer = new MelodyPatternRenderer({ key: 0, currentTime: 0 }, canvas);
+    renderer.noteMagnification = magnification;
+
+    const lines = [
+        `frames=${frameCount} magnification=${magnification}% canvas=${canvas.width}x${canvas.height}`,
+        'notes\tmean(ms)\tmedian(ms)\tp95(ms)\tmax(ms)',
+    ];
+    for (const noteCount of noteCounts) {
+        const score = createSyntheticScore(noteCount, duration);
+        renderer.apply(score);
+
+        // 曲の中ほどから60fps相当で進める
+        const startTime = 0.5 * duration;
+        renderer.render(startTime);
+
+        const times = [];
+        for (let frame = 0; frame < frameCount; ++frame) {
+            const time = startTime + frame / 60;
+
+            const begin = performance.now();
+            renderer.render(time);
+            times.push(performance.now() - begin);
+        }
+
+        const mean = times.reduce((sum, time) => sum + time, 0) / times.length;
+        lines.push([
+            noteCount,
+            mean.toFixed(3),
+            percentile(times, 0.5).toFixed(3),
+            percentile(times, 0.95).toFixed(3),
+            Math.max(...times).toFixed(3),
+        ].join('\t'));
+    }
+
+    resultPre.textContent = lines.join('\n');
+});
@@ -0,0 +1,202 @@
+// 同梱のサンプル曲を同梱のMidi.jsで書き出す（一覧はmodules/examples.js）
+// 使い方: node examples/generate.js
+import { createRequire } from "node:module";
+import { writeFileSync } from "node:fs";
+
+const require = createRequire(import.meta.url);
+const { Midi } = require("../third-parties/Midi/Midi.js");
+
+const beat = 480;
+const measure = 4 * beat;
+
+/**
+ * @param {string} name
+ * @param {number} bpm
+ * @param {(midi: Midi) => void} build
+ */
+function write(name, bpm, build) {
+    const midi = new Midi();
+    midi.header.tempos.push({ ticks: 0, bpm: bpm });
+    midi.header.timeSignatures.push({ ticks: 0, timeSignature: [4, 4] });
+    midi.header.update();
+    build(midi);
+    writeFileSync(new URL(name, import.meta.url), midi.toArray());
+}
+
+/**
+ * @param {Midi} midi
+ * @param {string} name
+ * @param {number} program GMの音色番号
+ * @param {number} channel
+ */
+function addTrack(midi, name, program, channel) {
+    const track = midi.addTrack();
+    track.name = name;
+    track.channel = channel;
+    track.instrument.number = program;
+    return track;
+}
+
+/**
+ * 同じ長さの音を順に並べる
+ * @param {Track} track
+ * @param {number[]} pitches
+ * @param {number} durationTicks
+ * @param {number} startTicks
+ * @returns {number} 終わりのtick
+ */
+function addSequence(track, pitches, durationTicks, startTicks = 0) {
+    pitches.forEach((pitch, index) => {
+        track.addNote({ midi: pitch, ticks: startTicks + durationTicks * index, durationTicks: durationTicks, velocity: 0.7 });
+    });
+    return startTicks + durationTicks * pitches.length;
+}
+
+/**
+ * 和音を順に並べる
+ * @param {Track} track
+ * @param {number[][]} chords
+ * @param {number} durationTicks
+ * @param {number} startTicks
+ */
+function addChords(track, chords, durationTicks, startTicks = 0) {
+    chords.forEach((chord, index) => {
+        for (const pitch of chord) {
+            track.addNote({ midi: pitch, ticks: startTicks + durationTicks * index, durationTicks: durationTicks, velocity: 0.5 });
+        }
+    });
+}
+
+/**
+ * 上行して同じ音階で下行する
+ * @param {number[]} pitches
+ */
+function upAndDown(pitches) {
+    return [...pitches, ...pitches.slice(0, -1).reverse()];
+}
+
+
+write("c-major-scale.mid", 100, midi => {
+    const track = addTrack(midi, "Scale", 0, 0);
+    addSequence(track, upAndDown([60, 62, 64, 65, 67, 69, 71, 72]), beat);
+});
+
+// 自然・和声・旋律的短音階の順（旋律的短音階は下行で自然短音階に戻る）
+write("a-minor-scales.mid", 100, midi => {
+    const track = addTrack(midi, "Scale", 0, 0);
+    let ticks = addSequence(track, upAndDown([57, 59, 60, 62, 64, 65, 67, 69]), beat);
+    ticks = addSequence(track, upAndDown([57, 59, 60, 62, 64, 65, 68, 69]), beat, ticks + beat);
+    ticks = addSequence(track, [57, 59, 60, 62, 64, 66, 68, 69], beat, ticks + beat);
+    addSequence(track, [67, 65, 64, 62, 60, 59, 57], beat, ticks);
+});
+
+write("chromatic-scale.mid", 100, midi => {
+    const track = addTrack(midi, "Scale", 0, 0);
+    addSequence(track, upAndDown(Array.from({ length: 13 }, (_, index) => 60 + index)), beat / 2);
+});
+
+write("whole-tone-scale.mid", 100, midi => {
+    const track = addTrack(midi, "Scale", 0, 0);
+    addSequence(track, upAndDown([60, 62, 64, 66, 68, 70, 72]), beat);
+});
+
+// 完全終止・変格終止・偽終止を1小節ずつ空けて並べる
+write("cadences.mid", 80, midi => {
+    const chords = addTrack(midi, "Chords", 0, 0);
+    const bass = addTrack(midi, "Bass", 32, 1);
+    const C = [60, 64, 67];
+    const F = [60, 65, 69];
+    const G7 = [59, 62, 65, 67];
+    const Am = [60, 64, 69];
+    const progressions = [
+        { chords: [C, F, G7, C], roots: [48, 41, 43, 36] },
+        { chords: [C, F, C], roots: [48, 41, 36] },
+        { chords: [C, F, G7, Am], roots: [48, 41, 43, 45] },
+    ];
+    let ticks = 0;
+    for (const progression of progressions) {
+        addChords(chords, progression.chords, measure, ticks);
+        addSequence(bass, progression.roots, measure, ticks);
+        ticks += (progression.chords.length + 1) * measure;
+    }
+});
+
+// パッヘルベルのカノンの和音進行と最上声
+write("canon-progression.mid", 72, midi => {
+    const melody = addTrack(midi, "Melody", 40, 0);
+    const chords = addTrack(midi, "Chords", 0, 1);
+    const bass = addTrack(midi, "Bass", 42, 2);
+    const progression = [[62, 66, 69], [61, 64, 69], [62, 66, 71], [61, 66, 69], [62, 67, 71], [62, 66, 69], [62, 67, 71], [61, 64, 69]];
+    for (let repeat = 0; repeat < 2; ++repeat) {
+        const ticks = repeat * 4 * measure;
+        addSequence(melody, [78, 76, 74, 73, 71, 69, 71, 73], 2 * beat, ticks);
+        addChords(chords, progression, 2 * beat, ticks);
+        addSequence(bass, [50, 45, 47, 42, 43, 38, 43, 45], 2 * beat, ticks);
+    }
+    melody.addNote({ midi: 74, ticks: 8 * measure, durationTicks: measure, velocity: 0.7 });
+    addChords(chords, [[62, 66, 69]], measure, 8 * measure);
+    addSequence(bass, [38], measure, 8 * measure);
+});
+
+// IIm7–V7–Imaj7–I（上声は共通音を保つ）
+write("two-five-one.mid", 120, midi => {
+    const chords = addTrack(midi, "Chords", 0, 0);
+    const bass = addTrack(midi, "Bass", 32, 1);
+    const drums = addTrack(midi, "Drums", 0, 9);
+    for (let repeat = 0; repeat < 2; ++repeat) {
+        const ticks = repeat * 4 * measure;
+        addChords(chords, [[60, 65, 69], [59, 62, 65], [59, 64, 67], [60, 64, 67]], measure, ticks);
+        addSequence(bass, [38, 43, 36, 36], measure, ticks);
+    }
+    for (let index = 0; index < 8 * 4; ++index) {
+        drums.addNote({ midi: 51, ticks: index * beat, durationTicks: beat / 4, velocity: 0.5 });
+        if (index % 2 === 1) {
+            drums.addNote({ midi: 44, ticks: index * beat, durationTicks: beat / 4, velocity: 0.5 });
+        }
+    }
+});
+
+// IV–V–IIIm–VIm
+write("royal-road-progression.mid", 90, midi => {
+    const chords = addTrack(midi, "Chords", 0, 0);
+    const bass = addTrack(midi, "Bass", 32, 1);
+    const progression = [[60, 65, 69], [59, 62, 67], [59, 64, 67], [60, 64, 69]];
+    for (let repeat = 0; repeat < 2; ++repeat) {
+        const ticks = repeat * 4 * measure;
+        addChords(chords, progression.flatMap(chord => [chord, chord]), 2 * beat, ticks);
+        addSequence(bass, [41, 43, 40, 45], measure, ticks);
+    }
+});
+
+// イ短調の全音階上で根音が4度ずつ上がる（5度ずつ下がる）進行
+write("circle-progression.mid", 90, midi => {
+    const chords = addTrack(midi, "Chords", 0, 0);
+    const bass = addTrack(midi, "Bass", 32, 1);
+    addChords(chords, [
+        [60, 64, 67], [60, 65, 69], [59, 62, 65], [59, 64, 67],
+        [60, 64, 69], [57, 62, 65], [56, 62, 64], [57, 60, 64],
+    ], measure);
+    addSequence(bass, [45, 38, 43, 36, 41, 47, 40, 45], measure);
+});
+
+// 和音の構成音を上下するベースとドラムを伴う12小節のブルース
+write("twelve-bar-blues.mid", 100, midi => {
+    const chords = addTrack(midi, "Chords", 0, 0);
+    const bass = addTrack(midi, "Bass", 32, 1);
+    const drums = addTrack(midi, "Drums", 0, 9);
+    const voicings = { 36: [60, 64, 67, 70], 41: [60, 63, 65, 69], 43: [59, 62, 65, 67] };
+    const roots = [36, 36, 36, 36, 41, 41, 36, 36, 43, 41, 36, 43];
+    roots.forEach((root, index) => {
+        const ticks = index * measure;
+        addChords(chords, [voicings[root]], measure, ticks);
+        addSequence(bass, [root, root + 4, root + 7, root + 4], beat, ticks);
+    });
+    for (let index = 0; index < roots.length * 8; ++index) {
+        const ticks = index * beat / 2;
+        drums.addNote({ midi: 42, ticks: ticks, durationTicks: beat / 4, velocity: 0.4 });
+        // 1・3拍目にキック、2・4拍目にスネア
+        if (index % 2 === 0) {
+            drums.addNote({ midi: (index % 4 === 0) ? 36 : 38, ticks: ticks, durationTicks: beat / 4, velocity: 0.8 });
+        }
+    }
+});
@@ -1,5 +1,17 @@
-import { initButtonGroup } from './modules/component.js';
-import { scoreFromFile, Vocal } from './modules/tune.js';
+import { downloadBlob, initButtonGroup, initPaletteEditor, initPlaylist, initTrackList, updateSelectOptions } from './modules/component.js';
+import { Score } from './modules/score.js';
+import { fetchScoreFile, scoreFromFile, Vocal } from './modules/tune.js';
+import { MidiOutput } from './modules/midiOutput.js';
+import { LiveInput } from './modules/liveInput.js';
+import { FrameExporter } from './modules/exporter.js';
+import { audioBufferToWav } from './modules/wav.js';
+import { Tuning } from './modules/tuning.js';
+import { AbcSyntaxError, midiFromAbc } from './modules/abc.js';
+import { analyzeHarmony, chordName, keyName } from './modules/harmony.js';
+import { palettes, themes } from './modules/colorScheme.js';
+import { SettingsStore } from './modules/settings.js';
+import { Playlist, scoreFilesFromDataTransfer, scoreFilesFromFileList } from './modules/playlist.js';
+import { exampleGroups } from './modules/examples.js';
 import { MelodyPatternRenderer } from './modules/melodyPattern.js';
 
 
@@ -10,23 +22,159 @@ window.addEventListener('load', e => {
     const melodyPanel = document.getElementById('melody-panel');
     /** @type {HTMLCanvasElement} */
     const melodyPanelCanvas = document.getElementById('melody-panel-canvas');
+    /** @type {HTMLSelectElement} */
+    const outputDeviceInput = document.getElementById('output-device-input');
     const midiFileDrop = document.getElementById('midi-file-drop');
     const fileNameDiv = document.getElementById('file-name-div');
+    /** @type {HTMLSelectElement} */
+    const exampleSelect = document.getElementById('example-select');
     const homeButton = document.getElementById('home-button');
     const playButton = document.getElementById('play-button');
     const keyDiv = document.getElementById('key-div');
     const upKeyButton = document.getElementById('up-key-button');
     const downKeyButton = document.getElementById('down-key-button');
+    const playbackRateDiv = document.getElementById('playback-rate-div');
+    const upPlaybackRateButton = document.getElementById('up-playback-rate-button');
+    const downPlaybackRateButton = document.getElementById('down-playback-rate-button');
+    const bpmDiv = document.getElementById('bpm-div');
+    const harmonyDiv = document.getElementById('harmony-div');
     const magnificationDiv = document.getElementById('magnification-div');
     const upMagnificationButton = document.getElementById('up-magnification-button');
     const downMagnificationButton = document.getElementById('down-magnification-button');
     const changeCircleModeButtonGroup = document.getElementById('change-circle-mode-button-group');
+    /** @type {HTMLSelectElement} */
+    const circlePresetSelect = document.getElementById('circle-preset-select');
+    /** @type {HTMLInputElement} */
+    const circleGeneratorInput = document.getElementById('circle-generator-input');
+    /** @type {HTMLInputElement} */
+    const circlePeriodInput = document.getElementById('circle-period-input');
+    /** @type {HTMLInputElement} */
+    const referencePitchInput = document.getElementById('reference-pitch-input');
+    /** @type {HTMLSelectElement} */
+    const tuningSelect = document.getElementById('tuning-select');
+    /** @type {HTMLSelectElement} */
+    const noteNamingSelect = document.getElementById('note-naming-select');
+    /** @type {HTMLInputElement} */
+    const octaveRingsInput = document.getElementById('octave-rings-input');
+    /** @type {HTMLSelectElement} */
+    const percussionViewSelect = document.getElementById('percussion-view-select');
+    /** @type {HTMLInputElement} */
+    const percussionHistoryInput = document.getElementById('percussion-history-input');
     const changeRenderingModeButtonGroup = document.getElementById('change-rendering-mode-button-group');
+    /** @type {HTMLSelectElement} */
+    const pianoRollOrderSelect = document.getElementById('piano-roll-order-select');
+    const changeSourceButtonGroup = document.getElementById('change-source-button-group');
+    const trackListDiv = document.getElementById('track-list-div');
+    /** @type {HTMLSelectElement} */
+    const colorStrategySelect = document.getElementById('color-strategy-select');
+    /** @type {HTMLSelectElement} */
+    const paletteSelect = document.getElementById('palette-select');
+    const paletteEditorDiv = document.getElementById('palette-editor-div');
+    /** @type {HTMLSelectElement} */
+    const themeSelect = document.getElementById('theme-select');
+    /** @type {HTMLInputElement} */
+    const seekInput = document.getElementById('seek-input');
+    const positionDiv = document.getElementById('position-div');
+    /** @type {HTMLInputElement} */
+    const measureInput = document.getElementById('measure-input');
+    const loopStartButton = document.getElementById('loop-start-button');
+    const loopEndButton = document.getElementById('loop-end-button');
+    const loopResetButton = document.getElementById('loop-reset-button');
+    const loopDiv = document.getElementById('loop-div');
+    /** @type {HTMLSelectElement} */
+    const exportFormatSelect = document.getElementById('export-format-select');
+    /** @type {HTMLSelectElement} */
+    const exportSizeSelect = document.getElementById('export-size-select');
+    /** @type {HTMLSelectElement} */
+    const exportFrameRateSelect = document.getElementById('export-frame-rate-select');
+    const exportVideoButton = document.getElementById('export-video-button');
+    const exportAudioButton = document.getElementById('export-audio-button');
+    const exportMidiButton = document.getElementById('export-midi-button');
+    const exportProgressDiv = document.getElementById('export-progress-div');
+    /** @type {HTMLTextAreaElement} */
+    const abcTextarea = document.getElementById('abc-textarea');
+    const abcApplyButton = document.getElementById('abc-apply-button');
+    const abcErrorDiv = document.getElementById('abc-error-div');
+    const playlistDetails = document.getElementById('playlist-details');
+    const previousEntryButton = document.getElementById('previous-entry-button');
+    const nextEntryButton = document.getElementById('next-entry-button');
+    /** @type {HTMLSelectElement} */
+    const repeatSelect = document.getElementById('repeat-select');
+    /** @type {HTMLInputElement} */
+    const playlistFolderInput = document.getElementById('playlist-folder-input');
+    const playlistClearButton = document.getElementById('playlist-clear-button');
+    const playlistList = document.getElementById('playlist-list');
 
     const vocal = new Vocal();
+    // 既定値は画面の初期状態に合わせる
+    const settings = new SettingsStore({
+        key: 0,
+        playbackRate: 1,
+        magnification: 100,
+        circleMode: 'circle of fifths',
+        circleGenerator: 7,
+        circlePeriod: 12,
+        referencePitch: 72,
+        tuning: '12-tet',
+        noteDirection: 'outward',
+        pianoRollOrder: 'chromatic',
+        noteNaming: 'letter',
+        octaveRings: false,
+        percussionView: 'row',
+        percussionHistory: 2,
+        colorStrategy: 'track',
+        palette: 'default',
+        customPalette: palettes.default.join(','),
+        theme: 'dark',
+        repeat: 'all',
+    });
+    const playlist = new Playlist();
+    // 共有されたURLを開いている画面に貼り付けた場合も、その設定で開き直す
+    window.addEventListener('hashchange', e => {
+        location.reload();
+    });
+
+    /**
+     * 選択肢にある場合のみ値を復元する
+     * @param {HTMLSelectElement | HTMLElement} element select要素またはボタングループ
+     * @param {string} value
+     */
+    function restoreChoice(element, value) {
+        const choices = (element instanceof HTMLSelectElement)
+            ? Array.from(element.options, option => option.value)
+            : Array.from(element.children, button => button.dataset.value);
+        if (!choices.includes(value)) return;
+
+        if (element instanceof HTMLSelectElement) {
+            element.value = value;
+        } else {
+            element.dataset.value = value;
+        }
+    }
+
     try {
         const renderer = new MelodyPatternRenderer(vocal, melodyPanelCanvas);
 
+        // 保存された設定を画面に反映する（値の適用は各入力の初期化時に行う）
+        vocal.key = settings.get('key');
+        vocal.playbackRate = settings.get('playbackRate');
+        renderer.noteMagnification = Math.max(25, settings.get('magnification'));
+        restoreChoice(changeCircleModeButtonGroup, settings.get('circleMode'));
+        circleGeneratorInput.value = settings.get('circleGenerator');
+        circlePeriodInput.value = settings.get('circlePeriod');
+        referencePitchInput.value = settings.get('referencePitch');
+        restoreChoice(tuningSelect, settings.get('tuning'));
+        restoreChoice(changeRenderingModeButtonGroup, settings.get('noteDirection'));
+        restoreChoice(pianoRollOrderSelect, settings.get('pianoRollOrder'));
+        restoreChoice(noteNamingSelect, settings.get('noteNaming'));
+        octaveRingsInput.checked = settings.get('octaveRings');
+        restoreChoice(percussionViewSelect, settings.get('percussionView'));
+        percussionHistoryInput.value = settings.get('percussionHistory');
+        restoreChoice(colorStrategySelect, settings.get('colorStrategy'));
+        restoreChoice(paletteSelect, settings.get('palette'));
+        restoreChoice(themeSelect, settings.get('theme'));
+        restoreChoice(repeatSelect, settings.get('repeat'));
+
         function updateKey() {
             const key = vocal.key;
             if (key > 0) {
@@ -36,41 +184,624 @@ window.addEventListener('load', e => {
             } else if (key < 0) {
                 keyDiv.textContent = '' + key;
             }
+            settings.set('key', key);
+            if (playlist.current !== null) {
+                playlist.current.key = key;
+            }
+        }
+        function updatePlaybackRate() {
+            playbackRateDiv.textContent = Math.round(vocal.playbackRate * 100) + '%';
+            settings.set('playbackRate', vocal.playbackRate);
+        }
+        function updateBpm() {
+            if (currentScore === null) {
+                bpmDiv.textContent = '';
+                return;
+            }
+
+            // 再生速度を反映した実際のテンポ
+            const bpm = currentScore.tempoAt(vocal.currentTime) * vocal.playbackRate;
+            bpmDiv.textContent = '♩=' + Math.round(bpm);
+        }
+        function updateHarmony() {
+            if (currentHarmony === null || sourceMode !== 'file') {
+                harmonyDiv.textContent = '';
+                return;
+            }
+
+            // 移調後の調・和音名
+            const transposition = Math.round(vocal.key);
+            const key = currentHarmony.keyAt(vocal.currentTime);
+            const chord = currentHarmony.chordAt(vocal.currentTime);
+            harmonyDiv.textContent = `${keyName(key, transposition)}　${chordName(chord, transposition)}`;
         }
         function updateToneMagnification() {
             magnificationDiv.textContent = renderer.noteMagnification + '%';
+            settings.set('magnification', renderer.noteMagnification);
+            if (playlist.current !== null) {
+                playlist.current.magnification = renderer.noteMagnification;
+            }
+        }
+
+        /**
+         * @param {Float32Array} color
+         */
+        function toCSSColor(color) {
+            const [r, g, b] = Array.from(color.subarray(0, 3), value => Math.round(255 * value));
+            return `rgb(${r}, ${g}, ${b})`;
+        }
+        // 出力先の選択肢の値（Tone.jsのシンセサイザ・既定の出力先）
+        const toneOutputValue = 'tone';
+        const defaultOutputValue = '';
+
+        function outputPortOptions() {
+            if (vocal.midiOutput === null) return [];
+
+            return vocal.midiOutput.ports.map(port => ({
+                value: port.id,
+                label: port.name,
+            }));
+        }
+        function trackOutputOptions() {
+            if (vocal.midiOutput === null) return [];
+
+            return [
+                { value: defaultOutputValue, label: '既定' },
+                { value: toneOutputValue, label: '内蔵シンセ' },
+                ...outputPortOptions(),
+            ];
+        }
+        function updateOutputDeviceInput() {
+            updateSelectOptions(outputDeviceInput, [
+                { value: toneOutputValue, label: '内蔵シンセ' },
+                ...outputPortOptions(),
+            ]);
+            outputDeviceInput.hidden = vocal.midiOutput === null;
+
+            // 切断されたポートが選択されていた場合は内蔵シンセに戻す
+            const portId = (outputDeviceInput.value === toneOutputValue) ? null : outputDeviceInput.value;
+            if (vocal.outputPortId !== portId) {
+                vocal.outputPortId = portId;
+            }
+
+            for (const select of trackListDiv.querySelectorAll('.track-output-select')) {
+                updateSelectOptions(select, trackOutputOptions());
+            }
         }
 
+        function updateTrackList(score) {
+            const colors = renderer.attackingColors;
+            const tracks = score.tracks.map((track, trackIndex) => ({
+                name: track.name || `Track ${trackIndex + 1}`,
+                instrument: track.instrument.name,
+                color: toCSSColor(colors[trackIndex % colors.length]),
+            }));
+            initTrackList(trackListDiv, tracks, trackOutputOptions(), (trackIndex, state) => {
+                vocal.setTrackMuted(trackIndex, state.muted);
+                vocal.setTrackSoloed(trackIndex, state.soloed);
+                switch (state.output) {
+                    case defaultOutputValue:
+                        vocal.setTrackOutput(trackIndex, undefined);
+                        break;
+                    case toneOutputValue:
+                        vocal.setTrackOutput(trackIndex, null);
+                        break;
+                    default:
+                        vocal.setTrackOutput(trackIndex, state.output);
+                        break;
+                }
+                if (state.hidden) {
+                    renderer.hiddenTracks.add(trackIndex);
+                } else {
+                    renderer.hiddenTracks.delete(trackIndex);
+                }
+            });
+            updateMargin();
+        }
+
+        // トラック一覧の状態を保ったまま色だけ更新する
+        function updateTrackColors() {
+            const colors = renderer.attackingColors;
+            trackListDiv.querySelectorAll('.track-color').forEach((span, trackIndex) => {
+                span.style.backgroundColor = toCSSColor(colors[trackIndex % colors.length]);
+            });
+        }
+
+        // 編集したパレット（編集を始めた時点のパレットの複製から変更する）
+        let customPalette = settings.get('customPalette').split(',');
+        if (!customPalette.every(color => /^#[0-9a-f]{6}$/i.test(color))) {
+            customPalette = palettes.default.slice();
+        }
+        function updatePalette() {
+            const palette = (paletteSelect.value === 'custom') ? customPalette : palettes[paletteSelect.value];
+            renderer.setPalette(palette);
+            initPaletteEditor(paletteEditorDiv, palette, colors => {
+                customPalette = colors;
+                paletteSelect.value = 'custom';
+                renderer.setPalette(colors);
+                updateTrackColors();
+                settings.set('palette', 'custom');
+                settings.set('customPalette', colors.join(','));
+            });
+            updateTrackColors();
+            settings.set('palette', paletteSelect.value);
+        }
+        function updateTheme() {
+            renderer.applyTheme(themes[themeSelect.value]);
+            app.classList.toggle('light-theme', themeSelect.value === 'light');
+            updateTrackColors();
+            settings.set('theme', themeSelect.value);
+        }
+        function updateColorStrategy() {
+            renderer.colorStrategy = colorStrategySelect.value;
+            settings.set('colorStrategy', colorStrategySelect.value);
+        }
+        colorStrategySelect.addEventListener('change', updateColorStrategy);
+        paletteSelect.addEventListener('change', updatePalette);
+        themeSelect.addEventListener('change', updateTheme);
+        updateColorStrategy();
+        updatePalette();
+        updateTheme();
+
+        /** @type {Score?} */
+        let currentScore = null;
+        /** @type {HarmonyAnalysis?} */
+        let currentHarmony = null;
+        /** @type {LiveInput?} */
+        let liveInput = null;
+        let sourceMode = 'file';
+
+        /**
+         * @param {File} file
+         * @returns {Promise<boolean>} 読み込めたか
+         */
         async function loadFile(file) {
-            const score = await scoreFromFile(file);
-            fileNameDiv.textContent = score.name;
+            let score;
+            try {
+                score = await scoreFromFile(file);
+            } catch (error) {
+                fileNameDiv.textContent = `${file.name}（読み込みに失敗しました：${error.message}）`;
+                return false;
+            }
+            await applyScore(score);
+            return true;
+        }
+
+        /**
+         * @param {Score} score
+         */
+        async function applyScore(score) {
+            currentScore = score;
+            currentHarmony = analyzeHarmony(score);
+            renderer.harmony = currentHarmony;
 
-            vocal.apply(score);
-            renderer.apply(score);
+            await vocal.apply(score);
+            resetLoop();
+            if (sourceMode === 'file') {
+                fileNameDiv.textContent = score.name;
+                renderer.apply(score);
+                updateTrackList(score);
+            }
 
             updateKey();
             playButton.classList.toggle('playing', false);
         }
 
+        async function changeSource(value) {
+            sourceMode = value;
+            switch (value) {
+                case 'file':
+                    if (liveInput !== null) {
+                        liveInput.close();
+                        liveInput = null;
+                    }
+                    renderer.apply(currentScore);
+                    if (currentScore !== null) {
+                        fileNameDiv.textContent = currentScore.name;
+                        updateTrackList(currentScore);
+                    } else {
+                        fileNameDiv.textContent = '';
+                    }
+                    break;
+                case 'live':
+                    if (vocal.playing) {
+                        await vocal.togglePlaying();
+                        playButton.classList.toggle('playing', false);
+                    }
+                    trackListDiv.textContent = '';
+                    updateMargin();
+
+                    if (liveInput === null) {
+                        liveInput = await LiveInput.request();
+                    }
+                    if (liveInput === null) {
+                        fileNameDiv.textContent = 'MIDI入力が利用できません';
+                        break;
+                    }
+                    fileNameDiv.textContent = liveInput.name;
+                    renderer.applyLiveInput(liveInput);
+                    break;
+            }
+        }
+
+        function updatePlaylist() {
+            initPlaylist(playlistList, playlist.entries.map(entry => entry.name), playlist.index, async (action, index) => {
+                switch (action) {
+                    case 'select':
+                        await openEntry(index, vocal.playing);
+                        break;
+                    case 'up':
+                        playlist.move(index, index - 1);
+                        break;
+                    case 'down':
+                        playlist.move(index, index + 1);
+                        break;
+                    case 'remove':
+                        playlist.remove(index);
+                        updateRepeat();
+                        break;
+                }
+                updatePlaylist();
+            });
+            updateMargin();
+        }
+        function updateRepeat() {
+            // 次の曲が同じ曲になる場合は読み込み直さずにループする
+            vocal.repeat = repeatSelect.value === 'one' || (repeatSelect.value !== 'off' && playlist.length <= 1);
+        }
+
+        /**
+         * プレイリストの曲を開く（移調量・表示倍率は曲ごとに記憶した値に戻す）
+         * @param {number} index
+         * @param {boolean} autoplay 読み込み後に再生するか
+         */
+        async function openEntry(index, autoplay) {
+            playlist.select(index);
+            const entry = playlist.current;
+            if (entry.key !== null) {
+                vocal.key = entry.key;
+            }
+            if (entry.magnification !== null) {
+                renderer.noteMagnification = entry.magnification;
+            }
+            updateToneMagnification();
+            updatePlaylist();
+
+            if (!await loadFile(entry.file)) return;
+
+            if (autoplay) {
+                await vocal.togglePlaying();
+                playButton.classList.toggle('playing', true);
+            }
+        }
+
+        /**
+         * プレイリストに追加する（再生中でなければ追加した先頭の曲を開く）
+         * @param {File[]} files
+         */
+        async function addFiles(files) {
+            if (files.length == 0) return;
+
+            const index = playlist.add(files);
+            updateRepeat();
+            if (vocal.playing) {
+                updatePlaylist();
+                return;
+            }
+            await openEntry(index, false);
+        }
+
+        vocal.onended = async () => {
+            playButton.classList.toggle('playing', false);
+            // プレイリスト外の曲（ABC記譜など）はそのまま止める
+            if (playlist.current === null) return;
+
+            const index = playlist.next(true);
+            if (index < 0) return;
+
+            await openEntry(index, true);
+        };
+        previousEntryButton.addEventListener('click', async e => {
+            const index = playlist.previous();
+            if (index < 0) return;
+
+            await openEntry(index, vocal.playing);
+        });
+        nextEntryButton.addEventListener('click', async e => {
+            const index = playlist.next();
+            if (index < 0) return;
+
+            await openEntry(index, vocal.playing);
+        });
+        repeatSelect.addEventListener('change', e => {
+            playlist.repeat = repeatSelect.value;
+            updateRepeat();
+            settings.set('repeat', repeatSelect.value);
+        });
+        playlist.repeat = repeatSelect.value;
+        updateRepeat();
+        playlistClearButton.addEventListener('click', e => {
+            playlist.clear();
+            updateRepeat();
+            updatePlaylist();
+        });
+        playlistDetails.addEventListener('toggle', e => {
+            updateMargin();
+        });
+
         app.addEventListener('dragover', e => {
             e.preventDefault();
         });
         app.addEventListener('drop', async e => {
             e.preventDefault();
 
-            const files = e.dataTransfer.files;
-            if (files.length == 0) return;
-
-            const file = files[0];
-            await loadFile(file);
+            await addFiles(await scoreFilesFromDataTransfer(e.dataTransfer));
         });
         midiFileDrop.addEventListener('change', async e => {
-            const files = e.target.files;
+            const files = scoreFilesFromFileList(e.target.files);
+            // 同じファイルを選び直しても追加できるようにする
+            midiFileDrop.value = '';
+            await addFiles(files);
+        });
+        playlistFolderInput.addEventListener('change', async e => {
+            const files = scoreFilesFromFileList(e.target.files);
+            playlistFolderInput.value = '';
+            await addFiles(files);
+        });
+
+        /**
+         * URLの演奏情報をプレイリストに追加し、その先頭の曲を開く
+         * @param {string[]} urls
+         */
+        async function openUrls(urls) {
+            const files = [];
+            for (const url of urls) {
+                try {
+                    files.push(await fetchScoreFile(url));
+                } catch (error) {
+                    fileNameDiv.textContent = `${url}（読み込みに失敗しました：${error.message}）`;
+                }
+            }
             if (files.length == 0) return;
 
-            const file = files[0];
-            await loadFile(file);
+            const index = playlist.add(files);
+            updateRepeat();
+            await openEntry(index, vocal.playing);
+        }
+
+        for (const group of exampleGroups) {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group.label;
+            for (const example of group.examples) {
+                const option = document.createElement('option');
+                option.value = example.path;
+                option.textContent = example.title;
+                optgroup.appendChild(option);
+            }
+            exampleSelect.appendChild(optgroup);
+        }
+        exampleSelect.addEventListener('change', async e => {
+            const path = exampleSelect.value;
+            exampleSelect.value = '';
+            if (path === '') return;
+
+            await openUrls([path]);
+        });
+
+        /**
+         * 構文エラーの位置をテキストエリア内で選択する
+         * @param {AbcSyntaxError} error
+         */
+        function selectAbcError(error) {
+            const lines = abcTextarea.value.split('\n');
+            let offset = 0;
+            for (let index = 0; index < error.line - 1 && index < lines.length; ++index) {
+                offset += lines[index].length + 1;
+            }
+            offset += error.column - 1;
+            abcTextarea.focus();
+            abcTextarea.setSelectionRange(offset, offset + 1);
+        }
+        abcApplyButton.addEventListener('click', async e => {
+            let midi;
+            try {
+                midi = midiFromAbc(abcTextarea.value);
+            } catch (error) {
+                if (error instanceof AbcSyntaxError) {
+                    abcErrorDiv.textContent = `構文エラー（${error.message}）`;
+                    selectAbcError(error);
+                } else {
+                    abcErrorDiv.textContent = `読み込みに失敗しました（${error.message}）`;
+                }
+                return;
+            }
+            abcErrorDiv.textContent = '';
+            // プレイリスト外の曲を開いている間は曲ごとの設定を記録しない
+            playlist.select(-1);
+            updatePlaylist();
+            await applyScore(new Score(midi.header.name || 'ABC', midi));
+        });
+        outputDeviceInput.addEventListener('change', e => {
+            const value = outputDeviceInput.value;
+            vocal.outputPortId = (value === toneOutputValue) ? null : value;
+        });
+        updateOutputDeviceInput();
+        MidiOutput.request().then(midiOutput => {
+            if (midiOutput === null) return;
+
+            midiOutput.onportschange = updateOutputDeviceInput;
+            vocal.midiOutput = midiOutput;
+            updateOutputDeviceInput();
+        });
+
+        /**
+         * @param {number} seconds
+         */
+        function formatTime(seconds) {
+            const minutes = Math.floor(seconds / 60);
+            const restSeconds = Math.floor(seconds % 60);
+            return minutes + ':' + String(restSeconds).padStart(2, '0');
+        }
+        let seeking = false;
+        function updatePosition() {
+            if (currentScore === null) {
+                positionDiv.textContent = '';
+                return;
+            }
+
+            const currentTime = vocal.currentTime;
+            if (!seeking) {
+                seekInput.max = vocal.duration;
+                seekInput.value = currentTime;
+            }
+            const { measure, beat } = currentScore.positionAt(currentTime);
+            positionDiv.textContent = `${measure}:${beat} (${formatTime(currentTime)} / ${formatTime(vocal.duration)})`;
+        }
+
+        seekInput.addEventListener('input', async e => {
+            seeking = true;
+            await vocal.seek(Number(seekInput.value));
+        });
+        seekInput.addEventListener('change', e => {
+            seeking = false;
+        });
+        measureInput.addEventListener('change', async e => {
+            if (currentScore === null) return;
+
+            const measure = Math.max(1, Math.floor(Number(measureInput.value)));
+            await vocal.seek(currentScore.measureToSeconds(measure));
+        });
+
+        // ループ区間（小節番号）
+        let loopStartMeasure = 1;
+        let loopEndMeasure = 1;
+        function updateLoopDiv() {
+            if (currentScore === null) {
+                loopDiv.textContent = '';
+            } else {
+                loopDiv.textContent = `ループ: ${loopStartMeasure}–${loopEndMeasure}小節`;
+            }
+        }
+        function updateLoop() {
+            if (currentScore === null) return;
+
+            vocal.setLoopMeasures(loopStartMeasure, loopEndMeasure);
+            updateLoopDiv();
+        }
+        function resetLoop() {
+            if (currentScore !== null) {
+                loopStartMeasure = 1;
+                // 曲末尾ちょうどは次の小節の先頭になるため僅かに戻す
+                loopEndMeasure = currentScore.positionAt(Math.max(0.0, vocal.duration - 0.001)).measure;
+            }
+            vocal.resetLoop();
+            updateLoopDiv();
+        }
+        loopStartButton.addEventListener('click', e => {
+            if (currentScore === null) return;
+
+            loopStartMeasure = currentScore.positionAt(vocal.currentTime).measure;
+            loopEndMeasure = Math.max(loopStartMeasure, loopEndMeasure);
+            updateLoop();
+        });
+        loopEndButton.addEventListener('click', e => {
+            if (currentScore === null) return;
+
+            loopEndMeasure = currentScore.positionAt(vocal.currentTime).measure;
+            loopStartMeasure = Math.min(loopStartMeasure, loopEndMeasure);
+            updateLoop();
+        });
+        loopResetButton.addEventListener('click', e => {
+            resetLoop();
+        });
+
+        /**
+         * 書き出すファイルの名前（拡張子を除いた演奏情報の名前）
+         * @returns {string}
+         */
+        function exportBaseName() {
+            return currentScore.name.replace(/\.[^.]*$/, '');
+        }
+
+        const frameExporter = new FrameExporter(renderer);
+        async function exportVideo() {
+            const [width, height] = exportSizeSelect.value.split('x').map(Number);
+            const frameRate = Number(exportFrameRateSelect.value);
+            const options = {
+                // ループ区間（既定は曲全体）を書き出す
+                startTime: vocal.loopStart,
+                endTime: vocal.loopEnd,
+                frameRate: frameRate,
+                width: width,
+                height: height,
+                onProgress: (frameIndex, frameCount) => {
+                    exportProgressDiv.textContent = `${frameIndex} / ${frameCount}`;
+                },
+            };
+            const baseName = exportBaseName();
+
+            switch (exportFormatSelect.value) {
+                case 'png': {
+                    if (!window.showDirectoryPicker) {
+                        exportProgressDiv.textContent = 'PNG連番の書き出しに対応していないブラウザです';
+                        return;
+                    }
+                    const directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+                    await frameExporter.exportPngSequence(directory, options);
+                    break;
+                }
+                case 'webm': {
+                    const blob = await frameExporter.exportWebM(options);
+                    downloadBlob(blob, baseName + '.webm');
+                    break;
+                }
+            }
+        }
+        exportVideoButton.addEventListener('click', async e => {
+            if (frameExporter.exporting) {
+                frameExporter.cancel();
+                return;
+            }
+            if (currentScore === null || sourceMode !== 'file') return;
+
+            exportVideoButton.textContent = '中止';
+            try {
+                await exportVideo();
+            } catch (error) {
+                exportProgressDiv.textContent = `書き出しに失敗しました（${error.message}）`;
+            } finally {
+                exportVideoButton.textContent = '映像を書き出し';
+            }
         });
+
+        let exportingAudio = false;
+        exportAudioButton.addEventListener('click', async e => {
+            if (currentScore === null || exportingAudio) return;
+
+            exportingAudio = true;
+            exportProgressDiv.textContent = '音声を書き出し中…';
+            try {
+                const audioBuffer = await vocal.renderOffline();
+                downloadBlob(audioBufferToWav(audioBuffer), exportBaseName() + '.wav');
+                exportProgressDiv.textContent = '';
+            } catch (error) {
+                exportProgressDiv.textContent = `書き出しに失敗しました（${error.message}）`;
+            } finally {
+                exportingAudio = false;
+            }
+        });
+
+        exportMidiButton.addEventListener('click', e => {
+            if (currentScore === null) return;
+
+            const midi = vocal.toMidi();
+            const blob = new Blob([midi.toArray()], { type: 'audio/midi' });
+            // 移調した場合はキーの変化量をファイル名に含める
+            const key = Math.round(vocal.key);
+            const keySuffix = (key === 0) ? '' : `_key${(key > 0) ? '+' : ''}${key}`;
+            downloadBlob(blob, exportBaseName() + keySuffix + '.mid');
+        });
+
         homeButton.addEventListener('click', async e => {
             await vocal.returnToTop();
         });
@@ -89,6 +820,16 @@ window.addEventListener('load', e => {
         });
         updateKey();
 
+        downPlaybackRateButton.addEventListener('click', e => {
+            vocal.playbackRate = Math.round(vocal.playbackRate * 100 - 5) / 100;
+            updatePlaybackRate();
+        });
+        upPlaybackRateButton.addEventListener('click', e => {
+            vocal.playbackRate = Math.round(vocal.playbackRate * 100 + 5) / 100;
+            updatePlaybackRate();
+        });
+        updatePlaybackRate();
+
         melodyPanelCanvas.addEventListener('wheel', e => {
             e.preventDefault();
 
@@ -114,6 +855,9 @@ window.addEventListener('load', e => {
         updateToneMagnification();
 
         initButtonGroup(changeCircleModeButtonGroup, value => {
+            settings.set('circleMode', value);
+            // 5度圏では調の主音・和音の構成音を強調する
+            renderer.highlightHarmony = value === 'circle of fifths';
             switch (value) {
                 case '12 semitones':
                     renderer.circleNumerator = 1;
@@ -139,11 +883,104 @@ window.addEventListener('load', e => {
                     renderer.circleNumerator = 7;
                     renderer.circleDenominator = 12;
                     break;
+                case 'custom':
+                    updateCustomCircle();
+                    break;
             }
+            circleGeneratorInput.disabled = value !== 'custom';
+            circlePeriodInput.disabled = value !== 'custom';
+            circlePresetSelect.disabled = value !== 'custom';
         });
+
+        /**
+         * @param {HTMLInputElement} input
+         * @param {number} min
+         * @param {number} max
+         */
+        function integerOf(input, min, max) {
+            const value = Math.round(Number(input.value));
+            return Number.isFinite(value) ? Math.min(Math.max(min, value), max) : min;
+        }
+        function updateCustomCircle() {
+            if (changeCircleModeButtonGroup.dataset.value !== 'custom') return;
+
+            renderer.circleNumerator = integerOf(circleGeneratorInput, 1, 1200);
+            renderer.circleDenominator = integerOf(circlePeriodInput, 1, 1200);
+            settings.set('circleGenerator', renderer.circleNumerator);
+            settings.set('circlePeriod', renderer.circleDenominator);
+        }
+        function updateTuning() {
+            const referencePitch = integerOf(referencePitchInput, 0, 127);
+            renderer.referencePitch = referencePitch;
+            settings.set('referencePitch', referencePitch);
+            settings.set('tuning', tuningSelect.value);
+
+            switch (tuningSelect.value) {
+                case '12-tet':
+                    vocal.tuning = null;
+                    break;
+                case 'edo':
+                    vocal.tuning = Tuning.equalDivision(integerOf(circlePeriodInput, 1, 1200), referencePitch);
+                    break;
+                case 'just':
+                    vocal.tuning = Tuning.justIntonation(referencePitch);
+                    break;
+            }
+        }
+        circlePresetSelect.addEventListener('change', e => {
+            if (circlePresetSelect.value === '') return;
+
+            const [generator, period] = circlePresetSelect.value.split('/');
+            circleGeneratorInput.value = generator;
+            circlePeriodInput.value = period;
+            circlePresetSelect.value = '';
+            updateCustomCircle();
+            updateTuning();
+        });
+        circleGeneratorInput.addEventListener('change', updateCustomCircle);
+        circlePeriodInput.addEventListener('change', e => {
+            updateCustomCircle();
+            updateTuning();
+        });
+        referencePitchInput.addEventListener('change', updateTuning);
+        tuningSelect.addEventListener('change', updateTuning);
+        updateTuning();
+        function updateGuide() {
+            renderer.showGuide = noteNamingSelect.value !== 'none';
+            if (renderer.showGuide) {
+                renderer.noteNaming = noteNamingSelect.value;
+            }
+            renderer.showOctaveRings = octaveRingsInput.checked;
+            settings.set('noteNaming', noteNamingSelect.value);
+            settings.set('octaveRings', octaveRingsInput.checked);
+        }
+        noteNamingSelect.addEventListener('change', updateGuide);
+        octaveRingsInput.addEventListener('change', updateGuide);
+        updateGuide();
+        function updatePercussionView() {
+            const history = Math.min(8, Math.max(0, Math.round(Number(percussionHistoryInput.value) || 0)));
+            percussionHistoryInput.value = history;
+            renderer.percussionView = percussionViewSelect.value;
+            renderer.percussionHistory = history;
+            percussionHistoryInput.disabled = percussionViewSelect.value === 'row';
+            settings.set('percussionView', percussionViewSelect.value);
+            settings.set('percussionHistory', history);
+        }
+        percussionViewSelect.addEventListener('change', updatePercussionView);
+        percussionHistoryInput.addEventListener('change', updatePercussionView);
+        updatePercussionView();
         initButtonGroup(changeRenderingModeButtonGroup, value => {
             renderer.noteDirection = value;
+            pianoRollOrderSelect.disabled = value !== 'piano roll';
+            settings.set('noteDirection', value);
         });
+        function updatePianoRollOrder() {
+            renderer.pianoRollOrder = pianoRollOrderSelect.value;
+            settings.set('pianoRollOrder', pianoRollOrderSelect.value);
+        }
+        pianoRollOrderSelect.addEventListener('change', updatePianoRollOrder);
+        updatePianoRollOrder();
+        initButtonGroup(changeSourceButtonGroup, changeSource);
 
         function updateMargin() {
             renderer.marginTop = headPanel.clientHeight;
@@ -152,8 +989,20 @@ window.addEventListener('load', e => {
         window.addEventListener('resize', updateMargin);
         updateMargin();
 
+        // ?src=で指定された演奏情報を開く（複数指定した場合は順にプレイリストへ追加する）
+        const sources = new URLSearchParams(location.search).getAll('src');
+        if (sources.length > 0) {
+            openUrls(sources);
+        }
+
         requestAnimationFrame(function renderingLoop() {
-            renderer.render();
+            // 書き出し中は書き出し側が描画する
+            if (!frameExporter.exporting) {
+                renderer.render();
+            }
+            updatePosition();
+            updateBpm();
+            updateHarmony();
             requestAnimationFrame(renderingLoop);
         });
     } catch (e) {
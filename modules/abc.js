@@ -0,0 +1,959 @@
+/**
+ * 音名ごとのCからの半音数
+ */
+const letterSemitones = {
+    C: 0,
+    D: 2,
+    E: 4,
+    F: 5,
+    G: 7,
+    A: 9,
+    B: 11,
+};
+
+/**
+ * 長調の主音ごとの調号の数（シャープが正・フラットが負）
+ */
+const letterFifths = {
+    F: -1,
+    C: 0,
+    G: 1,
+    D: 2,
+    A: 3,
+    E: 4,
+    B: 5,
+};
+
+/**
+ * 旋法ごとの調号の数の補正
+ */
+const modeFifths = {
+    lyd: 1,
+    ion: 0,
+    maj: 0,
+    mix: -1,
+    dor: -2,
+    aeo: -3,
+    min: -3,
+    m: -3,
+    phr: -4,
+    loc: -5,
+};
+
+const sharpOrder = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+
+const noteVelocity = 0.7;
+
+// 音符に付く装飾の省略記号（読み飛ばす）
+const decorationSymbols = '~.HLMOPSTuv';
+
+
+/**
+ * ABC記譜の構文エラー
+ */
+export class AbcSyntaxError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} line 1始まりの行番号
+     * @param {number} column 1始まりの列番号
+     */
+    constructor(message, line, column) {
+        super(`${line}:${column}: ${message}`);
+        this.name = 'AbcSyntaxError';
+        this.line = line;
+        this.column = column;
+    }
+};
+
+
+/**
+ * 調号を音名ごとの変化量にする
+ * @param {string} value K:フィールドの値
+ * @param {number} line
+ * @param {number} column
+ * @returns {Object.<string, number>}
+ */
+function parseKey(value, line, column) {
+    const accidentals = { C: 0, D: 0, E: 0, F: 0, G: 0, A: 0, B: 0 };
+    const words = value.trim().split(/\s+/).filter(word => word !== '' && !word.includes('='));
+    if (words.length === 0 || /^(none|HP|Hp)$/.test(words[0])) return accidentals;
+
+    const match = /^([A-Ga-g])([#b]?)(.*)$/.exec(words[0]);
+    if (match === null) {
+        throw new AbcSyntaxError(`Invalid key: ${value.trim()}`, line, column);
+    }
+    // 主音と旋法の間に空白がある場合（例: "D dorian"）
+    let modeText = match[3];
+    let wordIndex = 1;
+    if (modeText === '' && words.length > 1 && /^[A-Za-z]{3,}$/.test(words[1]) && words[1].toLowerCase().slice(0, 3) in modeFifths) {
+        modeText = words[1];
+        wordIndex = 2;
+    }
+    const modeKey = (modeText.toLowerCase() === 'm') ? 'm' : modeText.toLowerCase().slice(0, 3);
+    if (modeText !== '' && !(modeKey in modeFifths)) {
+        throw new AbcSyntaxError(`Unknown mode: ${modeText}`, line, column);
+    }
+
+    const fifths = letterFifths[match[1].toUpperCase()]
+        + 7 * { '': 0, '#': 1, 'b': -1 }[match[2]]
+        + ((modeText !== '') ? modeFifths[modeKey] : 0);
+    for (let index = 0; index < Math.min(7, Math.abs(fifths)); ++index) {
+        if (fifths > 0) {
+            accidentals[sharpOrder[index]] = 1;
+        } else {
+            accidentals[sharpOrder[6 - index]] = -1;
+        }
+    }
+
+    // 調号に続く臨時の変化（例: "D ^c"）
+    for (const word of words.slice(wordIndex)) {
+        const explicit = /^(\^\^|\^|__|_|=)([A-Ga-g])$/.exec(word);
+        if (explicit !== null) {
+            accidentals[explicit[2].toUpperCase()] = { '^^': 2, '^': 1, '__': -2, '_': -1, '=': 0 }[explicit[1]];
+        }
+    }
+    return accidentals;
+}
+
+/**
+ * 拍子を解釈する
+ * @param {string} value M:フィールドの値
+ * @param {number} line
+ * @param {number} column
+ * @returns {[number, number]?} [分子, 分母]（拍子なしの場合はnull）
+ */
+function parseMeter(value, line, column) {
+    const text = value.trim();
+    if (text === 'none' || text === '') return null;
+    if (text === 'C') return [4, 4];
+    if (text === 'C|') return [2, 2];
+
+    const match = /^\(?([\d+]+)\)?\/(\d+)$/.exec(text);
+    if (match === null) {
+        throw new AbcSyntaxError(`Invalid meter: ${text}`, line, column);
+    }
+    const numerator = match[1].split('+').reduce((sum, beats) => sum + Number(beats), 0);
+    return [numerator, Number(match[2])];
+}
+
+/**
+ * 分数を解釈する
+ * @param {string} text
+ * @returns {number?}
+ */
+function parseFraction(text) {
+    const match = /^(\d+)\/(\d+)$/.exec(text.trim());
+    return (match !== null) ? Number(match[1]) / Number(match[2]) : null;
+}
+
+/**
+ * テンポを四分音符基準のBPMにする
+ * @param {string} value Q:フィールドの値
+ * @param {number} unitLength 単位音長（全音符比）
+ * @param {number} line
+ * @param {number} column
+ * @returns {number}
+ */
+function parseTempo(value, unitLength, line, column) {
+    // 引用符で囲まれた文字列（例: "Allegro"）は無視する
+    const text = value.replace(/"[^"]*"/g, '').trim();
+
+    let beatLength = unitLength;
+    let bpmText = text;
+    const equal = text.indexOf('=');
+    if (equal >= 0) {
+        const beats = text.slice(0, equal).trim().split(/\s+/);
+        beatLength = beats.reduce((sum, beat) => sum + (parseFraction(beat) || 0), 0);
+        bpmText = text.slice(equal + 1).trim();
+    }
+    const bpm = Number(bpmText);
+    if (!(bpm > 0) || !(beatLength > 0)) {
+        throw new AbcSyntaxError(`Invalid tempo: ${value.trim()}`, line, column);
+    }
+    return bpm * beatLength / (1 / 4);
+}
+
+
+/**
+ * 1声部分の字句解析の状態
+ */
+class VoiceReader {
+    /**
+     * @param {string} id
+     * @param {string} name
+     * @param {{key: Object.<string, number>, unitLength: number, meter: [number, number]?}} header
+     */
+    constructor(id, name, header) {
+        this.id = id;
+        this.name = name;
+        this.key = header.key;
+        this.unitLength = header.unitLength;
+        this.meter = header.meter;
+
+        /**
+         * 小節内の臨時記号（キーは音名とオクターブ）
+         * @type {Map<string, number>}
+         */
+        this.barAccidentals = new Map();
+        this.tokens = [];
+
+        // 付点リズム（>や<）で次の音符に掛ける係数
+        this.nextFactor = 1.0;
+        // 連符の係数と残り音符数
+        this.tupletFactor = 1.0;
+        this.tupletRemaining = 0;
+    }
+
+    /**
+     * 音長の係数を取り出す
+     */
+    takeFactor() {
+        let factor = this.nextFactor;
+        this.nextFactor = 1.0;
+        if (this.tupletRemaining > 0) {
+            factor *= this.tupletFactor;
+            --this.tupletRemaining;
+        }
+        return factor;
+    }
+};
+
+
+/**
+ * ABC記譜の1行を字句解析する
+ */
+class LineScanner {
+    /**
+     * @param {string} text
+     * @param {number} line
+     */
+    constructor(text, line) {
+        this.text = text;
+        this.line = line;
+        this.index = 0;
+    }
+
+    get done() {
+        return this.index >= this.text.length;
+    }
+
+    peek(offset = 0) {
+        return this.text.charAt(this.index + offset);
+    }
+
+    next() {
+        return this.text.charAt(this.index++);
+    }
+
+    get column() {
+        return this.index + 1;
+    }
+
+    /**
+     * @param {string} message
+     * @param {number} column
+     */
+    error(message, column = this.column) {
+        return new AbcSyntaxError(message, this.line, column);
+    }
+
+    /**
+     * 正規表現に一致する部分を読み進める
+     * @param {RegExp} pattern 先頭一致（^付き）の正規表現
+     * @returns {string}
+     */
+    read(pattern) {
+        const match = pattern.exec(this.text.slice(this.index));
+        if (match === null) return '';
+        this.index += match[0].length;
+        return match[0];
+    }
+
+    /**
+     * 音長の記号（例: 2, /2, 3/2, //）を単位音長比にする
+     * @returns {number}
+     */
+    readLength() {
+        const column = this.column;
+        const text = this.read(/^\d*(\/+\d*)?/);
+        if (text === '') return 1.0;
+
+        const slash = text.indexOf('/');
+        if (slash < 0) return Number(text);
+
+        const numerator = (slash > 0) ? Number(text.slice(0, slash)) : 1;
+        const rest = text.slice(slash);
+        const slashes = /^\/+/.exec(rest)[0].length;
+        const denominatorText = rest.slice(slashes);
+        let denominator;
+        if (denominatorText !== '') {
+            if (slashes > 1) {
+                throw this.error(`Invalid note length: ${text}`, column);
+            }
+            denominator = Number(denominatorText);
+        } else {
+            denominator = Math.pow(2, slashes);
+        }
+        if (denominator === 0) {
+            throw this.error(`Invalid note length: ${text}`, column);
+        }
+        return numerator / denominator;
+    }
+};
+
+
+/**
+ * ABC記譜を読み込む
+ */
+class AbcReader {
+    /**
+     * @param {string} text
+     */
+    constructor(text) {
+        this.lines = text.split(/\r\n|\r|\n/);
+
+        this.title = '';
+        this.header = {
+            key: parseKey('C', 1, 1),
+            unitLength: null,
+            meter: [4, 4],
+            tempo: null,
+        };
+        this.headerMeterSet = false;
+
+        /**
+         * @type {Map<string, VoiceReader>}
+         */
+        this.voices = new Map();
+        this.voiceNames = new Map();
+        this.currentVoice = null;
+    }
+
+    /**
+     * 単位音長（L:が無い場合は拍子から決める）
+     */
+    get defaultUnitLength() {
+        const meter = this.header.meter;
+        if (meter !== null && meter[0] / meter[1] < 0.75) return 1 / 16;
+        return 1 / 8;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {VoiceReader}
+     */
+    voice(id) {
+        if (!this.voices.has(id)) {
+            const name = this.voiceNames.get(id) || ((id === '') ? '' : id);
+            this.voices.set(id, new VoiceReader(id, name, {
+                key: { ...this.header.key },
+                unitLength: this.header.unitLength || this.defaultUnitLength,
+                meter: this.header.meter,
+            }));
+        }
+        return this.voices.get(id);
+    }
+
+    /**
+     * V:フィールドの声部IDと名前を読む
+     * @param {string} value
+     */
+    parseVoiceField(value) {
+        const id = value.trim().split(/\s+/)[0] || '';
+        const nameMatch = /(?:name|nm)\s*=\s*"([^"]*)"/.exec(value) || /(?:name|nm)\s*=\s*(\S+)/.exec(value);
+        if (nameMatch !== null) {
+            this.voiceNames.set(id, nameMatch[1]);
+        }
+        return id;
+    }
+
+    read() {
+        let inBody = false;
+        let tuneFound = false;
+
+        for (let lineIndex = 0; lineIndex < this.lines.length; ++lineIndex) {
+            const line = lineIndex + 1;
+            // コメントを除く
+            const rawText = this.lines[lineIndex];
+            const text = rawText.replace(/(^|[^\\])%.*$/, '$1');
+            if (text.trim() === '') {
+                // 空行は曲の終わり
+                if (inBody) break;
+                continue;
+            }
+
+            const field = /^([A-Za-z]):(.*)$/.exec(text);
+            if (field !== null) {
+                const [, name, value] = field;
+                if (name === 'X') {
+                    if (tuneFound) break;
+                    tuneFound = true;
+                    continue;
+                }
+                this.readField(name, value, inBody, line, 3);
+                if (name === 'K' && !inBody) {
+                    inBody = true;
+                }
+                continue;
+            }
+
+            if (!inBody) {
+                throw new AbcSyntaxError("Music before the K: field", line, 1);
+            }
+            this.readMusicLine(text, line);
+        }
+
+        if (!inBody) {
+            throw new AbcSyntaxError("Missing K: field", this.lines.length, 1);
+        }
+    }
+
+    /**
+     * 情報フィールドを読む
+     * @param {string} name
+     * @param {string} value
+     * @param {boolean} inBody
+     * @param {number} line
+     * @param {number} column
+     */
+    readField(name, value, inBody, line, column) {
+        if (!inBody) {
+            switch (name) {
+                case 'T':
+                    if (this.title === '') this.title = value.trim();
+                    break;
+                case 'M':
+                    this.header.meter = parseMeter(value, line, column);
+                    break;
+                case 'L': {
+                    const unitLength = parseFraction(value);
+                    if (unitLength === null) throw new AbcSyntaxError(`Invalid unit note length: ${value.trim()}`, line, column);
+                    this.header.unitLength = unitLength;
+                    break;
+                }
+                case 'Q':
+                    this.header.tempo = value;
+                    this.header.tempoLine = line;
+                    break;
+                case 'K':
+                    this.header.key = parseKey(value, line, column);
+                    break;
+                case 'V':
+                    this.parseVoiceField(value);
+                    break;
+            }
+            return;
+        }
+
+        switch (name) {
+            case 'V':
+                this.currentVoice = this.voice(this.parseVoiceField(value));
+                break;
+            case 'K':
+            case 'M':
+            case 'L':
+            case 'Q':
+                this.readBodyField(this.currentVoiceOrDefault(), name, value, line, column);
+                break;
+        }
+    }
+
+    currentVoiceOrDefault() {
+        if (this.currentVoice === null) {
+            this.currentVoice = this.voice(this.voices.size > 0 ? this.voices.keys().next().value : '');
+        }
+        return this.currentVoice;
+    }
+
+    /**
+     * 本体中のフィールド（行またはインライン）を読む
+     * @param {VoiceReader} voice
+     * @param {string} name
+     * @param {string} value
+     * @param {number} line
+     * @param {number} column
+     */
+    readBodyField(voice, name, value, line, column) {
+        switch (name) {
+            case 'K':
+                voice.key = parseKey(value, line, column);
+                break;
+            case 'M': {
+                voice.meter = parseMeter(value, line, column);
+                if (voice.meter !== null) {
+                    voice.tokens.push({ type: 'meter', meter: voice.meter });
+                }
+                break;
+            }
+            case 'L': {
+                const unitLength = parseFraction(value);
+                if (unitLength === null) throw new AbcSyntaxError(`Invalid unit note length: ${value.trim()}`, line, column);
+                voice.unitLength = unitLength;
+                break;
+            }
+            case 'Q':
+                voice.tokens.push({ type: 'tempo', bpm: parseTempo(value, voice.unitLength, line, column) });
+                break;
+        }
+    }
+
+    /**
+     * 音符の音高を読む（臨時記号・音名・オクターブ記号）
+     * @param {LineScanner} scanner
+     * @param {VoiceReader} voice
+     * @returns {number?} ノート番号（休符の場合はnull）
+     */
+    readPitch(scanner, voice) {
+        const column = scanner.column;
+        const accidental = scanner.read(/^(\^\^|\^|__|_|=)/);
+        const letter = scanner.next();
+        if (!/^[A-Ga-g]$/.test(letter)) {
+            throw scanner.error(`Expected a note name but found "${letter}"`, column);
+        }
+
+        let octave = (letter === letter.toUpperCase()) ? 4 : 5;
+        const octaveMarks = scanner.read(/^[',]*/);
+        for (const mark of octaveMarks) {
+            octave += (mark === "'") ? 1 : -1;
+        }
+
+        const upperLetter = letter.toUpperCase();
+        const accidentalKey = upperLetter + octave;
+        let alter;
+        if (accidental !== '') {
+            alter = { '^^': 2, '^': 1, '__': -2, '_': -1, '=': 0 }[accidental];
+            voice.barAccidentals.set(accidentalKey, alter);
+        } else if (voice.barAccidentals.has(accidentalKey)) {
+            alter = voice.barAccidentals.get(accidentalKey);
+        } else {
+            alter = voice.key[upperLetter];
+        }
+
+        return 12 * (octave + 1) + letterSemitones[upperLetter] + alter;
+    }
+
+    /**
+     * 音楽の1行を読む
+     * @param {string} text
+     * @param {number} line
+     */
+    readMusicLine(text, line) {
+        const scanner = new LineScanner(text, line);
+        let voice = this.currentVoiceOrDefault();
+
+        while (!scanner.done) {
+            const column = scanner.column;
+            const c = scanner.peek();
+
+            // 空白・行継続・区切り記号
+            if (/\s/.test(c) || c === '\\' || c === '`' || c === '$' || c === 'y') {
+                scanner.next();
+                continue;
+            }
+            // コードネーム・注釈
+            if (c === '"') {
+                scanner.next();
+                scanner.read(/^[^"]*/);
+                if (scanner.next() !== '"') throw scanner.error("Unterminated chord symbol", column);
+                continue;
+            }
+            // 装飾
+            if (c === '!' || c === '+') {
+                scanner.next();
+                scanner.read(c === '!' ? /^[^!]*/ : /^[^+]*/);
+                if (scanner.next() !== c) throw scanner.error("Unterminated decoration", column);
+                continue;
+            }
+            if (decorationSymbols.includes(c)) {
+                scanner.next();
+                continue;
+            }
+            // 装飾音（長さを持たないため省略）
+            if (c === '{') {
+                scanner.read(/^\{[^}]*/);
+                if (scanner.next() !== '}') throw scanner.error("Unterminated grace notes", column);
+                continue;
+            }
+            // 連符・スラー
+            if (c === '(') {
+                scanner.next();
+                if (/\d/.test(scanner.peek())) {
+                    const p = Number(scanner.read(/^\d+/));
+                    let q = null;
+                    let r = p;
+                    if (scanner.peek() === ':') {
+                        scanner.next();
+                        const qText = scanner.read(/^\d*/);
+                        if (qText !== '') q = Number(qText);
+                        if (scanner.peek() === ':') {
+                            scanner.next();
+                            const rText = scanner.read(/^\d*/);
+                            if (rText !== '') r = Number(rText);
+                        }
+                    }
+                    if (q === null) {
+                        q = { 2: 3, 3: 2, 4: 3, 6: 2, 8: 3 }[p] || 2;
+                    }
+                    voice.tupletFactor = q / p;
+                    voice.tupletRemaining = r;
+                }
+                continue;
+            }
+            if (c === ')') {
+                scanner.next();
+                continue;
+            }
+            // 付点リズム
+            if (c === '>' || c === '<') {
+                const marks = scanner.read(/^(>+|<+)/);
+                const previous = this.lastNoteToken(voice);
+                if (previous === null) throw scanner.error("Broken rhythm without a preceding note", column);
+                const half = Math.pow(0.5, marks.length);
+                if (marks[0] === '>') {
+                    previous.length *= 2 - half;
+                    voice.nextFactor = half;
+                } else {
+                    previous.length *= half;
+                    voice.nextFactor = 2 - half;
+                }
+                continue;
+            }
+            if (c === '-') {
+                scanner.next();
+                const previous = this.lastNoteToken(voice);
+                if (previous === null) throw scanner.error("Tie without a preceding note", column);
+                previous.tied = new Set(previous.pitches);
+                continue;
+            }
+            // 小節線・反復記号
+            if (c === '|' || c === ':' || (c === '[' && /[|\d]/.test(scanner.peek(1)))) {
+                this.readBar(scanner, voice);
+                continue;
+            }
+            if (c === ']') {
+                // 終止線の一部でない閉じ括弧
+                throw scanner.error('Unexpected "]"', column);
+            }
+            // インラインフィールド
+            if (c === '[' && /^[A-Za-z]:/.test(scanner.text.slice(scanner.index + 1))) {
+                scanner.next();
+                const name = scanner.next();
+                scanner.next();
+                const valueColumn = scanner.column;
+                const value = scanner.read(/^[^\]]*/);
+                if (scanner.next() !== ']') throw scanner.error("Unterminated inline field", column);
+                if (name === 'V') {
+                    voice = this.voice(this.parseVoiceField(value));
+                    this.currentVoice = voice;
+                } else {
+                    this.readBodyField(voice, name, value, line, valueColumn);
+                }
+                continue;
+            }
+            // 和音
+            if (c === '[') {
+                scanner.next();
+                const pitches = [];
+                const tied = new Set();
+                let innerLength = null;
+                while (!scanner.done && scanner.peek() !== ']') {
+                    if (/\s/.test(scanner.peek()) || decorationSymbols.includes(scanner.peek())) {
+                        scanner.next();
+                        continue;
+                    }
+                    if (scanner.peek() === '!') {
+                        scanner.next();
+                        scanner.read(/^[^!]*/);
+                        scanner.next();
+                        continue;
+                    }
+                    const pitch = this.readPitch(scanner, voice);
+                    const length = scanner.readLength();
+                    if (innerLength === null) innerLength = length;
+                    pitches.push(pitch);
+                    if (scanner.peek() === '-') {
+                        scanner.next();
+                        tied.add(pitch);
+                    }
+                }
+                if (scanner.next() !== ']') throw scanner.error("Unterminated chord", column);
+                if (pitches.length === 0) throw scanner.error("Empty chord", column);
+                const length = (innerLength || 1.0) * scanner.readLength();
+                voice.tokens.push({
+                    type: 'note',
+                    pitches: pitches,
+                    length: length * voice.unitLength * voice.takeFactor(),
+                    tied: tied,
+                });
+                continue;
+            }
+            // 休符
+            if (c === 'z' || c === 'x') {
+                scanner.next();
+                const length = scanner.readLength();
+                voice.tokens.push({
+                    type: 'rest',
+                    length: length * voice.unitLength * voice.takeFactor(),
+                });
+                continue;
+            }
+            if (c === 'Z' || c === 'X') {
+                scanner.next();
+                const measures = Number(scanner.read(/^\d*/) || '1');
+                const meter = voice.meter || [4, 4];
+                voice.tokens.push({
+                    type: 'rest',
+                    length: measures * meter[0] / meter[1],
+                });
+                continue;
+            }
+            // 音符
+            if (/[\^_=A-Ga-g]/.test(c)) {
+                const pitch = this.readPitch(scanner, voice);
+                const length = scanner.readLength();
+                voice.tokens.push({
+                    type: 'note',
+                    pitches: [pitch],
+                    length: length * voice.unitLength * voice.takeFactor(),
+                    tied: new Set(),
+                });
+                continue;
+            }
+
+            throw scanner.error(`Unexpected character "${c}"`, column);
+        }
+    }
+
+    /**
+     * @param {VoiceReader} voice
+     */
+    lastNoteToken(voice) {
+        const token = voice.tokens[voice.tokens.length - 1];
+        return (token !== undefined && token.type === 'note') ? token : null;
+    }
+
+    /**
+     * 小節線・反復記号・括弧を読む
+     * @param {LineScanner} scanner
+     * @param {VoiceReader} voice
+     */
+    readBar(scanner, voice) {
+        // "["は"[|"の一部の場合のみ小節線とし、直後の和音・インラインフィールドは残す
+        let bar = '';
+        for (;;) {
+            const c = scanner.peek();
+            if (c === '|' || c === ':' || (c === ']' && bar.endsWith('|')) || (c === '[' && scanner.peek(1) === '|')) {
+                bar += scanner.next();
+            } else {
+                break;
+            }
+        }
+        // 番号括弧の開始（例: ":|[2"）
+        if (scanner.peek() === '[' && /\d/.test(scanner.peek(1))) {
+            scanner.next();
+        }
+        voice.barAccidentals.clear();
+
+        if (bar !== '') {
+            const leftRepeat = bar.startsWith(':');
+            const rightRepeat = bar.endsWith(':');
+            let type;
+            if (leftRepeat && rightRepeat) {
+                type = 'repeat-both';
+            } else if (leftRepeat) {
+                type = 'repeat-end';
+            } else if (rightRepeat) {
+                type = 'repeat-start';
+            } else if (bar.length > 1) {
+                type = 'double-bar';
+            } else {
+                type = 'bar';
+            }
+            voice.tokens.push({ type: type });
+        }
+
+        // 番号括弧（例: |1, :|2, [1,3）
+        const ending = scanner.read(/^\d+([,-]\d+)*/);
+        if (ending !== '') {
+            const numbers = [];
+            for (const part of ending.split(',')) {
+                const [from, to] = part.split('-').map(Number);
+                for (let number = from; number <= (to || from); ++number) {
+                    numbers.push(number);
+                }
+            }
+            voice.tokens.push({ type: 'ending', numbers: numbers });
+        }
+    }
+};
+
+
+/**
+ * 反復記号を展開して演奏順のトークン列にする
+ * @param {Object[]} tokens
+ * @returns {Object[]}
+ */
+function expandRepeats(tokens) {
+    const expanded = [];
+    let repeatStart = 0;
+    let pass = 1;
+
+    let index = 0;
+    while (index < tokens.length) {
+        const token = tokens[index];
+        switch (token.type) {
+            case 'repeat-start':
+                repeatStart = index + 1;
+                pass = 1;
+                ++index;
+                break;
+            case 'repeat-end':
+            case 'repeat-both':
+                if (pass === 1) {
+                    // 1回目は反復区間の先頭へ戻る
+                    pass = 2;
+                    index = repeatStart;
+                } else {
+                    pass = 1;
+                    repeatStart = index + 1;
+                    ++index;
+                }
+                break;
+            case 'double-bar':
+                if (pass === 2) {
+                    pass = 1;
+                }
+                repeatStart = index + 1;
+                ++index;
+                break;
+            case 'ending':
+                if (token.numbers.includes(pass)) {
+                    ++index;
+                } else {
+                    // 対象外の番号括弧は次の括弧か反復記号まで飛ばす
+                    let next = index + 1;
+                    while (next < tokens.length && !['ending', 'repeat-end', 'repeat-both', 'repeat-start', 'double-bar'].includes(tokens[next].type)) {
+                        ++next;
+                    }
+                    if (next < tokens.length && tokens[next].type === 'repeat-end') {
+                        ++next;
+                    }
+                    index = next;
+                }
+                break;
+            default:
+                expanded.push(token);
+                ++index;
+                break;
+        }
+    }
+    return expanded;
+}
+
+
+/**
+ * ABC記譜を演奏情報（Midi）に変換する
+ * @param {string} text
+ * @returns {Midi}
+ */
+export function midiFromAbc(text) {
+    const reader = new AbcReader(text);
+    reader.read();
+
+    const midi = new Midi();
+    const header = midi.header;
+    const ppq = header.ppq;
+    header.name = reader.title;
+
+    /**
+     * @param {number} wholes 全音符単位の位置
+     */
+    const toTicks = wholes => Math.round(4 * wholes * ppq);
+
+    const tempoTicks = new Set();
+    const unitLength = reader.header.unitLength || reader.defaultUnitLength;
+    if (reader.header.tempo !== null && reader.header.tempo !== undefined) {
+        header.tempos.push({ ticks: 0, bpm: parseTempo(reader.header.tempo, unitLength, reader.header.tempoLine, 3) });
+        tempoTicks.add(0);
+    }
+    if (reader.header.meter !== null) {
+        header.timeSignatures.push({ ticks: 0, timeSignature: reader.header.meter });
+    }
+
+    if (reader.voices.size === 0) {
+        reader.voice('');
+    }
+
+    let channel = 0;
+    Array.from(reader.voices.values()).forEach((voice, voiceIndex) => {
+        const track = midi.addTrack();
+        track.name = voice.name || `Voice ${voiceIndex + 1}`;
+        if (channel === 9) ++channel;
+        track.channel = channel % 16;
+        ++channel;
+
+        let position = 0;
+        // タイで繋がれている途中のノート（キーはノート番号）
+        let tiedNotes = new Map();
+        const notes = [];
+
+        for (const token of expandRepeats(voice.tokens)) {
+            switch (token.type) {
+                case 'note': {
+                    const nextTiedNotes = new Map();
+                    for (const pitch of token.pitches) {
+                        let note = tiedNotes.get(pitch);
+                        if (note !== undefined) {
+                            note.end = position + token.length;
+                        } else {
+                            note = {
+                                midi: pitch,
+                                start: position,
+                                end: position + token.length,
+                            };
+                            notes.push(note);
+                        }
+                        if (token.tied.has(pitch)) {
+                            nextTiedNotes.set(pitch, note);
+                        }
+                    }
+                    tiedNotes = nextTiedNotes;
+                    position += token.length;
+                    break;
+                }
+                case 'rest':
+                    tiedNotes.clear();
+                    position += token.length;
+                    break;
+                case 'meter': {
+                    // 拍子は最初の声部のものを用いる
+                    const ticks = toTicks(position);
+                    if (voiceIndex === 0 && !header.timeSignatures.some(event => event.ticks === ticks)) {
+                        header.timeSignatures.push({ ticks: ticks, timeSignature: token.meter });
+                    }
+                    break;
+                }
+                case 'tempo': {
+                    const ticks = toTicks(position);
+                    if (!tempoTicks.has(ticks)) {
+                        tempoTicks.add(ticks);
+                        header.tempos.push({ ticks: ticks, bpm: token.bpm });
+                    }
+                    break;
+                }
+            }
+        }
+
+        for (const note of notes) {
+            track.addNote({
+                midi: Math.min(127, Math.max(0, note.midi)),
+                ticks: toTicks(note.start),
+                durationTicks: Math.max(1, toTicks(note.end) - toTicks(note.start)),
+                velocity: noteVelocity,
+            });
+        }
+    });
+
+    header.update();
+    return midi;
+}
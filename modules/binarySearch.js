@@ -25,3 +25,29 @@ export function binarySearch(array, value, key = null) {
 
     return le;
 }
+
+
+/**
+ * キーが値以下の要素数を求める（配列はキーの昇順に整列済みであること）
+ * @template T
+ * @template U
+ * @param {T[]} array
+ * @param {U} value
+ * @param {((item: T) => U)?} key
+ * @returns {number} count
+ */
+export function upperBound(array, value, key = null) {
+    if (key === null) {
+        key = item => item;
+    }
+    if (array.length === 0) {
+        return 0;
+    }
+
+    const index = binarySearch(array, value, key);
+    if (key(array[index]) <= value) {
+        return index + 1;
+    } else {
+        return index;
+    }
+}
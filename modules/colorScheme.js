@@ -0,0 +1,105 @@
+/**
+ * ノートの色の決め方
+ *
+ * - track: トラックごとにパレットの色
+ * - pitch class: 円周上の位相に合わせた色相
+ * - octave: オクターブごとにパレットの色
+ * - velocity: トラックごとの色を強さに応じて明るさ・不透明度を変える
+ * @typedef {'track' | 'pitch class' | 'octave' | 'velocity'} ColorStrategy
+ */
+
+/**
+ * 背景に合わせた配色
+ * @typedef Theme
+ * @property {number[]} backgroundColor 背景色
+ * @property {number[]} appearingColor 発生時のノート・パーカッションの色
+ * @property {number} attackingAlpha 発音時のノート・パーカッションの不透明度
+ * @property {number[]} guideColor ガイドの円周・放射線の色
+ * @property {number[]} guideLabelColor ガイドの音名の色
+ * @property {number[]} tonicColor 主音の扇形の色
+ * @property {number[]} chordToneColor 和音の構成音の扇形の色
+ */
+
+
+/**
+ * パレット（発音時の色の並び）
+ * @type {Object.<string, string[]>}
+ */
+export const palettes = {
+    default: ['#4de64d', '#4d4de6', '#e64d4d', '#4de6e6', '#e64d00', '#e64de6', '#e6e64d'],
+    // Okabe-Itoの配色（色覚の多様性によらず区別しやすい）
+    'color-blind safe': ['#e69f00', '#56b4e9', '#009e73', '#f0e442', '#0072b2', '#d55e00', '#cc79a7'],
+};
+
+/**
+ * 背景ごとの配色
+ * @type {Object.<string, Theme>}
+ */
+export const themes = {
+    dark: {
+        backgroundColor: [0.0, 0.0, 0.0, 1.0],
+        appearingColor: [0.7, 0.7, 0.7, 0.15],
+        attackingAlpha: 0.6,
+        guideColor: [1.0, 1.0, 1.0, 0.15],
+        guideLabelColor: [1.0, 1.0, 1.0, 0.5],
+        tonicColor: [1.0, 1.0, 1.0, 0.12],
+        chordToneColor: [1.0, 0.8, 0.3, 0.1],
+    },
+    // プロジェクタなど黒が浮きやすい環境向けに、不透明度を上げる
+    light: {
+        backgroundColor: [1.0, 1.0, 1.0, 1.0],
+        appearingColor: [0.3, 0.3, 0.3, 0.2],
+        attackingAlpha: 0.85,
+        guideColor: [0.0, 0.0, 0.0, 0.2],
+        guideLabelColor: [0.0, 0.0, 0.0, 0.6],
+        tonicColor: [0.0, 0.0, 0.0, 0.08],
+        chordToneColor: [0.9, 0.5, 0.0, 0.15],
+    },
+};
+
+
+/**
+ * @param {string} hex "#rrggbb"
+ * @param {number} alpha
+ * @returns {Float32Array}
+ */
+export function colorFromHex(hex, alpha) {
+    const value = parseInt(hex.slice(1), 16);
+    return new Float32Array([
+        ((value >> 16) & 0xff) / 255,
+        ((value >> 8) & 0xff) / 255,
+        (value & 0xff) / 255,
+        alpha,
+    ]);
+}
+
+/**
+ * @param {Float32Array | number[]} color
+ * @returns {string} "#rrggbb"
+ */
+export function hexFromColor(color) {
+    return '#' + Array.from(color.slice(0, 3), value => {
+        return Math.round(255 * Math.min(Math.max(0, value), 1)).toString(16).padStart(2, '0');
+    }).join('');
+}
+
+/**
+ * 色相から色を求める（彩度・明度は一定）
+ * @param {number} hue 0～1（1周で元に戻る）
+ * @param {number} alpha
+ * @param {Float32Array} out 書き込み先
+ * @returns {Float32Array} out
+ */
+export function hueColor(hue, alpha, out) {
+    const saturation = 0.7;
+    const brightness = 0.95;
+    const h = 6 * (hue - Math.floor(hue));
+    for (let channel = 0; channel < 3; ++channel) {
+        // R, G, Bの順に色相を1/3ずつずらす
+        const k = (5 - 2 * channel + h) % 6;
+        const ramp = Math.max(0, Math.min(k, 4 - k, 1));
+        out[channel] = brightness * (1 - saturation * ramp);
+    }
+    out[3] = alpha;
+    return out;
+}
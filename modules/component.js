@@ -30,3 +30,203 @@ export function initButtonGroup(element, listener) {
     onChange();
     listener(element.dataset.value);
 }
+
+
+/**
+ * @typedef TrackListItem
+ * @property {string} name
+ * @property {string} instrument
+ * @property {string} color
+ */
+
+/**
+ * @typedef TrackState
+ * @property {boolean} muted
+ * @property {boolean} soloed
+ * @property {boolean} hidden
+ * @property {string} output
+ */
+
+/**
+ * @typedef SelectOption
+ * @property {string} value
+ * @property {string} label
+ */
+
+/**
+ * 選択肢を更新する（選択中の値は可能な限り維持する）
+ * @param {HTMLSelectElement} select
+ * @param {SelectOption[]} options
+ */
+export function updateSelectOptions(select, options) {
+    const value = select.value;
+
+    select.textContent = '';
+    for (const option of options) {
+        const optionElement = document.createElement('option');
+        optionElement.value = option.value;
+        optionElement.textContent = option.label;
+        select.appendChild(optionElement);
+    }
+
+    if (options.some(option => option.value === value)) {
+        select.value = value;
+    }
+}
+
+/**
+ * パレット（色の並び）の編集欄を構築する
+ * @param {HTMLElement} element
+ * @param {string[]} colors "#rrggbb"の配列
+ * @param {(colors: string[]) => void} listener 色が変更されるたびに編集後の配列で呼ぶ
+ */
+export function initPaletteEditor(element, colors, listener) {
+    element.textContent = '';
+
+    const current = colors.slice();
+    current.forEach((color, index) => {
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.classList.add('palette-color-input');
+        input.value = color;
+        input.addEventListener('input', e => {
+            current[index] = input.value;
+
+            listener(current.slice());
+        });
+        element.appendChild(input);
+    });
+}
+
+/**
+ * トラック一覧を構築する
+ * @param {HTMLElement} element
+ * @param {TrackListItem[]} tracks
+ * @param {SelectOption[]} outputs 出力先の選択肢（空の場合は出力先を選択しない）
+ * @param {(trackIndex: number, state: TrackState) => void} listener
+ */
+export function initTrackList(element, tracks, outputs, listener) {
+    element.textContent = '';
+
+    tracks.forEach((track, trackIndex) => {
+        /** @type {TrackState} */
+        const state = {
+            muted: false,
+            soloed: false,
+            hidden: false,
+            output: outputs.length > 0 ? outputs[0].value : '',
+        };
+
+        const item = document.createElement('div');
+        item.classList.add('track-list-item');
+
+        const colorSpan = document.createElement('span');
+        colorSpan.classList.add('track-color');
+        colorSpan.style.backgroundColor = track.color;
+        item.appendChild(colorSpan);
+
+        const nameSpan = document.createElement('span');
+        nameSpan.classList.add('track-name');
+        nameSpan.textContent = track.name;
+        item.appendChild(nameSpan);
+
+        const instrumentSpan = document.createElement('span');
+        instrumentSpan.classList.add('track-instrument');
+        instrumentSpan.textContent = track.instrument;
+        item.appendChild(instrumentSpan);
+
+        for (const [property, label] of [['muted', '消音'], ['soloed', 'ソロ'], ['hidden', '非表示']]) {
+            const button = document.createElement('button');
+            button.classList.add('track-toggle-button');
+            button.textContent = label;
+            button.addEventListener('click', e => {
+                e.preventDefault();
+
+                state[property] = !state[property];
+                button.classList.toggle('selected', state[property]);
+
+                listener(trackIndex, state);
+            });
+            item.appendChild(button);
+        }
+
+        if (outputs.length > 0) {
+            const select = document.createElement('select');
+            select.classList.add('track-output-select');
+            updateSelectOptions(select, outputs);
+            select.addEventListener('change', e => {
+                state.output = select.value;
+
+                listener(trackIndex, state);
+            });
+            item.appendChild(select);
+        }
+
+        element.appendChild(item);
+    });
+}
+
+
+/**
+ * プレイリストの操作
+ * @typedef {'select' | 'up' | 'down' | 'remove'} PlaylistAction
+ */
+
+/**
+ * プレイリストの一覧を構築する
+ * @param {HTMLElement} element
+ * @param {string[]} names 曲名
+ * @param {number} currentIndex 選択中の曲の添字（未選択の場合は-1）
+ * @param {(action: PlaylistAction, index: number) => void} listener
+ */
+export function initPlaylist(element, names, currentIndex, listener) {
+    element.textContent = '';
+
+    names.forEach((name, index) => {
+        const item = document.createElement('li');
+        item.classList.add('playlist-item');
+        item.classList.toggle('current', index === currentIndex);
+
+        const nameSpan = document.createElement('span');
+        nameSpan.classList.add('playlist-name');
+        nameSpan.textContent = name;
+        nameSpan.addEventListener('click', e => {
+            listener('select', index);
+        });
+        item.appendChild(nameSpan);
+
+        for (const [action, label] of [['up', '↑'], ['down', '↓'], ['remove', '×']]) {
+            const button = document.createElement('button');
+            button.classList.add('track-toggle-button');
+            button.textContent = label;
+            button.disabled = (action === 'up' && index === 0) || (action === 'down' && index === names.length - 1);
+            button.addEventListener('click', e => {
+                e.preventDefault();
+
+                listener(action, index);
+            });
+            item.appendChild(button);
+        }
+
+        element.appendChild(item);
+    });
+}
+
+
+/**
+ * Blobをファイルとしてダウンロードさせる
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = fileName;
+    document.body.appendChild(anchor);
+    anchor.click();
+    anchor.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
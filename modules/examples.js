@@ -0,0 +1,44 @@
+/**
+ * @typedef Example
+ * @property {string} path 画面からの相対パス
+ * @property {string} title
+ */
+
+/**
+ * @typedef ExampleGroup
+ * @property {string} label
+ * @property {Example[]} examples
+ */
+
+
+/**
+ * 同梱のサンプル曲（examples/generate.jsで生成する）
+ * @type {ExampleGroup[]}
+ */
+export const exampleGroups = [
+    {
+        label: '音階',
+        examples: [
+            { path: 'examples/c-major-scale.mid', title: 'ハ長調の音階' },
+            { path: 'examples/a-minor-scales.mid', title: 'イ短調の音階（自然・和声・旋律的）' },
+            { path: 'examples/chromatic-scale.mid', title: '半音階' },
+            { path: 'examples/whole-tone-scale.mid', title: '全音音階' },
+        ],
+    },
+    {
+        label: '終止形',
+        examples: [
+            { path: 'examples/cadences.mid', title: '完全終止・変格終止・偽終止' },
+        ],
+    },
+    {
+        label: '和音進行',
+        examples: [
+            { path: 'examples/canon-progression.mid', title: 'カノン進行' },
+            { path: 'examples/two-five-one.mid', title: 'ツーファイブワン' },
+            { path: 'examples/royal-road-progression.mid', title: '王道進行' },
+            { path: 'examples/circle-progression.mid', title: '五度圏の進行' },
+            { path: 'examples/twelve-bar-blues.mid', title: '12小節のブルース' },
+        ],
+    },
+];
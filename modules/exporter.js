@@ -0,0 +1,273 @@
+import { MelodyPatternRenderer } from './melodyPattern.js';
+import { WebMWriter } from './webm.js';
+
+/**
+ * @typedef ExportOptions
+ * @property {number} startTime 開始時刻（秒）
+ * @property {number} endTime 終了時刻（秒）
+ * @property {number} frameRate フレームレート
+ * @property {number} width 幅（ピクセル）
+ * @property {number} height 高さ（ピクセル）
+ * @property {((frameIndex: number, frameCount: number) => void)=} onProgress
+ */
+
+
+/**
+ * @param {number} milliseconds
+ */
+function sleep(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+/**
+ * キャンバスの現在の内容をPNGにする
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<Blob>}
+ */
+function canvasToPngBlob(canvas) {
+    // toBlobは呼び出し時点の内容を複製するため描画直後に呼ぶこと
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob === null) {
+                reject(new Error("Failed to encode the frame."));
+            } else {
+                resolve(blob);
+            }
+        }, 'image/png');
+    });
+}
+
+
+/**
+ * 描画結果を一定のフレームレート・解像度で書き出すクラス
+ *
+ * 各フレームは再生位置ではなくフレーム番号から求めた時刻で描画する。
+ */
+export class FrameExporter {
+    /**
+     * @param {MelodyPatternRenderer} renderer
+     */
+    constructor(renderer) {
+        this._renderer = renderer;
+        this._canceled = false;
+        this._exporting = false;
+    }
+
+    /**
+     * 書き出し中か（書き出し中は描画先を占有する）
+     * @returns {boolean}
+     */
+    get exporting() {
+        return this._exporting;
+    }
+
+    /**
+     * @param {ExportOptions} options
+     * @returns {number}
+     */
+    static frameCount(options) {
+        return Math.max(1, Math.ceil((options.endTime - options.startTime) * options.frameRate));
+    }
+
+    /**
+     * @param {ExportOptions} options
+     * @param {number} frameIndex
+     * @returns {number}
+     */
+    static frameTime(options, frameIndex) {
+        return options.startTime + frameIndex / options.frameRate;
+    }
+
+    /**
+     * 書き出しを中止する
+     */
+    cancel() {
+        this._canceled = true;
+    }
+
+    /**
+     * PNG連番をディレクトリへ書き出す
+     * @param {FileSystemDirectoryHandle} directory
+     * @param {ExportOptions} options
+     */
+    async exportPngSequence(directory, options) {
+        const frameCount = FrameExporter.frameCount(options);
+        const digits = Math.max(5, String(frameCount).length);
+
+        await this._renderFrames(options, async (canvas, frameIndex) => {
+            const blob = await canvasToPngBlob(canvas);
+
+            const fileName = `frame_${String(frameIndex).padStart(digits, '0')}.png`;
+            const fileHandle = await directory.getFileHandle(fileName, { create: true });
+            const writable = await fileHandle.createWritable();
+            await writable.write(blob);
+            await writable.close();
+        });
+    }
+
+    /**
+     * WebMへ書き出す
+     *
+     * WebCodecsで各フレームにフレーム番号から求めた時刻を付けて符号化するため、描画の速さによらず時刻がずれない。
+     * WebCodecsに対応していないブラウザではMediaRecorderで実時間で記録する。
+     * @param {ExportOptions} options
+     * @returns {Promise<Blob>}
+     */
+    async exportWebM(options) {
+        const config = (typeof VideoEncoder !== 'undefined') ? await FrameExporter._videoEncoderConfig(options) : null;
+        if (config === null) {
+            return this._recordWebM(options);
+        }
+
+        const writer = new WebMWriter({
+            codecId: config.codec.startsWith('vp8') ? 'V_VP8' : 'V_VP9',
+            width: options.width,
+            height: options.height,
+            frameRate: options.frameRate,
+        });
+        let encodeError = null;
+        const encoder = new VideoEncoder({
+            output: chunk => {
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                writer.addFrame(data, chunk.timestamp, chunk.type === 'key');
+            },
+            error: error => {
+                encodeError = error;
+            },
+        });
+        encoder.configure(config);
+
+        // 2秒ごとにキーフレームを入れてシークできるようにする
+        const keyFrameInterval = Math.max(1, Math.round(2 * options.frameRate));
+        try {
+            await this._renderFrames(options, async (canvas, frameIndex) => {
+                if (encodeError !== null) throw encodeError;
+
+                const frame = new VideoFrame(canvas, {
+                    timestamp: Math.round(frameIndex * 1e6 / options.frameRate),
+                    duration: Math.round(1e6 / options.frameRate),
+                });
+                encoder.encode(frame, { keyFrame: frameIndex % keyFrameInterval === 0 });
+                frame.close();
+                // 符号化待ちのフレームが溜まりすぎないようにする
+                while (encoder.encodeQueueSize > 4) {
+                    await sleep(1);
+                }
+            });
+            if (encodeError === null) {
+                await encoder.flush();
+            }
+        } finally {
+            if (encoder.state !== 'closed') {
+                encoder.close();
+            }
+        }
+        if (encodeError !== null) throw encodeError;
+
+        return new Blob([writer.toArray()], { type: 'video/webm' });
+    }
+
+    /**
+     * 使えるコーデックの設定（VP9を優先）
+     * @param {ExportOptions} options
+     * @returns {Promise<VideoEncoderConfig | null>}
+     */
+    static async _videoEncoderConfig(options) {
+        for (const codec of ['vp09.00.10.08', 'vp8']) {
+            const config = {
+                codec: codec,
+                width: options.width,
+                height: options.height,
+                bitrate: 8000000,
+                framerate: options.frameRate,
+            };
+            const support = await VideoEncoder.isConfigSupported(config).catch(error => null);
+            if (support !== null && support.supported) {
+                return config;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * MediaRecorderでWebMへ書き出す
+     *
+     * MediaRecorderは実時間で記録するため、フレームレートに合わせて待ちながら描画する。
+     * 描画が間に合わないとフレームの時刻がずれるので、正確な時刻が必要な場合はPNG連番を使う。
+     * @param {ExportOptions} options
+     * @returns {Promise<Blob>}
+     */
+    async _recordWebM(options) {
+        const canvas = this._renderer.canvas;
+        const stream = canvas.captureStream(0);
+        const [track] = stream.getVideoTracks();
+
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type));
+        const recorder = new MediaRecorder(stream, {
+            mimeType: mimeType,
+            videoBitsPerSecond: 8000000,
+        });
+        const chunks = [];
+        recorder.addEventListener('dataavailable', e => {
+            chunks.push(e.data);
+        });
+        const stopped = new Promise(resolve => {
+            recorder.addEventListener('stop', resolve);
+        });
+
+        recorder.start();
+        try {
+            await this._renderFrames(options, async (canvas, frameIndex) => {
+                track.requestFrame();
+                await sleep(1000 / options.frameRate);
+            });
+        } finally {
+            recorder.stop();
+            await stopped;
+            track.stop();
+        }
+
+        return new Blob(chunks, { type: 'video/webm' });
+    }
+
+    /**
+     * 解像度を固定して全フレームを描画する
+     * @param {ExportOptions} options
+     * @param {(canvas: HTMLCanvasElement, frameIndex: number) => Promise<void>} onFrame
+     */
+    async _renderFrames(options, onFrame) {
+        const renderer = this._renderer;
+        const frameCount = FrameExporter.frameCount(options);
+
+        const marginTop = renderer.marginTop;
+        const marginBottom = renderer.marginBottom;
+        renderer.marginTop = 0;
+        renderer.marginBottom = 0;
+        renderer.setFixedSize({ width: options.width, height: options.height });
+        // 描画オフセットを開始時刻から求め直す
+        renderer.resetOffsets();
+
+        this._canceled = false;
+        this._exporting = true;
+        try {
+            for (let frameIndex = 0; frameIndex < frameCount; ++frameIndex) {
+                if (this._canceled) break;
+
+                renderer.render(FrameExporter.frameTime(options, frameIndex));
+                await onFrame(renderer.canvas, frameIndex);
+
+                if (options.onProgress) {
+                    options.onProgress(frameIndex + 1, frameCount);
+                }
+            }
+        } finally {
+            this._exporting = false;
+            renderer.marginTop = marginTop;
+            renderer.marginBottom = marginBottom;
+            renderer.setFixedSize(null);
+            renderer.resetOffsets();
+        }
+    }
+};
@@ -0,0 +1,333 @@
+import { upperBound } from "./binarySearch.js";
+
+/**
+ * @typedef Key
+ * @property {number} tonic 主音のピッチクラス（0～11、Cが0）
+ * @property {'major' | 'minor'} mode
+ */
+
+/**
+ * @typedef KeyRegion
+ * @property {number} measures 開始位置（ticksToFixedMeasuresの小節位置）
+ * @property {number} time 開始時刻（秒）
+ * @property {Key} key
+ */
+
+/**
+ * @typedef Chord
+ * @property {number} time 開始時刻（秒）
+ * @property {number} endTime 終了時刻（秒）
+ * @property {number} root 根音のピッチクラス
+ * @property {string} suffix 種類を表す記号（例: "m7"）
+ * @property {number[]} pitchClasses 構成音のピッチクラス
+ */
+
+
+/**
+ * Krumhansl-Kesslerの調性プロファイル（主音からの半音数ごと）
+ */
+const majorProfile = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const minorProfile = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+const pitchClassNames = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+/**
+ * 和音の種類（根音からの半音数）
+ */
+const chordTemplates = [
+    { suffix: '', intervals: [0, 4, 7] },
+    { suffix: 'm', intervals: [0, 3, 7] },
+    { suffix: 'dim', intervals: [0, 3, 6] },
+    { suffix: 'aug', intervals: [0, 4, 8] },
+    { suffix: 'sus4', intervals: [0, 5, 7] },
+    { suffix: '7', intervals: [0, 4, 7, 10] },
+    { suffix: 'maj7', intervals: [0, 4, 7, 11] },
+    { suffix: 'm7', intervals: [0, 3, 7, 10] },
+    { suffix: 'm7b5', intervals: [0, 3, 6, 10] },
+];
+
+/**
+ * 和音とみなすのに必要なピッチクラスの数（単音や2音では和音を決められない）
+ */
+const minChordPitchClasses = 3;
+
+/**
+ * 小節ごとの調の推定に用いる前後の小節数
+ */
+const keyWindowBefore = 3;
+const keyWindowAfter = 3;
+/**
+ * 転調とみなす相関係数の差
+ */
+const keyChangeMargin = 0.1;
+
+
+/**
+ * @param {number} value
+ * @returns {number} 0～11
+ */
+function pitchClassOf(value) {
+    return ((Math.round(value) % 12) + 12) % 12;
+}
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} ピアソンの相関係数
+ */
+function correlation(a, b) {
+    const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+    const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    for (let index = 0; index < a.length; ++index) {
+        covariance += (a[index] - meanA) * (b[index] - meanB);
+        varianceA += (a[index] - meanA) ** 2;
+        varianceB += (b[index] - meanB) ** 2;
+    }
+    if (varianceA === 0 || varianceB === 0) return 0;
+    return covariance / Math.sqrt(varianceA * varianceB);
+}
+
+/**
+ * ピッチクラスの分布と各調のプロファイルの相関
+ * @param {number[]} histogram
+ * @returns {{key: Key, score: number}[]} 24調分
+ */
+function keyScores(histogram) {
+    const scores = [];
+    for (let tonic = 0; tonic < 12; ++tonic) {
+        const rotated = histogram.map((value, pitchClass) => histogram[(pitchClass + tonic) % 12]);
+        scores.push({ key: { tonic: tonic, mode: 'major' }, score: correlation(rotated, majorProfile) });
+        scores.push({ key: { tonic: tonic, mode: 'minor' }, score: correlation(rotated, minorProfile) });
+    }
+    return scores;
+}
+
+/**
+ * @param {number[]} histogram
+ * @returns {{key: Key, score: number}?}
+ */
+function bestKey(histogram) {
+    if (histogram.every(value => value === 0)) return null;
+
+    return keyScores(histogram).reduce((best, entry) => (entry.score > best.score) ? entry : best);
+}
+
+/**
+ * 1拍分のピッチクラスの重みから和音を推定する
+ * @param {number[]} weights
+ * @param {number?} bass 最低音のピッチクラス
+ * @returns {{root: number, suffix: string, pitchClasses: number[]}?}
+ */
+function estimateChord(weights, bass) {
+    if (weights.filter(value => value > 0).length < minChordPitchClasses) return null;
+    const total = weights.reduce((sum, value) => sum + value, 0);
+    const normalized = weights.map(value => value / total);
+
+    let best = null;
+    let bestScore = -Infinity;
+    for (let root = 0; root < 12; ++root) {
+        for (const template of chordTemplates) {
+            const pitchClasses = template.intervals.map(interval => (root + interval) % 12);
+            let score = 0;
+            normalized.forEach((weight, pitchClass) => {
+                score += pitchClasses.includes(pitchClass) ? weight : -weight;
+            });
+            // 鳴っていない構成音・四和音の第7音は控えめに評価する
+            score -= 0.15 * pitchClasses.filter(pitchClass => normalized[pitchClass] === 0).length;
+            score -= 0.02 * (pitchClasses.length - 3);
+            if (bass === root) {
+                score += 0.1;
+            }
+            if (score > bestScore) {
+                bestScore = score;
+                best = { root: root, suffix: template.suffix, pitchClasses: pitchClasses };
+            }
+        }
+    }
+    return best;
+}
+
+
+/**
+ * 和声解析の結果を保持するクラス
+ */
+export class HarmonyAnalysis {
+    /**
+     * @param {Key?} key 曲全体の調
+     * @param {KeyRegion[]} keyRegions 小節ごとの調の変化（時刻順）
+     * @param {Chord[]} chords 拍ごとの和音（時刻順、同じ和音が続く拍はまとめる）
+     */
+    constructor(key, keyRegions, chords) {
+        this.key = key;
+        this.keyRegions = keyRegions;
+        this.chords = chords;
+    }
+
+    /**
+     * 指定時刻の調
+     * @param {number} seconds
+     * @returns {Key?}
+     */
+    keyAt(seconds) {
+        const count = upperBound(this.keyRegions, seconds, region => region.time);
+        return (count > 0) ? this.keyRegions[count - 1].key : this.key;
+    }
+
+    /**
+     * 指定時刻の和音
+     * @param {number} seconds
+     * @returns {Chord?}
+     */
+    chordAt(seconds) {
+        const count = upperBound(this.chords, seconds, chord => chord.time);
+        if (count === 0) return null;
+
+        const chord = this.chords[count - 1];
+        return (seconds < chord.endTime) ? chord : null;
+    }
+};
+
+
+/**
+ * 拍の区切り位置（tick）を拍子記号に従って求める
+ * @param {Score} score
+ * @param {number} endTicks
+ * @returns {number[]}
+ */
+function beatTicksOf(score, endTicks) {
+    const ppq = score.header.ppq;
+    const timeSignatures = (score.header.timeSignatures.length > 0)
+        ? score.header.timeSignatures
+        : [{ ticks: 0, timeSignature: [4, 4] }];
+
+    const beats = [];
+    timeSignatures.forEach((event, index) => {
+        const next = (index + 1 < timeSignatures.length) ? timeSignatures[index + 1].ticks : endTicks;
+        const beatTicks = 4 * ppq / event.timeSignature[1];
+        for (let ticks = event.ticks; ticks < next; ticks += beatTicks) {
+            beats.push(ticks);
+        }
+    });
+    beats.push(endTicks);
+    return beats;
+}
+
+/**
+ * 演奏情報の調・和音を推定する
+ * @param {Score} score
+ * @returns {HarmonyAnalysis}
+ */
+export function analyzeHarmony(score) {
+    const notes = score.notes;
+    if (notes.length === 0) {
+        return new HarmonyAnalysis(null, [], []);
+    }
+
+    // 調：小節ごとのピッチクラス分布（長さ・強さで重み付け）
+    const measureCount = Math.floor(notes.reduce((max, note) => Math.max(max, note.measures), 0)) + 1;
+    const measureHistograms = Array.from({ length: measureCount }, () => new Array(12).fill(0));
+    const histogram = new Array(12).fill(0);
+    notes.forEach(note => {
+        const weight = note.duration * note.velocity;
+        const pitchClass = pitchClassOf(note.midi);
+        measureHistograms[Math.max(0, Math.floor(note.measures))][pitchClass] += weight;
+        histogram[pitchClass] += weight;
+    });
+    const globalKey = bestKey(histogram);
+    if (globalKey === null) {
+        return new HarmonyAnalysis(null, [], []);
+    }
+    const key = globalKey.key;
+
+    const keyRegions = [{ measures: 0, time: 0.0, key: key }];
+    let currentKey = key;
+    for (let measure = 0; measure < measureCount; ++measure) {
+        const windowHistogram = new Array(12).fill(0);
+        for (let index = Math.max(0, measure - keyWindowBefore); index <= Math.min(measureCount - 1, measure + keyWindowAfter); ++index) {
+            measureHistograms[index].forEach((value, pitchClass) => {
+                windowHistogram[pitchClass] += value;
+            });
+        }
+        if (windowHistogram.every(value => value === 0)) continue;
+
+        // 現在の調より明らかに合う調がある場合のみ転調とみなす
+        const scores = keyScores(windowHistogram);
+        const best = scores.reduce((best, entry) => (entry.score > best.score) ? entry : best);
+        const current = scores.find(entry => entry.key.tonic === currentKey.tonic && entry.key.mode === currentKey.mode);
+        if (best.score - current.score > keyChangeMargin) {
+            currentKey = best.key;
+            const last = keyRegions[keyRegions.length - 1];
+            if (last.measures === measure) {
+                last.key = currentKey;
+            } else {
+                keyRegions.push({
+                    measures: measure,
+                    time: score.ticksToSeconds(score.fixedMeasuresToTicks(measure)),
+                    key: currentKey,
+                });
+            }
+        }
+    }
+
+    // 和音：拍ごとのピッチクラスの鳴っている長さ
+    const endTicks = notes.reduce((max, note) => Math.max(max, note.ticks + note.durationTicks), 0);
+    const beats = beatTicksOf(score, endTicks);
+    const beatWeights = Array.from({ length: beats.length - 1 }, () => new Array(12).fill(0));
+    const beatBasses = new Array(beats.length - 1).fill(Infinity);
+    notes.forEach(note => {
+        const start = note.ticks;
+        const end = note.ticks + note.durationTicks;
+        const pitchClass = pitchClassOf(note.midi);
+        for (let beat = Math.max(0, upperBound(beats, start) - 1); beat < beatWeights.length && beats[beat] < end; ++beat) {
+            const overlap = Math.min(end, beats[beat + 1]) - Math.max(start, beats[beat]);
+            if (overlap <= 0) continue;
+
+            beatWeights[beat][pitchClass] += overlap * note.velocity;
+            beatBasses[beat] = Math.min(beatBasses[beat], note.midi);
+        }
+    });
+
+    const chords = [];
+    beatWeights.forEach((weights, beat) => {
+        const bass = Number.isFinite(beatBasses[beat]) ? pitchClassOf(beatBasses[beat]) : null;
+        const chord = estimateChord(weights, bass);
+        if (chord === null) return;
+
+        const time = score.ticksToSeconds(beats[beat]);
+        const endTime = score.ticksToSeconds(beats[beat + 1]);
+        const last = chords[chords.length - 1];
+        if (last !== undefined && last.endTime === time && last.root === chord.root && last.suffix === chord.suffix) {
+            last.endTime = endTime;
+        } else {
+            chords.push({ time: time, endTime: endTime, ...chord });
+        }
+    });
+
+    return new HarmonyAnalysis(key, keyRegions, chords);
+}
+
+/**
+ * @param {Key?} key
+ * @param {number} transposition 移調量（半音単位）
+ * @returns {string}
+ */
+export function keyName(key, transposition = 0) {
+    if (key === null) return '';
+
+    const tonic = pitchClassNames[pitchClassOf(key.tonic + transposition)];
+    return (key.mode === 'major') ? `${tonic} major` : `${tonic} minor`;
+}
+
+/**
+ * @param {Chord?} chord
+ * @param {number} transposition 移調量（半音単位）
+ * @returns {string}
+ */
+export function chordName(chord, transposition = 0) {
+    if (chord === null) return 'N.C.';
+
+    return pitchClassNames[pitchClassOf(chord.root + transposition)] + chord.suffix;
+}
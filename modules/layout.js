@@ -0,0 +1,419 @@
+import { upperBound } from "./binarySearch.js";
+
+/**
+ * 時刻順に並んだ描画対象（ノート・パーカッション）
+ * @typedef TimedEvent
+ * @property {number} time 発音時刻（秒）
+ * @property {number} duration 長さ（秒）
+ */
+
+
+// 描画オフセットを探索し直す時刻の変化量（シーク判定）
+const seekingThreshold = 1.0;
+
+/**
+ * 渦巻きの内側・外側の端に置くノート番号（C1・C8）
+ */
+export const spiralLowestPitch = 24;
+export const spiralHighestPitch = 108;
+/**
+ * 渦巻きの内側の端の半径（外側の端に対する比）
+ */
+const spiralInnerRatio = 0.1;
+
+
+/**
+ * 描画対象の範囲（時刻順の配列の添字）を時刻の進行に合わせて追跡するクラス
+ *
+ * [released, attacked) が発音中、[attacked, appeared) が発生済みで未発音の範囲。
+ * 時刻が少しずつ進む間は前回の位置から走査し、巻き戻し・大きな移動では二分探索し直す。
+ */
+export class OffsetWindow {
+    /**
+     * @param {boolean} withDuration 消滅時刻に長さを含めるか（パーカッションは含めない）
+     */
+    constructor(withDuration = true) {
+        this.withDuration = withDuration;
+        /**
+         * 消滅済みの数
+         */
+        this.released = 0;
+        /**
+         * 発音済みの数
+         */
+        this.attacked = 0;
+        /**
+         * 発生済みの数
+         */
+        this.appeared = 0;
+        /**
+         * 最長の長さ（二分探索で消滅済みの範囲を求める際に用いる）
+         */
+        this.maxDuration = 0;
+        /**
+         * 二分探索せずに先頭から走査するか
+         *
+         * 生演奏では押鍵中のノートの長さが定まらないため、巻き戻し時も先頭から走査し直す。
+         */
+        this.sequential = false;
+        this.lastTime = 0;
+    }
+
+    reset() {
+        this.released = 0;
+        this.attacked = 0;
+        this.appeared = 0;
+        this.lastTime = 0;
+    }
+
+    /**
+     * 前回の時刻から不連続に移動したか
+     * @param {number} currentTime
+     * @returns {boolean}
+     */
+    isSeeking(currentTime) {
+        if (currentTime < this.lastTime) return true;
+        if (this.sequential) return false;
+
+        return currentTime - this.lastTime > seekingThreshold;
+    }
+
+    /**
+     * イベントが取り除かれた分だけ範囲をずらす
+     * @param {number[]} indices 取り除かれたイベントの元の位置（昇順）
+     */
+    discard(indices) {
+        // 各位置より前で取り除かれた数だけ戻す
+        const countBefore = offset => upperBound(indices, offset - 1);
+        this.released -= countBefore(this.released);
+        this.attacked -= countBefore(this.attacked);
+        this.appeared -= countBefore(this.appeared);
+    }
+
+    /**
+     * 範囲を二分探索で移動する
+     * @param {TimedEvent[]} events
+     * @param {number} currentTime
+     * @param {number} appearingTime 発音時刻に対する発生時刻（負の値）
+     * @param {number} releasingTime 終了後に表示し続ける時間
+     */
+    seek(events, currentTime, appearingTime, releasingTime = 0.0) {
+        if (this.sequential) {
+            this.reset();
+            return;
+        }
+
+        const time = event => event.time;
+        // 最長のものより前に発音したものは消滅済み
+        const maxDuration = this.withDuration ? this.maxDuration : 0.0;
+        this.released = upperBound(events, currentTime - maxDuration - releasingTime, time);
+        this.attacked = upperBound(events, currentTime, time);
+        this.appeared = upperBound(events, currentTime - appearingTime, time);
+        this.lastTime = currentTime;
+    }
+
+    /**
+     * 範囲を現在時刻まで進める
+     * @param {TimedEvent[]} events
+     * @param {number} currentTime
+     * @param {number} appearingTime 発音時刻に対する発生時刻（負の値）
+     * @param {number} releasingTime 終了後に表示し続ける時間
+     */
+    update(events, currentTime, appearingTime, releasingTime = 0.0) {
+        const length = events.length;
+
+        if (this.isSeeking(currentTime)) {
+            this.seek(events, currentTime, appearingTime, releasingTime);
+        }
+
+        for (; this.released < length; ++this.released) {
+            const event = events[this.released];
+            const duration = this.withDuration ? event.duration : 0.0;
+            if (currentTime < event.time + duration + releasingTime) break;
+        }
+
+        this.attacked = Math.max(this.attacked, this.released);
+        for (; this.attacked < length; ++this.attacked) {
+            const event = events[this.attacked];
+            if (currentTime < event.time) break;
+        }
+
+        this.appeared = Math.max(this.appeared, this.attacked);
+        for (; this.appeared < length; ++this.appeared) {
+            const event = events[this.appeared];
+            if (currentTime < event.time + appearingTime) break;
+        }
+
+        this.lastTime = currentTime;
+    }
+};
+
+
+/**
+ * @param {number} a 正の整数
+ * @param {number} b 正の整数
+ * @returns {number} 最大公約数
+ */
+export function greatestCommonDivisor(a, b) {
+    while (b !== 0) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+/**
+ * 位相を計算する
+ * @param {number} midi ノート番号（小数可）
+ * @param {number} key 移調量（半音）
+ * @param {number} referencePitch 位相の基準となるノート番号
+ * @param {number} numerator 位相係数分子
+ * @param {number} denominator 位相係数分母
+ * @returns {number} ラジアン
+ */
+export function calculateTheta(midi, key, referencePitch, numerator, denominator) {
+    return 2 * Math.PI * (midi + key - referencePitch) * numerator / denominator;
+}
+
+/**
+ * 内方向に流れるノートの中心からの距離（時間単位）
+ * @param {number} currentTime
+ * @param {number} time
+ * @param {number} duration
+ * @returns {number}
+ */
+export function inwardViewOffset(currentTime, time, duration) {
+    return (time - currentTime) + 0.5 * duration;
+}
+
+/**
+ * 外方向に流れるノートの中心からの距離（時間単位）
+ * @param {number} currentTime
+ * @param {number} appearingTime
+ * @param {number} time
+ * @param {number} duration
+ * @returns {number}
+ */
+export function outwardViewOffset(currentTime, appearingTime, time, duration) {
+    return -((time + appearingTime - currentTime) + 0.5 * duration);
+}
+
+
+/**
+ * 1フレーム分のノートの配置（中心からの位置・大きさ）を計算するクラス
+ */
+export class NoteLayout {
+    constructor() {
+        /**
+         * 位相係数分子
+         */
+        this.circleNumerator = 7;
+        /**
+         * 位相係数分母
+         */
+        this.circleDenominator = 12;
+        /**
+         * 位相の基準となるノート番号
+         */
+        this.referencePitch = 72;
+        /**
+         * 移調量（半音）
+         */
+        this.key = 0;
+        /**
+         * ノート方向
+         *
+         * inward・outwardは中心からの距離が時刻を表し、spiralは音の高さを表す。
+         * piano rollは横軸が時刻、縦軸が音の高さ（または円周上の位置）の直交座標で表す。
+         * @type {'inward' | 'outward' | 'spiral' | 'piano roll'}
+         */
+        this.direction = 'inward';
+        /**
+         * ピアノロールの行の並び
+         *
+         * - chromatic: 半音順（行は移調後に鳴る音を表す）
+         * - circle: 円周上の位置の順（五度圏では五度順）
+         * @type {'chromatic' | 'circle'}
+         */
+        this.pianoRollOrder = 'chromatic';
+        /**
+         * ピアノロールの半音順の行に含めるノート番号の範囲（移調前）
+         */
+        this.lowestPitch = 36;
+        this.highestPitch = 96;
+
+        /**
+         * 以下はsetFrameで求める値
+         */
+        this.currentTime = 0;
+        /**
+         * ノートが1周分の距離を流れる時間
+         */
+        this.circleTime = 4.0;
+        /**
+         * 1秒あたりの距離（ピクセル）
+         */
+        this.unitSize = 1.0;
+        /**
+         * 渦巻きの外側の端の半径（ピクセル）
+         */
+        this.radius = 1.0;
+        /**
+         * 発音時刻に対する発生時刻（負の値）
+         */
+        this.appearingTime = -this.circleTime * 6 / 7;
+        /**
+         * 終了後に表示し続ける時間（ピアノロールで左端に流れ去るまで）
+         */
+        this.releasingTime = 0.0;
+        /**
+         * ピアノロールの現在時刻の位置x・最下行の下端y・行数・行の高さ（ピクセル）
+         */
+        this.playheadX = 0;
+        this.bottom = 0;
+        this.rowCount = 1;
+        this.rowHeight = 1;
+
+        /**
+         * placeの結果（中心x・中心y・大きさ、ピクセル）
+         */
+        this.x = 0;
+        this.y = 0;
+        this.size = 0;
+    }
+
+    /**
+     * フレームごとの時刻・表示領域を設定する
+     * @param {number} currentTime
+     * @param {number} magnification ノート拡大率（パーセント）
+     * @param {number} width 表示領域の幅（ピクセル）
+     * @param {number} height 表示領域の高さ（ピクセル）
+     */
+    setFrame(currentTime, magnification, width, height) {
+        this.currentTime = currentTime;
+        this.circleTime = 4.0 / Math.max(0.01, magnification / 100);
+        this.unitSize = 0.8 * Math.min(width, height) / this.circleTime;
+        this.radius = 0.45 * Math.min(width, height);
+        this.releasingTime = 0.0;
+        switch (this.direction) {
+            case 'outward':
+                this.appearingTime = -this.circleTime * 0.5;
+                break;
+            case 'spiral':
+                this.appearingTime = -this.circleTime * 0.25;
+                break;
+            case 'piano roll':
+                // 左から1/4の位置で発音し、右端から現れて左端へ流れ去る
+                this.playheadX = -0.25 * width;
+                this.appearingTime = -(0.5 * width - this.playheadX) / this.unitSize;
+                this.releasingTime = (this.playheadX + 0.5 * width) / this.unitSize;
+                this.rowCount = (this.pianoRollOrder === 'circle')
+                    ? this.circleDenominator / greatestCommonDivisor(this.circleNumerator, this.circleDenominator)
+                    : this.highestPitch - this.lowestPitch + 1;
+                this.rowHeight = 0.9 * height / this.rowCount;
+                this.bottom = -0.45 * height;
+                break;
+            default:
+                this.appearingTime = -this.circleTime * 6 / 7;
+                break;
+        }
+    }
+
+    /**
+     * @param {number} midi
+     * @returns {number}
+     */
+    theta(midi) {
+        return calculateTheta(midi, this.key, this.referencePitch, this.circleNumerator, this.circleDenominator);
+    }
+
+    /**
+     * @param {number} time
+     * @param {number} duration
+     * @returns {number} inward・outwardでの中心からの距離（時間単位）
+     */
+    viewOffset(time, duration) {
+        switch (this.direction) {
+            case 'outward':
+                return outwardViewOffset(this.currentTime, this.appearingTime, time, duration);
+            default:
+                return inwardViewOffset(this.currentTime, time, duration);
+        }
+    }
+
+    /**
+     * ピアノロールの行の位置（最下行が0、小数の場合は行の間）
+     *
+     * 円周上の位置の順では位相の1周を行数で分け、移調すると円周と同じだけ行が移る。
+     * @param {number} midi ピッチベンドを含むノート番号
+     * @returns {number}
+     */
+    rowOf(midi) {
+        if (this.pianoRollOrder === 'circle') {
+            // 位相を経由せずに求め、整数のノート番号が計算誤差で行の間にならないようにする
+            const denominator = this.circleDenominator;
+            const position = ((midi + this.key - this.referencePitch) * this.circleNumerator % denominator + denominator) % denominator;
+            return position * this.rowCount / denominator;
+        }
+        return midi - this.lowestPitch;
+    }
+
+    /**
+     * 渦巻きでの中心からの距離
+     *
+     * 移調後に鳴る音の高さに比例させ、同じ音名でもオクターブごとに異なる位置に置く。
+     * @param {number} midi
+     * @returns {number} ピクセル
+     */
+    spiralRadius(midi) {
+        const ratio = (midi + this.key - spiralLowestPitch) / (spiralHighestPitch - spiralLowestPitch);
+        return this.radius * (spiralInnerRatio + (1.0 - spiralInnerRatio) * Math.min(Math.max(0.0, ratio), 1.0));
+    }
+
+    /**
+     * 渦巻きでのノートの大きさ
+     *
+     * 発生から発音までに大きくなり、発音中は終了に向けて半分まで小さくなる。
+     * @param {number} time
+     * @param {number} duration
+     * @returns {number} ピクセル
+     */
+    spiralSize(time, duration) {
+        const size = 0.25 * this.unitSize;
+        const offset = this.currentTime - time;
+        if (offset < 0) {
+            return size * Math.max(0.0, 1.0 - offset / this.appearingTime);
+        }
+        return size * (1.0 - 0.5 * Math.min(1.0, (duration > 0) ? offset / duration : 1.0));
+    }
+
+    /**
+     * ノートの中心位置・大きさを求め、x・y・sizeに書き込む
+     *
+     * ピアノロールではsizeは横幅で、高さはrowHeightによる。
+     * @param {number} time
+     * @param {number} duration
+     * @param {number} midi ピッチベンドを含むノート番号
+     */
+    place(time, duration, midi) {
+        if (this.direction === 'piano roll') {
+            this.x = this.playheadX + (time + 0.5 * duration - this.currentTime) * this.unitSize;
+            this.y = this.bottom + (this.rowOf(midi) + 0.5) * this.rowHeight;
+            this.size = this.unitSize * duration;
+            return;
+        }
+
+        const theta = this.theta(midi);
+        if (this.direction === 'spiral') {
+            const radius = this.spiralRadius(midi);
+            this.x = radius * Math.cos(theta);
+            this.y = radius * Math.sin(theta);
+            this.size = this.spiralSize(time, duration);
+            return;
+        }
+
+        const viewOffset = this.viewOffset(time, duration);
+        this.x = this.unitSize * viewOffset * Math.cos(theta);
+        this.y = this.unitSize * viewOffset * Math.sin(theta);
+        this.size = this.unitSize * duration;
+    }
+};
@@ -0,0 +1,368 @@
+import { upperBound } from "./binarySearch.js";
+
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xB0;
+const PITCH_BEND = 0xE0;
+
+const SUSTAIN = 64;
+const PITCH_BEND_RANGE = 2;
+
+const PERCUSSION_CHANNEL = 9;
+const PERCUSSION_DURATION = 0.1;
+
+const PPQ = 480;
+
+
+/**
+ * 生演奏の入力を演奏情報として保持するクラス
+ *
+ * Scoreと同じ形のnotes・percussionsを持ち、MelodyPatternRendererへ直接適用できる。
+ */
+export class LiveInput {
+    /**
+     * @param {() => number} now 現在時刻（秒）を返す関数
+     */
+    constructor(now = () => performance.now() / 1000) {
+        this._now = now;
+        this._origin = now();
+
+        this.name = 'Live';
+        /**
+         * 拍節の計算に用いるテンポ（BPM）
+         */
+        this.bpm = 120;
+        /**
+         * 1小節あたりの拍数
+         */
+        this.beatsPerMeasure = 4;
+
+        this.notes = [];
+        this.percussions = [];
+
+        /**
+         * 押鍵中のノート（キーは"チャンネル:ノート番号"）
+         * @type {Map<string, Object>}
+         */
+        this._heldNotes = new Map();
+        /**
+         * 離鍵後にサステインペダルで伸ばしているノート（キーは"チャンネル:ノート番号"）
+         * @type {Map<string, Object>}
+         */
+        this._sustainedNotes = new Map();
+        /**
+         * サステインペダルを踏んでいるチャンネル
+         * @type {Set<number>}
+         */
+        this._sustainingChannels = new Set();
+        /**
+         * チャンネルごとのピッチベンド（時刻順）
+         * @type {Map<number, {time: number, value: number}[]>}
+         */
+        this._pitchBends = new Map();
+        /**
+         * 受信中のイベント発生源
+         * @type {Set<EventTarget>}
+         */
+        this._targets = new Set();
+        this._midiAccess = null;
+
+        this._onMessage = e => {
+            this.receive(e.data);
+        };
+    }
+
+    /**
+     * Web MIDI APIの入力デバイスから生成する
+     * @returns {Promise<LiveInput?>}
+     */
+    static async request() {
+        if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
+            return null;
+        }
+        try {
+            const liveInput = new LiveInput();
+            liveInput.listenMidiAccess(await navigator.requestMIDIAccess());
+            return liveInput;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * 入力開始からの経過時刻（秒）
+     * @returns {number}
+     */
+    get currentTime() {
+        return this._now() - this._origin;
+    }
+
+    /**
+     * midimessageイベントの発生源から受信する
+     * @param {EventTarget} target MIDIInputまたは同等のイベント発生源
+     */
+    listen(target) {
+        if (this._targets.has(target)) return;
+
+        target.addEventListener('midimessage', this._onMessage);
+        this._targets.add(target);
+    }
+
+    /**
+     * @param {EventTarget} target
+     */
+    unlisten(target) {
+        target.removeEventListener('midimessage', this._onMessage);
+        this._targets.delete(target);
+    }
+
+    /**
+     * MIDIAccessの全入力デバイスから受信する（後から接続されたデバイスを含む）
+     * @param {{inputs: Map<string, EventTarget>, onstatechange?: Function?}} midiAccess
+     */
+    listenMidiAccess(midiAccess) {
+        this._midiAccess = midiAccess;
+
+        const listenAll = () => {
+            for (const input of midiAccess.inputs.values()) {
+                this.listen(input);
+            }
+        };
+        midiAccess.onstatechange = listenAll;
+        listenAll();
+    }
+
+    /**
+     * 全てのイベント発生源からの受信を止める
+     */
+    close() {
+        for (const target of Array.from(this._targets)) {
+            this.unlisten(target);
+        }
+        if (this._midiAccess !== null) {
+            this._midiAccess.onstatechange = null;
+            this._midiAccess = null;
+        }
+        this.releaseAll();
+    }
+
+    /**
+     * MIDIメッセージを解釈する
+     * @param {ArrayLike<number>} data
+     */
+    receive(data) {
+        if (data.length < 3) return;
+
+        const command = data[0] & 0xF0;
+        const channel = data[0] & 0x0F;
+
+        switch (command) {
+            case NOTE_ON:
+            case NOTE_OFF: {
+                const midi = data[1];
+                const velocity = data[2];
+                if (command === NOTE_ON && velocity > 0) {
+                    this.noteOn(channel, midi, velocity / 127);
+                } else {
+                    this.noteOff(channel, midi);
+                }
+                break;
+            }
+            case CONTROL_CHANGE:
+                if (data[1] === SUSTAIN) {
+                    this.sustain(channel, data[2] >= 64);
+                }
+                break;
+            case PITCH_BEND:
+                this.pitchBend(channel, (data[1] + (data[2] << 7) - 8192) / 8192);
+                break;
+        }
+    }
+
+    /**
+     * @param {number} channel
+     * @param {number} midi
+     * @param {number} velocity 0.0～1.0の強さ
+     */
+    noteOn(channel, midi, velocity) {
+        this.noteOff(channel, midi);
+        this._releaseNote(this._sustainedNotes, `${channel}:${midi}`);
+
+        const time = this.currentTime;
+        const ticks = this.secondsToTicks(time);
+        const note = {
+            trackIndex: channel,
+            midi: midi,
+            time: time,
+            ticks: ticks,
+            velocity: velocity,
+            duration: 0.0,
+            measures: this.ticksToFixedMeasures(ticks),
+        };
+
+        if (channel === PERCUSSION_CHANNEL) {
+            note.duration = PERCUSSION_DURATION;
+            this.percussions.push(note);
+        } else {
+            this._heldNotes.set(`${channel}:${midi}`, note);
+            this.notes.push(note);
+        }
+    }
+
+    /**
+     * @param {number} channel
+     * @param {number} midi
+     */
+    noteOff(channel, midi) {
+        const key = `${channel}:${midi}`;
+        const note = this._heldNotes.get(key);
+        if (note === undefined) return;
+
+        this._heldNotes.delete(key);
+        if (this._sustainingChannels.has(channel)) {
+            // ペダルを離すまで伸ばし続ける
+            this._sustainedNotes.set(key, note);
+        } else {
+            note.duration = this.currentTime - note.time;
+        }
+    }
+
+    /**
+     * @param {number} channel
+     * @param {boolean} sustaining サステインペダルを踏んでいるか
+     */
+    sustain(channel, sustaining) {
+        if (sustaining) {
+            this._sustainingChannels.add(channel);
+            return;
+        }
+
+        this._sustainingChannels.delete(channel);
+        for (const key of Array.from(this._sustainedNotes.keys())) {
+            if (key.startsWith(`${channel}:`)) {
+                this._releaseNote(this._sustainedNotes, key);
+            }
+        }
+    }
+
+    /**
+     * @param {number} channel
+     * @param {number} value -1.0～1.0のベンド量
+     */
+    pitchBend(channel, value) {
+        if (!this._pitchBends.has(channel)) {
+            this._pitchBends.set(channel, []);
+        }
+        this._pitchBends.get(channel).push({ time: this.currentTime, value: value });
+    }
+
+    /**
+     * 指定時刻のピッチベンド
+     * @param {number} trackIndex チャンネル番号
+     * @param {number} seconds
+     * @returns {number} ベンド量（半音単位）
+     */
+    pitchBendAt(trackIndex, seconds) {
+        const bends = this._pitchBends.get(trackIndex);
+        if (bends === undefined) return 0.0;
+
+        const count = upperBound(bends, seconds, bend => bend.time);
+        return (count > 0) ? bends[count - 1].value * PITCH_BEND_RANGE : 0.0;
+    }
+
+    /**
+     * 指定時刻より前に鳴り終えたノート・パーカッションを捨てる
+     *
+     * 表示し終えたものを捨てて保持する数を抑える。鳴っているノートは残し、残りは時刻順のまま詰める。
+     * @param {number} seconds
+     * @returns {{notes: number[], percussions: number[]}} 捨てたものの元の位置（昇順）
+     */
+    discardBefore(seconds) {
+        const sounding = new Set([...this._heldNotes.values(), ...this._sustainedNotes.values()]);
+        const discard = notes => {
+            const indices = [];
+            let count = 0;
+            notes.forEach((note, index) => {
+                if (!sounding.has(note) && note.time + note.duration < seconds) {
+                    indices.push(index);
+                } else {
+                    notes[count++] = note;
+                }
+            });
+            notes.length = count;
+            return indices;
+        };
+
+        const noteIndices = discard(this.notes);
+        const percussionIndices = discard(this.percussions);
+
+        // 指定時刻の値を求められるよう、それ以前のピッチベンドは最後の1つだけ残す
+        this._pitchBends.forEach(bends => {
+            bends.splice(0, Math.max(0, upperBound(bends, seconds, bend => bend.time) - 1));
+        });
+
+        return { notes: noteIndices, percussions: percussionIndices };
+    }
+
+    /**
+     * @param {Map<string, Object>} notes
+     * @param {string} key
+     */
+    _releaseNote(notes, key) {
+        const note = notes.get(key);
+        if (note === undefined) return;
+
+        note.duration = this.currentTime - note.time;
+        notes.delete(key);
+    }
+
+    releaseAll() {
+        const currentTime = this.currentTime;
+        [this._heldNotes, this._sustainedNotes].forEach(notes => {
+            notes.forEach(note => {
+                note.duration = currentTime - note.time;
+            });
+            notes.clear();
+        });
+        this._sustainingChannels.clear();
+    }
+
+    /**
+     * 押鍵中（ペダルで伸ばしているものを含む）のノートの長さを現在時刻まで伸ばす
+     */
+    update() {
+        const currentTime = this.currentTime;
+        [this._heldNotes, this._sustainedNotes].forEach(notes => {
+            notes.forEach(note => {
+                note.duration = currentTime - note.time;
+            });
+        });
+    }
+
+    /**
+     *
+     * @param {number} seconds
+     * @returns {number}
+     */
+    secondsToTicks(seconds) {
+        return seconds * PPQ * this.bpm / 60;
+    }
+
+    /**
+     *
+     * @param {number} ticks
+     * @returns {number}
+     */
+    ticksToFixedMeasures(ticks) {
+        return ticks / (PPQ * this.beatsPerMeasure);
+    }
+
+    /**
+     * 指定位置の拍子
+     * @param {number} ticks
+     * @returns {[number, number]} [分子, 分母]
+     */
+    timeSignatureAt(ticks) {
+        return [this.beatsPerMeasure, 4];
+    }
+};
@@ -1,19 +1,30 @@
-import { Score, Vocal } from './tune.js';
+import { Score } from './score.js';
+import { Vocal } from './tune.js';
+import { LiveInput } from './liveInput.js';
+import { upperBound } from './binarySearch.js';
+import { NoteLayout, OffsetWindow, calculateTheta, greatestCommonDivisor, spiralHighestPitch, spiralLowestPitch } from './layout.js';
+import { beatDivisionsOf, drumLaneOf, drumLanes } from './percussion.js';
+import { HarmonyAnalysis } from './harmony.js';
+import { colorFromHex, hueColor } from './colorScheme.js';
 
 // 頂点シェーダ（頂点）
 const vsSource = `
-    attribute vec4 aVertexPosition;
+    attribute vec2 aVertexPosition;
     attribute vec2 aVertexTextureCoord;
+    // インスタンスごとの中心位置・大きさ（ピクセル）
+    attribute vec4 aInstanceTransform;
+    // インスタンスごとの色
+    attribute vec4 aInstanceColor;
 
-    uniform mat4 uMatrix;
-    uniform vec4 uColor;
+    uniform vec2 uViewportSize;
 
     varying lowp vec4 vColor;
     varying lowp vec2 vTextureCoord;
 
     void main() {
-        gl_Position = uMatrix * aVertexPosition;
-        vColor = uColor;
+        vec2 position = aInstanceTransform.xy + aInstanceTransform.zw * aVertexPosition;
+        gl_Position = vec4(2.0 * position / uViewportSize, 0.0, 1.0);
+        vColor = aInstanceColor;
         vTextureCoord = aVertexTextureCoord;
     }
 `;
@@ -29,18 +40,384 @@ const fsSource = `
 `;
 
 
-const orthoMatrix = new Float32Array(16);
+// 背景図形用の頂点シェーダ（頂点ごとに位置・テクスチャ位置・色を持つ三角形）
+const shapeVsSource = `
+    attribute vec2 aShapePosition;
+    attribute vec2 aShapeTextureCoord;
+    attribute vec4 aShapeColor;
 
-function orthoTranslateScaleMatrix(sx, sy, sz, dx, dy, dz, vw, vh) {
-    orthoMatrix[0] = 2 * sx / vw;  // 11
-    orthoMatrix[5] = 2 * sy / vh;  // 22
-    orthoMatrix[10] = -sz;         // 33
-    orthoMatrix[12] = 2 * dx / vw; // 14
-    orthoMatrix[13] = 2 * dy / vh; // 24
-    orthoMatrix[14] = -dz;         // 34
-    orthoMatrix[15] = 1;           // 44
-    return orthoMatrix;
-}
+    uniform vec2 uViewportSize;
+
+    varying lowp vec4 vColor;
+    varying mediump vec2 vTextureCoord;
+
+    void main() {
+        gl_Position = vec4(2.0 * aShapePosition / uViewportSize, 0.0, 1.0);
+        vColor = aShapeColor;
+        vTextureCoord = aShapeTextureCoord;
+    }
+`;
+
+// 背景図形用のフラグメントシェーダ（文字以外は白く塗った領域を参照する）
+const shapeFsSource = `
+    uniform sampler2D uTexture;
+
+    varying lowp vec4 vColor;
+    varying mediump vec2 vTextureCoord;
+
+    void main() {
+        gl_FragColor = vColor * texture2D(uTexture, vTextureCoord);
+    }
+`;
+
+const fadingColor = new Float32Array(4);
+const attackingColor = new Float32Array(4);
+const subdivisionColor = new Float32Array(4);
+
+// インスタンス1つあたりの値の数（中心x, 中心y, 幅, 高さ, R, G, B, A）
+const instanceStride = 8;
+
+
+/**
+ * インスタンスごとの描画情報を毎フレーム蓄える可変長バッファ
+ */
+class InstanceBuffer {
+    /**
+     * @param {number} capacity 初期容量（インスタンス数）
+     */
+    constructor(capacity = 1024) {
+        this.data = new Float32Array(capacity * instanceStride);
+        this.count = 0;
+    }
+
+    clear() {
+        this.count = 0;
+    }
+
+    /**
+     * 
+     * @param {number} dx 中心x（ピクセル）
+     * @param {number} dy 中心y（ピクセル）
+     * @param {number} sw 幅（ピクセル）
+     * @param {number} sh 高さ（ピクセル）
+     * @param {Float32Array} color 
+     */
+    push(dx, dy, sw, sh, color) {
+        let offset = this.count * instanceStride;
+        if (offset + instanceStride > this.data.length) {
+            const data = new Float32Array(2 * this.data.length);
+            data.set(this.data);
+            this.data = data;
+        }
+
+        const data = this.data;
+        data[offset++] = dx;
+        data[offset++] = dy;
+        data[offset++] = sw;
+        data[offset++] = sh;
+        data[offset++] = color[0];
+        data[offset++] = color[1];
+        data[offset++] = color[2];
+        data[offset++] = color[3];
+        ++this.count;
+    }
+};
+
+// 背景図形の頂点1つあたりの値の数（x, y, U, V, R, G, B, A）
+const shapeStride = 8;
+
+// 扇形1つあたりの分割数
+const sectorSegments = 8;
+// 円1つあたりの分割数
+const ringSegments = 96;
+
+// 文字テクスチャの大きさ・1行の高さ（ピクセル）
+const labelAtlasWidth = 1024;
+const labelAtlasHeight = 512;
+const labelRowHeight = 32;
+// 文字テクスチャ上の白く塗った領域（文字以外の図形が参照する）
+const solidTextureSize = 4;
+const solidU = 0.5 * solidTextureSize / labelAtlasWidth;
+const solidV = 0.5 * solidTextureSize / labelAtlasHeight;
+
+// ピッチクラスごとの音名
+const noteNames = {
+    letter: ['C', 'C♯', 'D', 'E♭', 'E', 'F', 'F♯', 'G', 'A♭', 'A', 'B♭', 'B'],
+    solfege: ['ド', 'ド♯', 'レ', 'ミ♭', 'ミ', 'ファ', 'ファ♯', 'ソ', 'ラ♭', 'ラ', 'シ♭', 'シ'],
+};
+
+/**
+ * 黒鍵のピッチクラス（ピアノロールの行の網掛けに用いる）
+ */
+const blackKeyPitchClasses = [1, 3, 6, 8, 10];
+
+
+/**
+ * 背景図形（三角形の集まり）の頂点を毎フレーム蓄える可変長バッファ
+ */
+class ShapeBuffer {
+    /**
+     * @param {number} capacity 初期容量（頂点数）
+     */
+    constructor(capacity = 1024) {
+        this.data = new Float32Array(capacity * shapeStride);
+        this.count = 0;
+    }
+
+    clear() {
+        this.count = 0;
+    }
+
+    /**
+     * @param {number} x 中心からのx（ピクセル）
+     * @param {number} y 中心からのy（ピクセル）
+     * @param {Float32Array} color
+     * @param {number} u 文字テクスチャ上の位置（省略時は白く塗った領域）
+     * @param {number} v
+     */
+    pushVertex(x, y, color, u = solidU, v = solidV) {
+        let offset = this.count * shapeStride;
+        if (offset + shapeStride > this.data.length) {
+            const data = new Float32Array(2 * this.data.length);
+            data.set(this.data);
+            this.data = data;
+        }
+
+        const data = this.data;
+        data[offset++] = x;
+        data[offset++] = y;
+        data[offset++] = u;
+        data[offset++] = v;
+        data[offset++] = color[0];
+        data[offset++] = color[1];
+        data[offset++] = color[2];
+        data[offset++] = color[3];
+        ++this.count;
+    }
+
+    /**
+     * 線分を細長い四角形として加える
+     * @param {number} x0
+     * @param {number} y0
+     * @param {number} x1
+     * @param {number} y1
+     * @param {number} lineWidth 太さ（ピクセル）
+     * @param {Float32Array} color
+     */
+    pushLine(x0, y0, x1, y1, lineWidth, color) {
+        const length = Math.hypot(x1 - x0, y1 - y0);
+        if (length === 0) return;
+
+        // 線分に垂直な方向へ太さの半分ずつ広げる
+        const nx = -0.5 * lineWidth * (y1 - y0) / length;
+        const ny = 0.5 * lineWidth * (x1 - x0) / length;
+        this.pushVertex(x0 + nx, y0 + ny, color);
+        this.pushVertex(x0 - nx, y0 - ny, color);
+        this.pushVertex(x1 + nx, y1 + ny, color);
+        this.pushVertex(x0 - nx, y0 - ny, color);
+        this.pushVertex(x1 - nx, y1 - ny, color);
+        this.pushVertex(x1 + nx, y1 + ny, color);
+    }
+
+    /**
+     * 軸に沿った四角形を加える
+     * @param {number} x0 左端（ピクセル）
+     * @param {number} y0 下端（ピクセル）
+     * @param {number} x1 右端（ピクセル）
+     * @param {number} y1 上端（ピクセル）
+     * @param {Float32Array} color
+     */
+    pushRect(x0, y0, x1, y1, color) {
+        this.pushVertex(x0, y0, color);
+        this.pushVertex(x1, y0, color);
+        this.pushVertex(x1, y1, color);
+        this.pushVertex(x0, y0, color);
+        this.pushVertex(x1, y1, color);
+        this.pushVertex(x0, y1, color);
+    }
+
+    /**
+     * 円周を加える
+     * @param {number} cx 中心x（ピクセル）
+     * @param {number} cy 中心y（ピクセル）
+     * @param {number} radius
+     * @param {number} lineWidth 太さ（ピクセル）
+     * @param {Float32Array} color
+     */
+    pushRing(cx, cy, radius, lineWidth, color) {
+        this.pushSector(cx, cy, radius - 0.5 * lineWidth, radius + 0.5 * lineWidth, 0, 2 * Math.PI, color, ringSegments);
+    }
+
+    /**
+     * 文字テクスチャ上の文字列を加える
+     * @param {number} cx 中心x（ピクセル）
+     * @param {number} cy 中心y（ピクセル）
+     * @param {number} height 高さ（ピクセル）
+     * @param {Label} label
+     * @param {Float32Array} color
+     */
+    pushLabel(cx, cy, height, label, color) {
+        const x0 = cx - 0.5 * height * label.aspect;
+        const x1 = cx + 0.5 * height * label.aspect;
+        const y0 = cy - 0.5 * height;
+        const y1 = cy + 0.5 * height;
+        // テクスチャは上の行から並ぶため、上端がv0になる
+        this.pushVertex(x0, y1, color, label.u0, label.v0);
+        this.pushVertex(x0, y0, color, label.u0, label.v1);
+        this.pushVertex(x1, y1, color, label.u1, label.v0);
+        this.pushVertex(x0, y0, color, label.u0, label.v1);
+        this.pushVertex(x1, y0, color, label.u1, label.v1);
+        this.pushVertex(x1, y1, color, label.u1, label.v0);
+    }
+
+    /**
+     * 扇形（内側を欠いたものを含む）を三角形に分割して加える
+     * @param {number} cx 中心x（ピクセル）
+     * @param {number} cy 中心y（ピクセル）
+     * @param {number} innerRadius
+     * @param {number} outerRadius
+     * @param {number} startAngle
+     * @param {number} endAngle
+     * @param {Float32Array} color
+     * @param {number} segments 分割数
+     */
+    pushSector(cx, cy, innerRadius, outerRadius, startAngle, endAngle, color, segments = sectorSegments) {
+        for (let segment = 0; segment < segments; ++segment) {
+            const theta0 = startAngle + (endAngle - startAngle) * segment / segments;
+            const theta1 = startAngle + (endAngle - startAngle) * (segment + 1) / segments;
+            const inner0x = cx + innerRadius * Math.cos(theta0);
+            const inner0y = cy + innerRadius * Math.sin(theta0);
+            const inner1x = cx + innerRadius * Math.cos(theta1);
+            const inner1y = cy + innerRadius * Math.sin(theta1);
+            const outer0x = cx + outerRadius * Math.cos(theta0);
+            const outer0y = cy + outerRadius * Math.sin(theta0);
+            const outer1x = cx + outerRadius * Math.cos(theta1);
+            const outer1y = cy + outerRadius * Math.sin(theta1);
+
+            this.pushVertex(inner0x, inner0y, color);
+            this.pushVertex(outer0x, outer0y, color);
+            this.pushVertex(outer1x, outer1y, color);
+            this.pushVertex(inner0x, inner0y, color);
+            this.pushVertex(outer1x, outer1y, color);
+            this.pushVertex(inner1x, inner1y, color);
+        }
+    }
+};
+
+/**
+ * 文字テクスチャ上の文字列の位置
+ * @typedef Label
+ * @property {number} u0
+ * @property {number} v0
+ * @property {number} u1
+ * @property {number} v1
+ * @property {number} aspect 縦横比（幅 / 高さ）
+ */
+
+/**
+ * 文字列を必要になった順に1枚のテクスチャへ書き込むクラス
+ */
+class LabelAtlas {
+    /**
+     * @param {WebGLRenderingContext} gl
+     */
+    constructor(gl) {
+        this._gl = gl;
+        this._canvas = document.createElement('canvas');
+        this._canvas.width = labelAtlasWidth;
+        this._canvas.height = labelAtlasHeight;
+        this._context = this._canvas.getContext('2d');
+        this.texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        /**
+         * @type {Map<string, Label>}
+         */
+        this._labels = new Map();
+        this._x = 0;
+        this._y = 0;
+        this._full = false;
+        this._dirty = false;
+        this._reset();
+    }
+
+    /**
+     * 書き込んだ文字列を全て消す
+     */
+    _reset() {
+        const context = this._context;
+        context.clearRect(0, 0, labelAtlasWidth, labelAtlasHeight);
+        context.fillStyle = 'white';
+        context.fillRect(0, 0, solidTextureSize, solidTextureSize);
+        context.font = `${Math.round(0.75 * labelRowHeight)}px sans-serif`;
+        context.textBaseline = 'middle';
+
+        this._labels.clear();
+        this._x = 2 * solidTextureSize;
+        this._y = 0;
+        this._full = false;
+        this._dirty = true;
+    }
+
+    /**
+     * フレームの描画前に呼び、前のフレームで容量が足りなかった場合は書き込み直す
+     */
+    beginFrame() {
+        if (this._full) {
+            this._reset();
+        }
+    }
+
+    /**
+     * @param {string} text
+     * @returns {Label?} 容量が足りない場合はnull（次のフレームで書き込み直す）
+     */
+    labelOf(text) {
+        const cached = this._labels.get(text);
+        if (cached !== undefined) return cached;
+        if (this._full) return null;
+
+        const context = this._context;
+        const width = Math.ceil(context.measureText(text).width) + 4;
+        if (this._x + width > labelAtlasWidth) {
+            this._x = 0;
+            this._y += labelRowHeight;
+        }
+        if (this._y + labelRowHeight > labelAtlasHeight) {
+            this._full = true;
+            return null;
+        }
+
+        context.fillText(text, this._x + 2, this._y + 0.5 * labelRowHeight);
+        const label = {
+            u0: this._x / labelAtlasWidth,
+            v0: this._y / labelAtlasHeight,
+            u1: (this._x + width) / labelAtlasWidth,
+            v1: (this._y + labelRowHeight) / labelAtlasHeight,
+            aspect: width / labelRowHeight,
+        };
+        this._labels.set(text, label);
+        this._x += width;
+        this._dirty = true;
+        return label;
+    }
+
+    /**
+     * 書き込んだ内容をテクスチャへ反映する
+     */
+    upload() {
+        if (!this._dirty) return;
+
+        const gl = this._gl;
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this._canvas);
+        this._dirty = false;
+    }
+};
 
 /**
  * 
@@ -99,39 +476,86 @@ function initShaderProgram(gl, vsSource, fsSource) {
 }
 
 
+/**
+ * @typedef Instancing
+ * @property {(index: number, divisor: number) => void} vertexAttribDivisor
+ * @property {(mode: number, first: number, count: number, instanceCount: number) => void} drawArraysInstanced
+ */
+
 /**
  * 実装依存なWebGLの初期処理
  * @param {HTMLCanvasElement} canvas
- * @returns {{gl: WebGLRenderingContext, shader: WebGLProgram}?}
+ * @returns {{gl: WebGLRenderingContext, shader: WebGLProgram, shapeShader: WebGLProgram, instancing: Instancing}?}
  */
 function initWebGL(canvas) {
-    const gl = canvas.getContext('webgl');
-    if (gl === null) {
-        return null;
+    // インスタンス描画はWebGL2の標準機能またはWebGL1のANGLE_instanced_arrays拡張を用いる
+    let gl = canvas.getContext('webgl2');
+    let instancing;
+    if (gl !== null) {
+        const gl2 = gl;
+        instancing = {
+            vertexAttribDivisor: (index, divisor) => gl2.vertexAttribDivisor(index, divisor),
+            drawArraysInstanced: (mode, first, count, instanceCount) => gl2.drawArraysInstanced(mode, first, count, instanceCount),
+        };
+    } else {
+        gl = canvas.getContext('webgl');
+        if (gl === null) {
+            return null;
+        }
+        const ext = gl.getExtension('ANGLE_instanced_arrays');
+        if (ext === null) {
+            return null;
+        }
+        instancing = {
+            vertexAttribDivisor: (index, divisor) => ext.vertexAttribDivisorANGLE(index, divisor),
+            drawArraysInstanced: (mode, first, count, instanceCount) => ext.drawArraysInstancedANGLE(mode, first, count, instanceCount),
+        };
     }
 
     // シェーダを構築
     const shaderProgram = initShaderProgram(gl, vsSource, fsSource);
     if (shaderProgram === null) {
-        gl.d
+        return null;
+    }
+    const shapeShaderProgram = initShaderProgram(gl, shapeVsSource, shapeFsSource);
+    if (shapeShaderProgram === null) {
         return null;
     }
 
     return {
         gl: gl,
         shader: shaderProgram,
+        shapeShader: shapeShaderProgram,
+        instancing: instancing,
     };
 }
 
 
+/**
+ * @typedef TimeSource
+ * @property {number} currentTime 演奏情報上の現在時刻（秒）
+ * @property {number} key キーの変化量（セミトーン単位）
+ */
+
+
 export class MelodyPatternRenderer {
     /**
-     * @param {Vocal} vocal 
+     * @param {Vocal | TimeSource} vocal 描画時刻・移調量の取得元
      * @param {HTMLCanvasElement} canvas 
      */
     constructor(vocal, canvas) {
-        this._vocal = vocal;
+        /**
+         * 描画時刻・移調量の取得元
+         * @type {Vocal | TimeSource}
+         */
+        this.timeSource = vocal;
         this._score = null;
+        this._liveInput = null;
+        /**
+         * 固定の描画解像度（nullの場合は表示サイズに合わせる）
+         * @type {{width: number, height: number}?}
+         */
+        this._fixedSize = null;
 
         /**
          * 位相係数分子
@@ -141,6 +565,10 @@ export class MelodyPatternRenderer {
          * 位相係数分母
          */
         this.circleDenominator = 12;
+        /**
+         * 位相の基準となるノート番号
+         */
+        this.referencePitch = 72;
         /**
          * ノート拡大率（パーセント）
          */
@@ -165,10 +593,27 @@ export class MelodyPatternRenderer {
          * パーカッション発音相対消滅時刻
          */
         this.percussionReleasingTime = 0.0625;
+        /**
+         * パーカッションの表示方法
+         *
+         * - row: 1列に並べる
+         * - lanes: GMドラムの楽器別に横並びのレーンへ分ける
+         * - clock: 1小節を1周とする小節時計の楽器別の円周に分ける
+         * @type {'row' | 'lanes' | 'clock'}
+         */
+        this.percussionView = 'row';
+        /**
+         * レーン・小節時計で打点を薄くしながら残す小節数
+         */
+        this.percussionHistory = 2;
         /**
          * ノート方向
          */
         this.noteDirection = 'inward';
+        /**
+         * ピアノロールの行の並び（'chromatic': 半音順, 'circle': 円周上の位置の順）
+         */
+        this.pianoRollOrder = 'chromatic';
         /**
          * 上部マージン
          */
@@ -194,25 +639,85 @@ export class MelodyPatternRenderer {
             new Float32Array([0.9, 0.3, 0.9, 0.6]),
             new Float32Array([0.9, 0.9, 0.3, 0.6]),
         ];
+        /**
+         * 発音時の色の不透明度（パレットを差し替える際に用いる）
+         */
+        this.attackingAlpha = 0.6;
+        /**
+         * 発音時の色の決め方
+         * @type {ColorStrategy}
+         */
+        this.colorStrategy = 'track';
+        /**
+         * 背景色
+         */
+        this.backgroundColor = new Float32Array([0.0, 0.0, 0.0, 1.0]);
+        /**
+         * 非表示トラック番号の集合
+         * @type {Set<number>}
+         */
+        this.hiddenTracks = new Set();
+
+        /**
+         * 和声解析の結果（nullの場合は調・和音を表示しない）
+         * @type {HarmonyAnalysis?}
+         */
+        this.harmony = null;
+        /**
+         * 調の主音・和音の構成音の扇形を強調するか
+         */
+        this.highlightHarmony = false;
+        /**
+         * 主音の扇形の色
+         */
+        this.tonicColor = new Float32Array([1.0, 1.0, 1.0, 0.12]);
+        /**
+         * 和音の構成音の扇形の色（根音はこの色を重ねて強くする）
+         */
+        this.chordToneColor = new Float32Array([1.0, 0.8, 0.3, 0.1]);
+
+        /**
+         * ガイド（円周・放射線・音名）を表示するか
+         */
+        this.showGuide = true;
+        /**
+         * 音名の表記（'letter': 英語音名, 'solfege': ドレミ）
+         */
+        this.noteNaming = 'letter';
+        /**
+         * 1周が複数オクターブにわたる場合にオクターブごとの円周を表示するか
+         */
+        this.showOctaveRings = false;
+        /**
+         * ガイドの円周・放射線の色
+         */
+        this.guideColor = new Float32Array([1.0, 1.0, 1.0, 0.15]);
+        /**
+         * ガイドの音名の色
+         */
+        this.guideLabelColor = new Float32Array([1.0, 1.0, 1.0, 0.5]);
 
         /**
          * ノート描画オフセット
          */
-        this._noteOffsets = {
-            released: 0,
-            attacked: 0,
-            appeared: 0,
-        };
-        this._lastNoteTime = 0;
+        this._noteOffsets = new OffsetWindow(true);
         /**
          * パーカッション描画オフセット
          */
-        this._percussionOffsets = {
-            released: 0,
-            attacked: 0,
-            appeared: 0,
-        };
-        this._lastPercussionTime = 0;
+        this._percussionOffsets = new OffsetWindow(false);
+        /**
+         * 1フレーム分のノートの配置
+         */
+        this._layout = new NoteLayout();
+
+        /**
+         * 1フレーム分のノート・パーカッションの描画情報
+         */
+        this._instances = new InstanceBuffer();
+        /**
+         * 1フレーム分の背景図形の頂点
+         */
+        this._shapes = new ShapeBuffer();
 
         this._initGL(canvas);
     }
@@ -233,11 +738,12 @@ export class MelodyPatternRenderer {
         // アルファブレンドを有効化
         gl.enable(gl.BLEND);
         gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
-        // 塗りつぶし色を設定
-        gl.clearColor(0.0, 0.0, 0.0, 1.0);
 
+        const instancing = glinfo.instancing;
         const vertexPositionAttribute = gl.getAttribLocation(glinfo.shader, 'aVertexPosition');
         const vertexTextureCoordAttribute = gl.getAttribLocation(glinfo.shader, 'aVertexTextureCoord');
+        const instanceTransformAttribute = gl.getAttribLocation(glinfo.shader, 'aInstanceTransform');
+        const instanceColorAttribute = gl.getAttribLocation(glinfo.shader, 'aInstanceColor');
 
         // 頂点位置バッファの設定
         const positionBuffer = gl.createBuffer();
@@ -245,18 +751,13 @@ export class MelodyPatternRenderer {
         gl.bufferData(
             gl.ARRAY_BUFFER,
             new Float32Array([
-                -0.5, 0.5, 0.0, 1.0,
-                0.5, 0.5, 0.0, 1.0,
-                -0.5, -0.5, 0.0, 1.0,
-                0.5, -0.5, 0.0, 1.0,
+                -0.5, 0.5,
+                0.5, 0.5,
+                -0.5, -0.5,
+                0.5, -0.5,
             ]),
             gl.STATIC_DRAW,
         );
-        gl.vertexAttribPointer(
-            vertexPositionAttribute,
-            4, // a number of float values per vertex position
-            gl.FLOAT, false, 0, 0);
-        gl.enableVertexAttribArray(vertexPositionAttribute);
 
         // 頂点テクスチャ位置の設定
         const textureCoordBuffer = gl.createBuffer();
@@ -271,17 +772,38 @@ export class MelodyPatternRenderer {
             ]),
             gl.STATIC_DRAW,
         );
-        gl.vertexAttribPointer(
-            vertexTextureCoordAttribute,
-            2, // a number of float values per vertex texture coord
-            gl.FLOAT, false, 0, 0);
-        gl.enableVertexAttribArray(vertexTextureCoordAttribute);
 
-        gl.useProgram(shader);
+        // インスタンスバッファの設定（毎フレーム書き換える）
+        const instanceBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, instanceBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, this._instances.data.byteLength, gl.DYNAMIC_DRAW);
+
+        // 背景図形バッファの設定（毎フレーム書き換える）
+        const shapeBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, shapeBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, this._shapes.data.byteLength, gl.DYNAMIC_DRAW);
 
         this._gl = gl;
-        this._matrixUniform = gl.getUniformLocation(glinfo.shader, 'uMatrix');
-        this._colorUniform = gl.getUniformLocation(glinfo.shader, 'uColor');
+        this._instancing = instancing;
+        this._shader = shader;
+        this._positionBuffer = positionBuffer;
+        this._textureCoordBuffer = textureCoordBuffer;
+        this._vertexPositionAttribute = vertexPositionAttribute;
+        this._vertexTextureCoordAttribute = vertexTextureCoordAttribute;
+        this._instanceBuffer = instanceBuffer;
+        this._instanceBufferSize = this._instances.data.byteLength;
+        this._instanceTransformAttribute = instanceTransformAttribute;
+        this._instanceColorAttribute = instanceColorAttribute;
+        this._viewportSizeUniform = gl.getUniformLocation(glinfo.shader, 'uViewportSize');
+        this._shapeShader = glinfo.shapeShader;
+        this._shapeBuffer = shapeBuffer;
+        this._shapeBufferSize = this._shapes.data.byteLength;
+        this._shapePositionAttribute = gl.getAttribLocation(glinfo.shapeShader, 'aShapePosition');
+        this._shapeTextureCoordAttribute = gl.getAttribLocation(glinfo.shapeShader, 'aShapeTextureCoord');
+        this._shapeColorAttribute = gl.getAttribLocation(glinfo.shapeShader, 'aShapeColor');
+        this._shapeViewportSizeUniform = gl.getUniformLocation(glinfo.shapeShader, 'uViewportSize');
+        this._shapeTextureUniform = gl.getUniformLocation(glinfo.shapeShader, 'uTexture');
+        this._labelAtlas = new LabelAtlas(gl);
         this.resizeCanvas();
 
         // ウィンドウサイズに合わせたキャンバスのリサイズ
@@ -297,140 +819,522 @@ export class MelodyPatternRenderer {
         });
     }
 
+    /**
+     * 描画先のキャンバス
+     * @returns {HTMLCanvasElement}
+     */
+    get canvas() {
+        return this._gl.canvas;
+    }
+
     resizeCanvas() {
-        this._gl.canvas.width = this._gl.canvas.clientWidth;
-        this._gl.canvas.height = this._gl.canvas.clientHeight;
+        if (this._fixedSize !== null) {
+            this._gl.canvas.width = this._fixedSize.width;
+            this._gl.canvas.height = this._fixedSize.height;
+        } else {
+            this._gl.canvas.width = this._gl.canvas.clientWidth;
+            this._gl.canvas.height = this._gl.canvas.clientHeight;
+        }
         this._gl.viewport(0, 0, this._gl.canvas.width, this._gl.canvas.height);
     }
 
+    /**
+     * 描画解像度を固定する（nullの場合は表示サイズに戻す）
+     * @param {{width: number, height: number}?} size 
+     */
+    setFixedSize(size) {
+        this._fixedSize = size;
+
+        this.resizeCanvas();
+    }
+
+    /**
+     * 発音時の色の並びを差し替える
+     * @param {string[]} palette "#rrggbb"の配列
+     */
+    setPalette(palette) {
+        this.attackingColors = palette.map(hex => colorFromHex(hex, this.attackingAlpha));
+    }
+
+    /**
+     * 背景に合わせた配色にする
+     * @param {Theme} theme
+     */
+    applyTheme(theme) {
+        this.backgroundColor.set(theme.backgroundColor);
+        this.appearingColor.set(theme.appearingColor);
+        this.guideColor.set(theme.guideColor);
+        this.guideLabelColor.set(theme.guideLabelColor);
+        this.tonicColor.set(theme.tonicColor);
+        this.chordToneColor.set(theme.chordToneColor);
+        this.attackingAlpha = theme.attackingAlpha;
+        this.attackingColors.forEach(color => {
+            color[3] = theme.attackingAlpha;
+        });
+    }
+
     /**
      * 演奏情報を適用する
-     * @param {Score} score 
+     * @param {Score?} score 
      */
     apply(score) {
         this._score = score;
+        this._liveInput = null;
+        this.hiddenTracks.clear();
+        this._noteOffsets.maxDuration = (score !== null) ? score.notes.reduce((max, note) => Math.max(max, note.duration), 0) : 0;
+        this._setPianoRollRange((score !== null) ? score.notes : []);
+        this._noteOffsets.sequential = false;
+        this._percussionOffsets.sequential = false;
+
+        this.resetOffsets();
+    }
+
+    /**
+     * 生演奏の入力を適用する
+     * @param {LiveInput} liveInput 
+     */
+    applyLiveInput(liveInput) {
+        this._score = liveInput;
+        this._liveInput = liveInput;
+        this.hiddenTracks.clear();
+        // 生演奏では押鍵中のノートの長さが定まらないため先頭から順に走査する
+        this._noteOffsets.sequential = true;
+        this._percussionOffsets.sequential = true;
+        this._setPianoRollRange([]);
 
         this.resetOffsets();
     }
 
+    /**
+     * ピアノロールの半音順の行を演奏情報の音域に合わせる（ノートがない場合はC2～C7）
+     * @param {{midi: number}[]} notes
+     */
+    _setPianoRollRange(notes) {
+        const layout = this._layout;
+        if (notes.length === 0) {
+            layout.lowestPitch = 36;
+            layout.highestPitch = 96;
+            return;
+        }
+        layout.lowestPitch = notes.reduce((min, note) => Math.min(min, note.midi), Infinity) - 1;
+        layout.highestPitch = notes.reduce((max, note) => Math.max(max, note.midi), -Infinity) + 1;
+    }
+
     resetOffsets() {
-        this.resetNoteOffsets();
-        this.resetPercussionOffsets();
+        this._noteOffsets.reset();
+        this._percussionOffsets.reset();
     }
 
-    resetNoteOffsets() {
-        this._noteOffsets.released = 0;
-        this._noteOffsets.attacked = 0;
-        this._noteOffsets.appeared = 0;
-        this._lastNoteTime = 0;
+    /**
+     * 位相を計算する
+     * @param {number} midi 
+     */
+    _calculateTheta(midi) {
+        return calculateTheta(midi, this.timeSource.key, this.referencePitch, this.circleNumerator, this.circleDenominator);
     }
 
-    resetPercussionOffsets() {
-        this._percussionOffsets.released = 0;
-        this._percussionOffsets.attacked = 0;
-        this._percussionOffsets.appeared = 0;
-        this._lastPercussionTime = 0;
+    /**
+     * 音名のガイド（円周・放射線・音名）を加える
+     *
+     * 音名は移調後に鳴る音を表し、位相の係数・移調量に合わせて位置が変わる。
+     * @param {number} offsetY 中心y（ピクセル）
+     * @param {number} radius 円周の半径（ピクセル）
+     * @param {number} labelHeight 音名の高さ（ピクセル）
+     */
+    _pushGuide(offsetY, radius, labelHeight) {
+        const shapes = this._shapes;
+        const tuning = this.timeSource.tuning;
+        const octaveSteps = (tuning != null) ? tuning.octaveSteps : 12;
+        const numerator = this.circleNumerator;
+        const denominator = this.circleDenominator;
+        // 1周の中で区別できる位置の数（同じ位置に来る音はまとめて表示する）
+        const positionCount = denominator / greatestCommonDivisor(numerator, denominator);
+        const octaveCount = Math.ceil(positionCount / octaveSteps);
+        // 渦巻きでは中心からの距離がオクターブを表すため、オクターブごとの円周は渦巻きの円周で代える
+        const spiral = this.noteDirection === 'spiral';
+        const octaveRings = this.showOctaveRings && octaveCount > 1 && !spiral;
+        const lineWidth = Math.max(1, 0.1 * labelHeight);
+        // 音名が重なるほど狭い場合はオクターブの先頭のみ表示する
+        const dense = 2 * Math.PI * radius / positionCount < 2 * labelHeight;
+        const positions = this._pitchPositions(dense);
+
+        if (spiral) {
+            this._pushSpiralOctaves(offsetY, lineWidth, labelHeight);
+        }
+        const ringRadiusOf = octave => octaveRings ? radius * (octave + 1) / octaveCount : radius;
+        for (let octave = 0; octave < (octaveRings ? octaveCount : 1); ++octave) {
+            shapes.pushRing(0, offsetY, ringRadiusOf(octave), lineWidth, this.guideColor);
+        }
+        positions.forEach(position => {
+            const ringRadius = ringRadiusOf(position.octave);
+            const cos = Math.cos(position.theta);
+            const sin = Math.sin(position.theta);
+            shapes.pushLine(0, offsetY, ringRadius * cos, offsetY + ringRadius * sin, lineWidth, this.guideColor);
+            if (position.labels.length === 0) return;
+
+            const label = this._labelAtlas.labelOf(position.labels.join('/'));
+            if (label === null) return;
+            // 円周の外側に文字の大きさに応じて離して置く
+            const labelRadius = ringRadius + 0.5 * labelHeight * (1 + 0.5 * label.aspect);
+            shapes.pushLabel(labelRadius * cos, offsetY + labelRadius * sin, labelHeight, label, this.guideLabelColor);
+        });
     }
 
     /**
-     * 
-     * @param {number} currentTime
-     * @param {number} appearingTime 
+     * 円周上の区別できる位置ごとの音名
+     *
+     * 位相は移調後に鳴る音の位置とする。
+     * @param {boolean} dense オクターブの先頭のみ音名を付けるか
+     * @returns {{theta: number, octave: number, labels: string[]}[]} 基準音からの円周上の位置の順
      */
-    updateNoteOffsets(currentTime, appearingTime) {
-        const offsets = this._noteOffsets;
-        const events = this._score.notes;
-        const length = events.length;
+    _pitchPositions(dense) {
+        const tuning = this.timeSource.tuning;
+        const octaveSteps = (tuning != null) ? tuning.octaveSteps : 12;
+        const numerator = this.circleNumerator;
+        const denominator = this.circleDenominator;
+        const divisor = greatestCommonDivisor(numerator, denominator);
+        const positionCount = denominator / divisor;
+        const stepCount = positionCount * octaveSteps / greatestCommonDivisor(positionCount, octaveSteps);
+        const octaveCount = Math.ceil(positionCount / octaveSteps);
+        const names = noteNames[this.noteNaming] || noteNames.letter;
+
+        const positions = new Array(positionCount);
+        for (let step = 0; step < stepCount; ++step) {
+            const index = (step * numerator % denominator) / divisor;
+            const midi = this.referencePitch + step;
+            // 12段の音律では音名、それ以外では基準音からの段数
+            const degree = (octaveSteps === 12) ? midi % 12 : step % octaveSteps;
+            if (positions[index] === undefined) {
+                positions[index] = {
+                    theta: this._calculateTheta(midi - this.timeSource.key),
+                    octave: Math.floor(step / octaveSteps),
+                    labels: [],
+                };
+            }
+            if (dense && degree !== 0) continue;
 
-        if (currentTime < this._lastNoteTime) {
-            this.resetNoteOffsets();
+            let label = (octaveSteps === 12) ? names[degree] : `${degree}`;
+            if (octaveSteps === 12 && octaveCount > 1) {
+                label += Math.floor(midi / 12) - 1;
+            }
+            positions[index].labels.push(label);
         }
+        return positions;
+    }
 
-        for (; offsets.released < length; ++offsets.released) {
-            const event = events[offsets.released];
-            if (currentTime < event.time + event.duration) break;
+    /**
+     * ピアノロールの行（音名・黒鍵の行の網掛け）と現在時刻の線を加える
+     * @param {number} offsetY 中心y（ピクセル）
+     * @param {number} width 表示領域の幅（ピクセル）
+     * @param {number} labelHeight 音名の高さ（ピクセル）
+     */
+    _pushPianoRollGrid(offsetY, width, labelHeight) {
+        const shapes = this._shapes;
+        const layout = this._layout;
+        const left = -0.5 * width;
+        const right = 0.5 * width;
+        const bottom = offsetY + layout.bottom;
+        const rowHeight = layout.rowHeight;
+        const lineWidth = Math.max(1, 0.1 * labelHeight);
+        // 行が低く音名が重なる場合はオクターブの先頭のみ表示する
+        const rowLabelHeight = Math.min(labelHeight, 0.9 * rowHeight);
+        const dense = rowLabelHeight < 0.5 * labelHeight;
+        const names = noteNames[this.noteNaming] || noteNames.letter;
+        subdivisionColor.set(this.guideColor);
+        subdivisionColor[3] *= 0.5;
+
+        /** @type {string[]} */
+        const labels = new Array(layout.rowCount).fill('');
+        if (layout.pianoRollOrder === 'circle') {
+            this._pitchPositions(dense).forEach((position, row) => {
+                labels[row] = position.labels.join('/');
+                shapes.pushLine(left, bottom + row * rowHeight, right, bottom + row * rowHeight, lineWidth, this.guideColor);
+            });
+        } else {
+            for (let row = 0; row < layout.rowCount; ++row) {
+                // 行は移調後に鳴る音を表す
+                const midi = Math.round(layout.lowestPitch + row + this.timeSource.key);
+                const pitchClass = (midi % 12 + 12) % 12;
+                const y = bottom + row * rowHeight;
+                if (blackKeyPitchClasses.includes(pitchClass)) {
+                    shapes.pushRect(left, y, right, y + rowHeight, subdivisionColor);
+                }
+                if (pitchClass === 0) {
+                    shapes.pushLine(left, y, right, y, lineWidth, this.guideColor);
+                    labels[row] = names[0] + (Math.floor(midi / 12) - 1);
+                } else if (!dense) {
+                    labels[row] = names[pitchClass];
+                }
+            }
         }
+        labels.forEach((text, row) => {
+            if (text === '') return;
+
+            const label = this._labelAtlas.labelOf(text);
+            if (label === null) return;
+            const height = dense ? labelHeight : rowLabelHeight;
+            const x = left + 0.5 * height * (label.aspect + 1);
+            shapes.pushLabel(x, bottom + (row + 0.5) * rowHeight, height, label, this.guideLabelColor);
+        });
+        shapes.pushLine(layout.playheadX, bottom, layout.playheadX, bottom + layout.rowCount * rowHeight, 2 * lineWidth, this.guideLabelColor);
+    }
 
-        offsets.attacked = Math.max(offsets.attacked, offsets.released);
-        for (; offsets.attacked < length; ++offsets.attacked) {
-            const event = events[offsets.attacked];
-            if (currentTime < event.time) break;
+    /**
+     * ピアノロールのノートを行の高さの四角形として加える
+     *
+     * 発音前は発生時の色、発音中は発音時の色とし、発音後は薄くして左へ流す。
+     * @param {number} currentTime
+     * @param {number} offsetY 中心y（ピクセル）
+     */
+    _pushPianoRollNotes(currentTime, offsetY) {
+        const shapes = this._shapes;
+        const layout = this._layout;
+        const notes = this._score.notes;
+        const offsets = this._noteOffsets;
+        const halfHeight = 0.4 * layout.rowHeight;
+        for (let noteIndex = offsets.released; noteIndex < offsets.appeared; ++noteIndex) {
+            const note = notes[noteIndex];
+            if (this.hiddenTracks.has(note.trackIndex)) continue;
+
+            layout.place(note.time, note.duration, note.midi + this._pitchBendOf(note, currentTime));
+            const halfWidth = Math.max(0.5, 0.5 * layout.size);
+            let color = this.appearingColor;
+            if (note.time <= currentTime) {
+                color = this._attackingColorOf(note, false);
+                if (note.time + note.duration <= currentTime) {
+                    fadingColor.set(color);
+                    fadingColor[3] *= 0.4;
+                    color = fadingColor;
+                }
+            }
+            const y = offsetY + layout.y;
+            shapes.pushRect(layout.x - halfWidth, y - halfHeight, layout.x + halfWidth, y + halfHeight, color);
         }
+    }
 
-        offsets.appeared = Math.max(offsets.appeared, offsets.attacked);
-        for (; offsets.appeared < length; ++offsets.appeared) {
-            const event = events[offsets.appeared];
-            if (currentTime < event.time + appearingTime) break;
+    /**
+     * 渦巻きでのオクターブの境界（各オクターブのCの高さの円周）と番号を加える
+     * @param {number} offsetY 中心y（ピクセル）
+     * @param {number} lineWidth 円周の太さ（ピクセル）
+     * @param {number} labelHeight 音名の高さ（ピクセル）
+     */
+    _pushSpiralOctaves(offsetY, lineWidth, labelHeight) {
+        const shapes = this._shapes;
+        const key = this.timeSource.key;
+        const names = noteNames[this.noteNaming] || noteNames.letter;
+        for (let midi = spiralLowestPitch; midi <= spiralHighestPitch; midi += 12) {
+            // 鳴る音の高さの位置に描くため移調量を除く
+            const radius = this._layout.spiralRadius(midi - key);
+            shapes.pushRing(0, offsetY, radius, lineWidth, this.guideColor);
+
+            const label = this._labelAtlas.labelOf(names[midi % 12] + (Math.floor(midi / 12) - 1));
+            if (label === null) continue;
+            const theta = this._calculateTheta(midi - key);
+            shapes.pushLabel(radius * Math.cos(theta), offsetY + radius * Math.sin(theta), 0.7 * labelHeight, label, this.guideLabelColor);
         }
+    }
 
-        this._lastNoteTime = currentTime;
+    /**
+     * 現在の調の主音・和音の構成音の扇形を加える
+     * @param {number} currentTime
+     * @param {number} offsetY 中心y（ピクセル）
+     * @param {number} radius 扇形の半径（ピクセル）
+     */
+    _pushHarmonySectors(currentTime, offsetY, radius) {
+        const shapes = this._shapes;
+        const harmony = this.harmony;
+        // 隣り合うピッチクラスの間で区切る
+        const halfWidth = Math.PI / this.circleDenominator;
+        const sectorOf = (pitchClass, color) => {
+            // 基準音以上の最も近いノート番号の位相に描く
+            const midi = this.referencePitch + ((pitchClass - this.referencePitch) % 12 + 12) % 12;
+            const theta = this._calculateTheta(midi);
+            shapes.pushSector(0, offsetY, 0, radius, theta - halfWidth, theta + halfWidth, color);
+        };
+
+        const key = harmony.keyAt(currentTime);
+        if (key !== null) {
+            sectorOf(key.tonic, this.tonicColor);
+        }
+        const chord = harmony.chordAt(currentTime);
+        if (chord !== null) {
+            chord.pitchClasses.forEach(pitchClass => {
+                sectorOf(pitchClass, this.chordToneColor);
+            });
+            sectorOf(chord.root, this.chordToneColor);
+        }
     }
 
     /**
-     * 
-     * @param {number} currentTime 
-     * @param {number} appearingTime 
+     * 楽器別のレーン・小節時計にパーカッションの打点と拍の区切りを加える
+     *
+     * 直前のpercussionHistory小節分の打点は古いものほど薄くして残し、リズムの型として見せる。
+     * @param {number} currentTime
+     * @param {number} currentMeasures 現在の小節位置（ticksToFixedMeasures）
+     * @param {number} offsetY 中心y（ピクセル）
+     * @param {number} width 表示領域の幅（ピクセル）
+     * @param {number} height 表示領域の高さ（ピクセル）
      */
-    updatePercussionOffsets(currentTime, appearingTime) {
+    _pushPercussionPattern(currentTime, currentMeasures, offsetY, width, height) {
+        const shapes = this._shapes;
+        const instances = this._instances;
+        const score = this._score;
+        const percussions = score.percussions;
         const offsets = this._percussionOffsets;
-        const events = this._score.percussions;
-        const length = events.length;
-        const releasingTime = this.percussionReleasingTime;
+        const laneCount = drumLanes.length;
+        const clock = this.percussionView === 'clock';
+        const divisions = beatDivisionsOf(score.timeSignatureAt(score.secondsToTicks(currentTime)));
+        const currentPosition = currentMeasures % 1.0;
+
+        // レーン：右上に下からキックの順、小節時計：右上に内側からキックの順
+        const laneHeight = 0.05 * height;
+        const laneLeft = 0.05 * width;
+        const laneWidth = 0.4 * width;
+        const laneBottom = offsetY + 0.45 * height - laneCount * laneHeight;
+        const clockRadius = 0.2 * Math.min(width, height);
+        const clockX = 0.5 * width - 1.1 * clockRadius;
+        const clockY = offsetY + 0.5 * height - 1.1 * clockRadius;
+        const clockInnerRadius = 0.25 * clockRadius;
+        const ringWidth = (clockRadius - clockInnerRadius) / laneCount;
+
+        const hitSize = 0.8 * (clock ? ringWidth : laneHeight);
+        const labelHeight = 0.6 * (clock ? ringWidth : laneHeight);
+        const lineWidth = Math.max(1, 0.05 * labelHeight);
+        const point = { x: 0, y: 0 };
+        /**
+         * 小節内の位置・レーンから画面上の位置を求めてpointに書き込む
+         * @param {number} position 小節内の位置（0～1）
+         * @param {number} lane レーン番号（小数の場合は境界）
+         */
+        const locate = (position, lane) => {
+            if (clock) {
+                // 真上から時計回り
+                const theta = 0.5 * Math.PI - 2 * Math.PI * position;
+                const radius = clockInnerRadius + lane * ringWidth;
+                point.x = clockX + radius * Math.cos(theta);
+                point.y = clockY + radius * Math.sin(theta);
+            } else {
+                point.x = laneLeft + laneWidth * position;
+                point.y = laneBottom + lane * laneHeight;
+            }
+            return point;
+        };
 
-        if (currentTime < this._lastPercussionTime) {
-            this.resetPercussionOffsets();
-        }
+        // 拍・拍の分割の区切り
+        subdivisionColor.set(this.guideColor);
+        subdivisionColor[3] *= 0.5;
+        const divisionColors = {
+            measure: this.guideLabelColor,
+            beat: this.guideColor,
+            subdivision: subdivisionColor,
+        };
+        divisions.forEach(division => {
+            const { x: x0, y: y0 } = locate(division.position, 0);
+            const { x: x1, y: y1 } = locate(division.position, laneCount);
+            shapes.pushLine(x0, y0, x1, y1, lineWidth, divisionColors[division.level]);
+        });
+        // レーンの境界・名前
+        for (let lane = 0; lane <= laneCount; ++lane) {
+            if (clock) {
+                shapes.pushRing(clockX, clockY, clockInnerRadius + lane * ringWidth, lineWidth, this.guideColor);
+            } else {
+                shapes.pushLine(laneLeft, laneBottom + lane * laneHeight, laneLeft + laneWidth, laneBottom + lane * laneHeight, lineWidth, this.guideColor);
+            }
+            if (lane === laneCount) continue;
 
-        for (; offsets.released < length; ++offsets.released) {
-            const event = events[offsets.released];
-            if (currentTime < event.time + releasingTime) break;
+            const label = this._labelAtlas.labelOf(drumLanes[lane].name);
+            if (label === null) continue;
+            // 小節の頭の手前（レーンの左・時計の真上の左）に置く
+            const { x, y } = locate(0, lane + 0.5);
+            shapes.pushLabel(x - 0.5 * labelHeight * (label.aspect + 1), y, labelHeight, label, this.guideLabelColor);
         }
-
-        offsets.attacked = Math.max(offsets.attacked, offsets.released);
-        for (; offsets.attacked < length; ++offsets.attacked) {
-            const event = events[offsets.attacked];
-            if (currentTime < event.time) break;
+        // 現在位置
+        {
+            const { x: x0, y: y0 } = clock ? { x: clockX, y: clockY } : locate(currentPosition, 0);
+            const { x: x1, y: y1 } = locate(currentPosition, laneCount);
+            shapes.pushLine(x0, y0, x1, y1, 2 * lineWidth, this.guideLabelColor);
         }
 
-        offsets.appeared = Math.max(offsets.appeared, offsets.attacked);
-        for (; offsets.appeared < length; ++offsets.appeared) {
-            const event = events[offsets.appeared];
-            if (currentTime < event.time + appearingTime) break;
-        }
+        // 発生時パーカッション（これから鳴る打点）
+        for (let percussionIndex = offsets.attacked; percussionIndex < offsets.appeared; ++percussionIndex) {
+            const percussion = percussions[percussionIndex];
+            if (this.hiddenTracks.has(percussion.trackIndex)) continue;
 
-        this._lastPercussionTime = currentTime;
+            const { x, y } = locate(percussion.measures % 1.0, drumLaneOf(percussion.midi) + 0.5);
+            instances.push(x, y, 0.5 * hitSize, 0.5 * hitSize, this.appearingColor);
+        }
+        // 発音済みパーカッション（古いものから順に重ねる）
+        const historyMeasures = Math.max(this.percussionHistory, this.percussionReleasingTime);
+        const start = upperBound(percussions, currentMeasures - historyMeasures, percussion => percussion.measures);
+        for (let percussionIndex = start; percussionIndex < offsets.attacked; ++percussionIndex) {
+            const percussion = percussions[percussionIndex];
+            if (this.hiddenTracks.has(percussion.trackIndex)) continue;
+
+            const age = Math.max(0, currentMeasures - percussion.measures);
+            const { x, y } = locate(percussion.measures % 1.0, drumLaneOf(percussion.midi) + 0.5);
+            // 鳴った直後は大きくする
+            const size = hitSize * (0.5 + 0.5 * percussion.velocity) * ((age < this.percussionReleasingTime) ? 1.5 : 1.0);
+            fadingColor.set(this._attackingColorOf(percussion, true));
+            fadingColor[3] *= 1.0 - age / historyMeasures;
+            instances.push(x, y, size, size, fadingColor);
+        }
     }
 
     /**
-     * 
-     * @param {number} currentTime 
-     * @param {number} time 
-     * @param {number} duration 
+     * 発音時のノート・パーカッションの色
+     *
+     * パーカッションは音高を持たないため、音高・オクターブ別の場合もトラックの色とする。
+     * @param {{trackIndex: number, midi: number, velocity: number}} note
+     * @param {boolean} percussion
+     * @returns {Float32Array} 次に呼び出すまで有効
      */
-    _calculateInwardViewOffset(currentTime, time, duration) {
-        return (time - currentTime) + 0.5 * duration;
+    _attackingColorOf(note, percussion) {
+        const palette = this.attackingColors;
+        const trackColor = palette[note.trackIndex % palette.length];
+        switch (this.colorStrategy) {
+            case 'pitch class':
+                if (percussion) return trackColor;
+
+                // 円周上の位相をそのまま色相にする
+                return hueColor(this._calculateTheta(note.midi) / (2 * Math.PI), this.attackingAlpha, attackingColor);
+            case 'octave': {
+                if (percussion) return trackColor;
+
+                const tuning = this.timeSource.tuning;
+                const octaveSteps = (tuning != null) ? tuning.octaveSteps : 12;
+                const octave = Math.floor((note.midi + this.timeSource.key - this.referencePitch) / octaveSteps);
+                return palette[(octave % palette.length + palette.length) % palette.length];
+            }
+            case 'velocity': {
+                // 弱い音ほど暗く・透明にする
+                const brightness = 0.4 + 0.6 * note.velocity;
+                attackingColor[0] = brightness * trackColor[0];
+                attackingColor[1] = brightness * trackColor[1];
+                attackingColor[2] = brightness * trackColor[2];
+                attackingColor[3] = (0.25 + 0.75 * note.velocity) * trackColor[3];
+                return attackingColor;
+            }
+            default:
+                return trackColor;
+        }
     }
 
     /**
-     * 
-     * @param {number} currentTime 
-     * @param {number} appearingTime 
-     * @param {number} time 
-     * @param {number} duration 
+     * ノートに掛かっているピッチベンド（発音前は発音開始時、離鍵後は離鍵時の値）
+     * @param {Object} note
+     * @param {number} currentTime
+     * @returns {number} ベンド量（半音単位）
      */
-    _calculateOutwardViewOffset(currentTime, appearingTime, time, duration) {
-        return -((time + appearingTime - currentTime) + 0.5 * duration);
+    _pitchBendOf(note, currentTime) {
+        const time = Math.min(Math.max(currentTime, note.time), note.time + note.duration);
+        return this._score.pitchBendAt(note.trackIndex, time);
     }
 
     /**
-     * 位相を計算する
-     * @param {number} midi 
+     * 
+     * @param {number?} time 描画する時刻（nullの場合は描画時刻の取得元の現在時刻）
      */
-    _calculateTheta(midi) {
-        return 2 * Math.PI * (midi + this._vocal.key - 72) * this.circleNumerator / this.circleDenominator;
-    }
-
-    render() {
+    render(time = null) {
         if (this._gl == null) {
             return;
         }
@@ -438,22 +1342,27 @@ export class MelodyPatternRenderer {
             return;
         }
 
-        const gl = this._gl;
-        const colorUniform = this._colorUniform;
-        const matrixUniform = this._matrixUniform;
+        const instances = this._instances;
         const appearingColor = this.appearingColor;
-        const attackingColors = this.attackingColors;
+        const hiddenTracks = this.hiddenTracks;
 
         const noteOffsets = this._noteOffsets;
         const percussionOffsets = this._percussionOffsets;
         const score = this._score;
 
-        const width = gl.canvas.width;
-        const height = gl.canvas.height;
+        const width = this._gl.canvas.width;
+        const height = this._gl.canvas.height;
         const reservedHeight = height - this.marginTop - this.marginBottom;
         const offsetY = 0.5 * (this.marginBottom - this.marginTop);
 
-        const currentTime = this._vocal.currentTime;
+        if (this._liveInput !== null) {
+            this._liveInput.update();
+        }
+        // 演奏情報上の時刻で描画するため、再生速度によらずノートの大きさや流れる距離は変わらない
+        let currentTime = time;
+        if (currentTime === null) {
+            currentTime = (this._liveInput !== null) ? this._liveInput.currentTime : this.timeSource.currentTime;
+        }
         const currentMeasures = this._score.ticksToFixedMeasures(this._score.secondsToTicks(currentTime));
 
         const noteMagnification = this.noteMagnification;
@@ -464,177 +1373,265 @@ export class MelodyPatternRenderer {
         const percussionAttackingMagnification = this.percussionAttackingMagnification;
         const percussionReleasingTime = this.percussionReleasingTime;
 
-        const circleTime = 4.0 / Math.max(0.01, noteMagnification / 100);
-        const unitSize = 0.8 * Math.min(width, reservedHeight) / circleTime;
-        let noteAppearingTime;
-        switch (this.noteDirection) {
-            case 'inward':
-                noteAppearingTime = -circleTime * 6 / 7;
-                break;
-            case 'outward':
-                noteAppearingTime = -circleTime * 0.5;
-                break;
-        }
-        this.updateNoteOffsets(currentTime, noteAppearingTime);
-        this.updatePercussionOffsets(currentTime, this.percussionAppearingTime);
-
-        let calculateViewOffset;
-        switch (this.noteDirection) {
-            case 'inward':
-                calculateViewOffset = this._calculateInwardViewOffset.bind(this, currentTime);
-                break;
-            case 'outward':
-                calculateViewOffset = this._calculateOutwardViewOffset.bind(this, currentTime, noteAppearingTime);
-                break;
+        const layout = this._layout;
+        layout.circleNumerator = this.circleNumerator;
+        layout.circleDenominator = this.circleDenominator;
+        layout.referencePitch = this.referencePitch;
+        layout.key = this.timeSource.key;
+        layout.direction = this.noteDirection;
+        layout.pianoRollOrder = this.pianoRollOrder;
+        layout.setFrame(currentTime, noteMagnification, width, reservedHeight);
+
+        const pianoRoll = layout.direction === 'piano roll';
+        // 生演奏では離鍵後もしばらく流れ続ける
+        const noteReleasingTime = Math.max(layout.releasingTime, (this._liveInput !== null) ? layout.circleTime * 0.5 : 0.0);
+        noteOffsets.update(score.notes, currentTime, layout.appearingTime, noteReleasingTime);
+        percussionOffsets.update(score.percussions, currentTime, this.percussionAppearingTime, percussionReleasingTime);
+        if (this._liveInput !== null && time === null) {
+            // 消滅済みのノートを捨てて、入力が続いても保持する数と巻き戻し時の走査を抑える（押鍵中のノートは残す）
+            const discarded = this._liveInput.discardBefore(currentTime - Math.max(noteReleasingTime, percussionReleasingTime));
+            noteOffsets.discard(discarded.notes);
+            percussionOffsets.discard(discarded.percussions);
         }
 
-        // 画面を塗りつぶし
-        gl.clear(gl.COLOR_BUFFER_BIT);
-
-        // 発生時ノートの描画
-        // 色の設定（発生時）
-        gl.uniform4fv(colorUniform, appearingColor);
-        for (let noteIndex = noteOffsets.attacked; noteIndex < noteOffsets.appeared; ++noteIndex) {
-            const note = score.notes[noteIndex];
-            const offset = currentTime - note.time;
-            const viewOffset = calculateViewOffset(note.time, note.duration)
-            const theta = this._calculateTheta(note.midi);
-            const dx = unitSize * viewOffset * Math.cos(theta);
-            const dy = unitSize * viewOffset * Math.sin(theta);
-            const sw = unitSize * note.duration;
-            const sh = unitSize * note.duration;
-
-            if (offset < note.duration) {
-                // ワールド兼射影行列の設定
-                gl.uniformMatrix4fv(
-                    matrixUniform, false,
-                    orthoTranslateScaleMatrix(
-                        sw, sh, 1,
-                        dx, offsetY + dy, 0,
-                        width, height,
-                    ),
-                );
-                gl.drawArrays(
-                    gl.TRIANGLE_STRIP,
-                    0,  // vertex offset
-                    4,  // a number of vertices
-                );
+        // 背景図形
+        this._shapes.clear();
+        this._labelAtlas.beginFrame();
+        if (this.showGuide) {
+            const guideRadius = 0.45 * Math.min(width, reservedHeight);
+            if (pianoRoll) {
+                this._pushPianoRollGrid(offsetY, width, Math.max(10, 0.05 * guideRadius));
+            } else {
+                this._pushGuide(offsetY, guideRadius, Math.max(10, 0.05 * guideRadius));
             }
         }
-        // 発音時ノートの描画
-        for (let noteIndex = noteOffsets.released; noteIndex < noteOffsets.attacked; ++noteIndex) {
-            const note = score.notes[noteIndex];
-            const offset = currentTime - note.time;
-            const viewOffset = calculateViewOffset(note.time, note.duration)
-            const theta = this._calculateTheta(note.midi);
-            const dx = unitSize * viewOffset * Math.cos(theta);
-            const dy = unitSize * viewOffset * Math.sin(theta);
-            const sw = unitSize * note.duration;
-            const sh = unitSize * note.duration;
-
-            if (offset < note.duration) {
-                // 色の設定（発音時）
-                gl.uniform4fv(colorUniform, attackingColors[note.trackIndex % attackingColors.length]);
-                // ワールド兼射影行列の設定
-                gl.uniformMatrix4fv(
-                    matrixUniform, false,
-                    orthoTranslateScaleMatrix(
-                        sw, sh, 1,
-                        dx, offsetY + dy, 0,
-                        width, height,
-                    ),
-                );
-                gl.drawArrays(
-                    gl.TRIANGLE_STRIP,
-                    0,  // vertex offset
-                    4,  // a number of vertices
-                );
+        if (this.highlightHarmony && this.harmony !== null && this._liveInput === null && !pianoRoll) {
+            this._pushHarmonySectors(currentTime, offsetY, 0.5 * Math.hypot(width, height));
+        }
+
+        // 描画順（重なり順）にインスタンスを詰める
+        instances.clear();
+
+        if (pianoRoll) {
+            this._pushPianoRollNotes(currentTime, offsetY);
+        } else {
+            // 発生時ノート
+            for (let noteIndex = noteOffsets.attacked; noteIndex < noteOffsets.appeared; ++noteIndex) {
+                const note = score.notes[noteIndex];
+                if (hiddenTracks.has(note.trackIndex)) continue;
+                const offset = currentTime - note.time;
+                layout.place(note.time, note.duration, note.midi + this._pitchBendOf(note, currentTime));
+                const dx = layout.x;
+                const dy = layout.y;
+                const sw = layout.size;
+                const sh = layout.size;
+
+                if (offset < note.duration) {
+                    instances.push(dx, offsetY + dy, sw, sh, appearingColor);
+                }
+            }
+            // 発音時ノート
+            for (let noteIndex = noteOffsets.released; noteIndex < noteOffsets.attacked; ++noteIndex) {
+                const note = score.notes[noteIndex];
+                if (hiddenTracks.has(note.trackIndex)) continue;
+                const offset = currentTime - note.time;
+                layout.place(note.time, note.duration, note.midi + this._pitchBendOf(note, currentTime));
+                const dx = layout.x;
+                const dy = layout.y;
+                const sw = layout.size;
+                const sh = layout.size;
+
+                if (offset < note.duration + noteReleasingTime) {
+                    const attackingColor = this._attackingColorOf(note, false);
+                    if (offset < note.duration) {
+                        instances.push(dx, offsetY + dy, sw, sh, attackingColor);
+                    } else {
+                        // 離鍵後は徐々に透明にする
+                        fadingColor.set(attackingColor);
+                        fadingColor[3] *= 1.0 - (offset - note.duration) / noteReleasingTime;
+                        instances.push(dx, offsetY + dy, sw, sh, fadingColor);
+                    }
+                }
             }
         }
 
-        // パーカッションの現在位置の描画
-        gl.uniform4fv(colorUniform, appearingColor);
-        {
+        if (this.percussionView === 'row') {
+            // パーカッションの現在位置
+            {
+                const theta = currentMeasures % 1.0;
+                const dx = percussionX + percussionW * theta;
+                const dy = percussionY;
+                const sw = percussionAppearingMagnification;
+                const sh = percussionAppearingMagnification;
 
-            const theta = currentMeasures % 1.0;
-            const dx = percussionX + percussionW * theta;
-            const dy = percussionY;
-            const sw = percussionAppearingMagnification;
-            const sh = percussionAppearingMagnification;
-
-            // ワールド兼射影行列の設定
-            gl.uniformMatrix4fv(
-                matrixUniform, false,
-                orthoTranslateScaleMatrix(
-                    sw, sh, 1,
-                    dx, offsetY + dy, 0,
-                    width, height,
-                ),
-            );
-            gl.drawArrays(
-                gl.TRIANGLE_STRIP,
-                0,  // vertex offset
-                4,  // a number of vertices
-            );
-        }
-
-        // 発生時パーカッションの描画
-        for (let percussionIndex = percussionOffsets.appeared - 1; percussionIndex >= percussionOffsets.attacked; --percussionIndex) {
-            const percussion = score.percussions[percussionIndex];
-            const offset = currentMeasures - percussion.measures;
-            // 現在の時刻位置に描画
-            const theta = percussion.measures % 1.0;
-            const dx = percussionX + percussionW * theta;
-            const dy = percussionY;
-            const sw = percussionAppearingMagnification;
-            const sh = percussionAppearingMagnification;
-
-            if (offset < percussionReleasingTime) {
-                // ワールド兼射影行列の設定
-                gl.uniformMatrix4fv(
-                    matrixUniform, false,
-                    orthoTranslateScaleMatrix(
-                        sw, sh, 1,
-                        dx, offsetY + dy, 0,
-                        width, height,
-                    ),
-                );
-                gl.drawArrays(
-                    gl.TRIANGLE_STRIP,
-                    0,  // vertex offset
-                    4,  // a number of vertices
-                );
+                instances.push(dx, offsetY + dy, sw, sh, appearingColor);
             }
-        }
-        // 発音時パーカッションの描画
-        for (let percussionIndex = percussionOffsets.attacked - 1; percussionIndex >= percussionOffsets.released; --percussionIndex) {
-            const percussion = score.percussions[percussionIndex];
-            const offset = currentMeasures - percussion.measures;
-            // 現在の時刻位置に描画
-            const theta = percussion.measures % 1.0;
-            const dx = percussionX + percussionW * theta;
-            const dy = percussionY;
-            const sw = percussionAttackingMagnification * percussion.velocity;
-            const sh = percussionAttackingMagnification * percussion.velocity;
-
-            if (offset < percussionReleasingTime) {
-                // 色の設定（発音時）
-                gl.uniform4fv(colorUniform, attackingColors[percussion.trackIndex % attackingColors.length]);
-                // ワールド兼射影行列の設定
-                gl.uniformMatrix4fv(
-                    matrixUniform, false,
-                    orthoTranslateScaleMatrix(
-                        sw, sh, 1,
-                        dx, offsetY + dy, 0,
-                        width, height,
-                    ),
-                );
-                gl.drawArrays(
-                    gl.TRIANGLE_STRIP,
-                    0,  // vertex offset
-                    4,  // a number of vertices
-                );
+
+            // 発生時パーカッション
+            for (let percussionIndex = percussionOffsets.appeared - 1; percussionIndex >= percussionOffsets.attacked; --percussionIndex) {
+                const percussion = score.percussions[percussionIndex];
+                if (hiddenTracks.has(percussion.trackIndex)) continue;
+                const offset = currentMeasures - percussion.measures;
+                // 現在の時刻位置に描画
+                const theta = percussion.measures % 1.0;
+                const dx = percussionX + percussionW * theta;
+                const dy = percussionY;
+                const sw = percussionAppearingMagnification;
+                const sh = percussionAppearingMagnification;
+
+                if (offset < percussionReleasingTime) {
+                    instances.push(dx, offsetY + dy, sw, sh, appearingColor);
+                }
+            }
+            // 発音時パーカッション
+            for (let percussionIndex = percussionOffsets.attacked - 1; percussionIndex >= percussionOffsets.released; --percussionIndex) {
+                const percussion = score.percussions[percussionIndex];
+                if (hiddenTracks.has(percussion.trackIndex)) continue;
+                const offset = currentMeasures - percussion.measures;
+                // 現在の時刻位置に描画
+                const theta = percussion.measures % 1.0;
+                const dx = percussionX + percussionW * theta;
+                const dy = percussionY;
+                const sw = percussionAttackingMagnification * percussion.velocity;
+                const sh = percussionAttackingMagnification * percussion.velocity;
+
+                if (offset < percussionReleasingTime) {
+                    instances.push(dx, offsetY + dy, sw, sh, this._attackingColorOf(percussion, true));
+                }
             }
+        } else {
+            this._pushPercussionPattern(currentTime, currentMeasures, offsetY, width, reservedHeight);
         }
+
+        // 画面を塗りつぶし
+        this._gl.clearColor(...this.backgroundColor);
+        this._gl.clear(this._gl.COLOR_BUFFER_BIT);
+        this._drawShapes(width, height);
+        this._drawInstances(width, height);
+    }
+
+    /**
+     * ノート用のシェーダの頂点属性を設定する
+     *
+     * 背景図形の描画で属性の設定が変わるため、毎フレーム設定し直す。
+     */
+    _bindInstanceAttributes() {
+        const gl = this._gl;
+        const instancing = this._instancing;
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this._positionBuffer);
+        gl.vertexAttribPointer(
+            this._vertexPositionAttribute,
+            2, // a number of float values per vertex position
+            gl.FLOAT, false, 0, 0);
+        gl.enableVertexAttribArray(this._vertexPositionAttribute);
+        instancing.vertexAttribDivisor(this._vertexPositionAttribute, 0);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this._textureCoordBuffer);
+        gl.vertexAttribPointer(
+            this._vertexTextureCoordAttribute,
+            2, // a number of float values per vertex texture coord
+            gl.FLOAT, false, 0, 0);
+        gl.enableVertexAttribArray(this._vertexTextureCoordAttribute);
+        instancing.vertexAttribDivisor(this._vertexTextureCoordAttribute, 0);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this._instanceBuffer);
+        gl.vertexAttribPointer(
+            this._instanceTransformAttribute,
+            4, // a number of float values per instance transform
+            gl.FLOAT, false, instanceStride * 4, 0);
+        gl.enableVertexAttribArray(this._instanceTransformAttribute);
+        instancing.vertexAttribDivisor(this._instanceTransformAttribute, 1);
+        gl.vertexAttribPointer(
+            this._instanceColorAttribute,
+            4, // a number of float values per instance color
+            gl.FLOAT, false, instanceStride * 4, 4 * 4);
+        gl.enableVertexAttribArray(this._instanceColorAttribute);
+        instancing.vertexAttribDivisor(this._instanceColorAttribute, 1);
+    }
+
+    /**
+     * 蓄えた背景図形を一括で描画する
+     * @param {number} width 
+     * @param {number} height 
+     */
+    _drawShapes(width, height) {
+        const gl = this._gl;
+        const shapes = this._shapes;
+        if (shapes.count === 0) return;
+
+        gl.useProgram(this._shapeShader);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this._shapeBuffer);
+        if (this._shapeBufferSize < shapes.data.byteLength) {
+            gl.bufferData(gl.ARRAY_BUFFER, shapes.data, gl.DYNAMIC_DRAW);
+            this._shapeBufferSize = shapes.data.byteLength;
+        } else {
+            gl.bufferSubData(gl.ARRAY_BUFFER, 0, shapes.data.subarray(0, shapes.count * shapeStride));
+        }
+
+        // ノート用の属性の設定を外す（位置が重なる場合に備えインスタンス単位の指定も外す）
+        [
+            this._shapePositionAttribute,
+            this._shapeTextureCoordAttribute,
+            this._shapeColorAttribute,
+        ].forEach(attribute => {
+            this._instancing.vertexAttribDivisor(attribute, 0);
+        });
+        [
+            this._vertexPositionAttribute,
+            this._vertexTextureCoordAttribute,
+            this._instanceTransformAttribute,
+            this._instanceColorAttribute,
+        ].forEach(attribute => {
+            gl.disableVertexAttribArray(attribute);
+            this._instancing.vertexAttribDivisor(attribute, 0);
+        });
+        gl.vertexAttribPointer(this._shapePositionAttribute, 2, gl.FLOAT, false, shapeStride * 4, 0);
+        gl.enableVertexAttribArray(this._shapePositionAttribute);
+        gl.vertexAttribPointer(this._shapeTextureCoordAttribute, 2, gl.FLOAT, false, shapeStride * 4, 2 * 4);
+        gl.enableVertexAttribArray(this._shapeTextureCoordAttribute);
+        gl.vertexAttribPointer(this._shapeColorAttribute, 4, gl.FLOAT, false, shapeStride * 4, 4 * 4);
+        gl.enableVertexAttribArray(this._shapeColorAttribute);
+
+        gl.activeTexture(gl.TEXTURE0);
+        this._labelAtlas.upload();
+        gl.bindTexture(gl.TEXTURE_2D, this._labelAtlas.texture);
+        gl.uniform1i(this._shapeTextureUniform, 0);
+        gl.uniform2f(this._shapeViewportSizeUniform, width, height);
+        gl.drawArrays(gl.TRIANGLES, 0, shapes.count);
+
+        gl.disableVertexAttribArray(this._shapePositionAttribute);
+        gl.disableVertexAttribArray(this._shapeTextureCoordAttribute);
+        gl.disableVertexAttribArray(this._shapeColorAttribute);
+    }
+
+    /**
+     * 蓄えたインスタンスを一括で描画する
+     * @param {number} width 
+     * @param {number} height 
+     */
+    _drawInstances(width, height) {
+        const gl = this._gl;
+        const instances = this._instances;
+        if (instances.count === 0) return;
+
+        gl.useProgram(this._shader);
+        this._bindInstanceAttributes();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this._instanceBuffer);
+        if (this._instanceBufferSize < instances.data.byteLength) {
+            // 容量が足りなければ確保し直す
+            gl.bufferData(gl.ARRAY_BUFFER, instances.data, gl.DYNAMIC_DRAW);
+            this._instanceBufferSize = instances.data.byteLength;
+        } else {
+            gl.bufferSubData(gl.ARRAY_BUFFER, 0, instances.data.subarray(0, instances.count * instanceStride));
+        }
+
+        gl.uniform2f(this._viewportSizeUniform, width, height);
+        this._instancing.drawArraysInstanced(
+            gl.TRIANGLE_STRIP,
+            0,  // vertex offset
+            4,  // a number of vertices
+            instances.count,
+        );
     }
-};
\ No newline at end of file
+};
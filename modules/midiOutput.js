@@ -0,0 +1,174 @@
+/**
+ * @typedef MidiOutputPort
+ * @property {string} id
+ * @property {string} name
+ * @property {(data: number[], timestamp?: number) => void} send
+ * @property {(() => void)=} clear
+ */
+
+/**
+ * @typedef MidiAccessLike
+ * @property {Map<string, MidiOutputPort>} outputs
+ * @property {((event: Event) => void)?=} onstatechange
+ */
+
+
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xB0;
+const PROGRAM_CHANGE = 0xC0;
+const PITCH_BEND = 0xE0;
+
+const ALL_SOUND_OFF = 120;
+const ALL_NOTES_OFF = 123;
+
+
+/**
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ */
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+
+/**
+ * Web MIDI出力デバイスへの送信を担うクラス
+ */
+export class MidiOutput {
+    /**
+     * @param {MidiAccessLike} midiAccess navigator.requestMIDIAccess()の結果またはその代替
+     */
+    constructor(midiAccess) {
+        this._midiAccess = midiAccess;
+
+        /**
+         * 出力ポートの接続状態が変化したときに呼ばれる
+         * @type {(() => void)?}
+         */
+        this.onportschange = null;
+
+        this._midiAccess.onstatechange = e => {
+            if (this.onportschange !== null) {
+                this.onportschange();
+            }
+        };
+    }
+
+    /**
+     * ブラウザのWeb MIDI APIから生成する
+     * @returns {Promise<MidiOutput?>}
+     */
+    static async request() {
+        if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
+            return null;
+        }
+        try {
+            return new MidiOutput(await navigator.requestMIDIAccess());
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * 利用可能な出力ポート
+     * @returns {{id: string, name: string}[]}
+     */
+    get ports() {
+        return Array.from(this._midiAccess.outputs.values(), port => ({
+            id: port.id,
+            name: port.name,
+        }));
+    }
+
+    /**
+     * @param {string} portId
+     * @returns {MidiOutputPort?}
+     */
+    _port(portId) {
+        return this._midiAccess.outputs.get(portId) || null;
+    }
+
+    /**
+     * ノートを送信する
+     * @param {string} portId
+     * @param {number} channel 0始まりのチャンネル番号
+     * @param {number} midi ノート番号
+     * @param {number} velocity 0.0～1.0の強さ
+     * @param {number} timestamp 発音時刻（performance.now()基準のミリ秒）
+     * @param {number} duration 発音時間（ミリ秒）
+     */
+    sendNote(portId, channel, midi, velocity, timestamp, duration) {
+        const port = this._port(portId);
+        if (port === null) return;
+
+        const status = channel & 0x0F;
+        const noteNumber = clamp(Math.round(midi), 0, 127);
+        const velocityValue = clamp(Math.round(velocity * 127), 1, 127);
+
+        port.send([NOTE_ON | status, noteNumber, velocityValue], timestamp);
+        port.send([NOTE_OFF | status, noteNumber, 0], timestamp + duration);
+    }
+
+    /**
+     * 音色を送信する
+     * @param {string} portId
+     * @param {number} channel 0始まりのチャンネル番号
+     * @param {number} program 0始まりの音色番号
+     */
+    sendProgramChange(portId, channel, program) {
+        const port = this._port(portId);
+        if (port === null) return;
+
+        port.send([PROGRAM_CHANGE | (channel & 0x0F), clamp(program, 0, 127)]);
+    }
+
+    /**
+     * コントロールチェンジを送信する
+     * @param {string} portId
+     * @param {number} channel 0始まりのチャンネル番号
+     * @param {number} number コントロール番号
+     * @param {number} value 0.0～1.0の値
+     * @param {number} timestamp 送信時刻（performance.now()基準のミリ秒）
+     */
+    sendControlChange(portId, channel, number, value, timestamp) {
+        const port = this._port(portId);
+        if (port === null) return;
+
+        port.send([CONTROL_CHANGE | (channel & 0x0F), clamp(number, 0, 127), clamp(Math.round(value * 127), 0, 127)], timestamp);
+    }
+
+    /**
+     * ピッチベンドを送信する
+     * @param {string} portId
+     * @param {number} channel 0始まりのチャンネル番号
+     * @param {number} value -1.0～1.0のベンド量
+     * @param {number} timestamp 送信時刻（performance.now()基準のミリ秒）
+     */
+    sendPitchBend(portId, channel, value, timestamp) {
+        const port = this._port(portId);
+        if (port === null) return;
+
+        const bend = clamp(Math.round(8192 + value * 8192), 0, 16383);
+        port.send([PITCH_BEND | (channel & 0x0F), bend & 0x7F, bend >> 7], timestamp);
+    }
+
+    /**
+     * 全チャンネルの発音を止める
+     * @param {string} portId
+     */
+    sendAllNotesOff(portId) {
+        const port = this._port(portId);
+        if (port === null) return;
+
+        // 送信予約中のメッセージを破棄（未実装のブラウザもある）
+        if (typeof port.clear === 'function') {
+            port.clear();
+        }
+        for (let channel = 0; channel < 16; ++channel) {
+            port.send([CONTROL_CHANGE | channel, ALL_SOUND_OFF, 0]);
+            port.send([CONTROL_CHANGE | channel, ALL_NOTES_OFF, 0]);
+        }
+    }
+};
@@ -0,0 +1,407 @@
+/**
+ * 音名ごとのCからの半音数
+ */
+const stepSemitones = {
+    C: 0,
+    D: 2,
+    E: 4,
+    F: 5,
+    G: 7,
+    A: 9,
+    B: 11,
+};
+
+const percussionChannel = 9;
+
+/**
+ * MusicXMLの強弱の既定値（100でMIDIベロシティ90に相当）
+ */
+const defaultDynamics = 90;
+
+
+/**
+ * @param {Element} element
+ * @param {string} tagName
+ * @returns {Element?}
+ */
+function childElement(element, tagName) {
+    for (const child of element.children) {
+        if (child.tagName === tagName) return child;
+    }
+    return null;
+}
+
+/**
+ * @param {Element} element
+ * @param {string} tagName
+ * @returns {Element[]}
+ */
+function childElements(element, tagName) {
+    return Array.from(element.children).filter(child => child.tagName === tagName);
+}
+
+/**
+ * @param {Element} element
+ * @param {string} tagName
+ * @param {string?} defaultValue
+ * @returns {string?}
+ */
+function childText(element, tagName, defaultValue = null) {
+    const child = childElement(element, tagName);
+    return (child !== null) ? child.textContent.trim() : defaultValue;
+}
+
+/**
+ * @param {number} dynamics MusicXMLの強弱
+ * @returns {number} 0.0～1.0のベロシティ
+ */
+function dynamicsToVelocity(dynamics) {
+    return Math.min(1.0, Math.max(0.0, dynamics * 90 / 100 / 127));
+}
+
+/**
+ * @param {Element} pitch pitchまたはunpitched要素
+ * @param {string} prefix 'display-'など要素名の接頭辞
+ * @returns {number}
+ */
+function pitchToMidi(pitch, prefix = '') {
+    const step = stepSemitones[childText(pitch, prefix + 'step', 'C')];
+    const alter = Math.round(Number(childText(pitch, 'alter', '0')));
+    const octave = Number(childText(pitch, prefix + 'octave', '4'));
+    return 12 * (octave + 1) + step + alter;
+}
+
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflateRaw(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * ZIPアーカイブのファイルを展開する
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<Map<string, Uint8Array>>}
+ */
+async function unzip(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const decoder = new TextDecoder();
+
+    // 終端レコードを末尾から探す
+    let endOffset = buffer.byteLength - 22;
+    while (endOffset >= 0 && view.getUint32(endOffset, true) !== 0x06054b50) {
+        --endOffset;
+    }
+    if (endOffset < 0) {
+        throw new Error("Invalid MXL file: ZIP end of central directory not found.");
+    }
+
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+
+    const files = new Map();
+    for (let entryIndex = 0; entryIndex < entryCount; ++entryIndex) {
+        if (view.getUint32(offset, true) !== 0x02014b50) {
+            throw new Error("Invalid MXL file: broken ZIP central directory.");
+        }
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+        const dataOffset = localOffset + 30
+            + view.getUint16(localOffset + 26, true)
+            + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataOffset, dataOffset + compressedSize);
+
+        switch (method) {
+            case 0:
+                files.set(name, data);
+                break;
+            case 8:
+                files.set(name, await inflateRaw(data));
+                break;
+            default:
+                throw new Error(`Unsupported ZIP compression method: ${method}`);
+        }
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return files;
+}
+
+/**
+ * 圧縮MusicXML（.mxl）からMusicXML本体を取り出す
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<string>}
+ */
+export async function extractMusicXml(buffer) {
+    const files = await unzip(buffer);
+    const decoder = new TextDecoder();
+
+    let rootPath = null;
+    const container = files.get('META-INF/container.xml');
+    if (container !== undefined) {
+        const xml = new DOMParser().parseFromString(decoder.decode(container), 'application/xml');
+        const rootfile = xml.querySelector('rootfile');
+        if (rootfile !== null) {
+            rootPath = rootfile.getAttribute('full-path');
+        }
+    }
+    if (rootPath === null) {
+        rootPath = Array.from(files.keys()).find(name => !name.startsWith('META-INF/') && /\.(xml|musicxml)$/i.test(name));
+    }
+    if (rootPath === undefined || !files.has(rootPath)) {
+        throw new Error("Invalid MXL file: MusicXML document not found.");
+    }
+
+    return decoder.decode(files.get(rootPath));
+}
+
+
+/**
+ * ブラウザのDOMParserでMusicXMLを解析する
+ * @param {string} text
+ * @returns {Document}
+ */
+function parseXml(text) {
+    const xml = new DOMParser().parseFromString(text, 'application/xml');
+    if (xml.querySelector('parsererror') !== null) {
+        throw new Error("Invalid MusicXML document.");
+    }
+    return xml;
+}
+
+/**
+ * MusicXML（score-partwise）を演奏情報（Midi）に変換する
+ *
+ * 要素はchildren・tagName・textContent・getAttributeのみ用いるため、DOMParserの無い環境では同等の解析関数を渡せる。
+ * @param {string} text
+ * @param {(text: string) => Document} parse XMLの解析関数（既定はDOMParser）
+ * @returns {Midi}
+ */
+export function midiFromMusicXml(text, parse = parseXml) {
+    const root = parse(text).documentElement;
+    if (root.tagName !== 'score-partwise') {
+        throw new Error(`Unsupported MusicXML root element: ${root.tagName}`);
+    }
+
+    const midi = new Midi();
+    const header = midi.header;
+    const ppq = header.ppq;
+    const work = childElement(root, 'work');
+    header.name = childText(root, 'movement-title') || ((work !== null) ? childText(work, 'work-title', '') : '');
+
+    /**
+     * @param {number} quarters
+     */
+    const toTicks = quarters => Math.round(quarters * ppq);
+
+    // パート一覧（楽器・チャンネル）
+    const partInfos = new Map();
+    const partList = childElement(root, 'part-list');
+    let nextChannel = 0;
+    for (const scorePart of (partList !== null) ? childElements(partList, 'score-part') : []) {
+        const info = {
+            name: childText(scorePart, 'part-name', ''),
+            channel: null,
+            program: 0,
+            unpitched: new Map(),
+        };
+        for (const midiInstrument of childElements(scorePart, 'midi-instrument')) {
+            const channel = childText(midiInstrument, 'midi-channel');
+            const program = childText(midiInstrument, 'midi-program');
+            const unpitched = childText(midiInstrument, 'midi-unpitched');
+            if (channel !== null && info.channel === null) {
+                info.channel = Number(channel) - 1;
+            }
+            if (program !== null) {
+                info.program = Number(program) - 1;
+            }
+            if (unpitched !== null) {
+                info.unpitched.set(midiInstrument.getAttribute('id'), Number(unpitched) - 1);
+            }
+        }
+        partInfos.set(scorePart.getAttribute('id'), info);
+    }
+
+    const tempoTicks = new Set();
+    childElements(root, 'part').forEach((part, partIndex) => {
+        const info = partInfos.get(part.getAttribute('id')) || {
+            name: '',
+            channel: null,
+            program: 0,
+            unpitched: new Map(),
+        };
+
+        let divisions = 1;
+        let transpose = 0;
+        let dynamics = defaultDynamics;
+        // 位置は四分音符単位
+        let position = 0;
+        let lastNotePosition = 0;
+        let percussion = info.channel === percussionChannel;
+
+        const notes = [];
+        // タイで繋がれている途中のノート（キーはノート番号）
+        const tiedNotes = new Map();
+
+        /**
+         * @param {Element} sound
+         */
+        const applySound = sound => {
+            // テンポは全パートで共通のため同じ位置の重複は除く
+            const tempo = sound.getAttribute('tempo');
+            const ticks = toTicks(position);
+            if (tempo !== null && !tempoTicks.has(ticks)) {
+                tempoTicks.add(ticks);
+                header.tempos.push({ ticks: ticks, bpm: Number(tempo) });
+            }
+            const soundDynamics = sound.getAttribute('dynamics');
+            if (soundDynamics !== null) {
+                dynamics = Number(soundDynamics);
+            }
+        };
+
+        for (const measure of childElements(part, 'measure')) {
+            const measureStart = position;
+            let measureEnd = position;
+
+            for (const child of measure.children) {
+                switch (child.tagName) {
+                    case 'attributes': {
+                        const divisionsText = childText(child, 'divisions');
+                        if (divisionsText !== null) {
+                            divisions = Number(divisionsText);
+                        }
+                        const time = childElement(child, 'time');
+                        const timeTicks = toTicks(measureStart);
+                        const lastTimeSignature = header.timeSignatures[header.timeSignatures.length - 1];
+                        if (time !== null && partIndex === 0 && (lastTimeSignature === undefined || lastTimeSignature.ticks !== timeTicks)) {
+                            const beats = childText(time, 'beats', '4').split('+').reduce((sum, value) => sum + Number(value), 0);
+                            const beatType = Number(childText(time, 'beat-type', '4'));
+                            header.timeSignatures.push({
+                                ticks: timeTicks,
+                                timeSignature: [beats, beatType],
+                            });
+                        }
+                        const transposeElement = childElement(child, 'transpose');
+                        if (transposeElement !== null) {
+                            transpose = Number(childText(transposeElement, 'chromatic', '0'))
+                                + 12 * Number(childText(transposeElement, 'octave-change', '0'));
+                        }
+                        break;
+                    }
+                    case 'direction': {
+                        const sound = childElement(child, 'sound');
+                        if (sound !== null) {
+                            applySound(sound);
+                        }
+                        break;
+                    }
+                    case 'sound':
+                        applySound(child);
+                        break;
+                    case 'backup':
+                        position -= Number(childText(child, 'duration', '0')) / divisions;
+                        break;
+                    case 'forward':
+                        position += Number(childText(child, 'duration', '0')) / divisions;
+                        break;
+                    case 'note': {
+                        // 装飾音は長さを持たないため省略
+                        if (childElement(child, 'grace') !== null) break;
+
+                        const duration = Number(childText(child, 'duration', '0')) / divisions;
+                        const start = (childElement(child, 'chord') !== null) ? lastNotePosition : position;
+                        if (childElement(child, 'chord') === null) {
+                            lastNotePosition = start;
+                            position = start + duration;
+                        }
+
+                        // 休符・キュー音符は発音しない
+                        if (childElement(child, 'rest') !== null || childElement(child, 'cue') !== null) break;
+
+                        let noteNumber;
+                        const pitch = childElement(child, 'pitch');
+                        const unpitched = childElement(child, 'unpitched');
+                        if (pitch !== null) {
+                            noteNumber = pitchToMidi(pitch) + transpose;
+                        } else if (unpitched !== null) {
+                            const instrument = childElement(child, 'instrument');
+                            const instrumentId = (instrument !== null) ? instrument.getAttribute('id') : null;
+                            if (info.unpitched.has(instrumentId)) {
+                                noteNumber = info.unpitched.get(instrumentId);
+                            } else {
+                                noteNumber = pitchToMidi(unpitched, 'display-');
+                            }
+                            percussion = true;
+                        } else {
+                            break;
+                        }
+
+                        const noteDynamics = child.getAttribute('dynamics');
+                        const velocity = dynamicsToVelocity((noteDynamics !== null) ? Number(noteDynamics) : dynamics);
+                        const tieTypes = childElements(child, 'tie').map(tie => tie.getAttribute('type'));
+
+                        const tiedNote = tiedNotes.get(noteNumber);
+                        if (tieTypes.includes('stop') && tiedNote !== undefined) {
+                            tiedNote.end = start + duration;
+                            if (!tieTypes.includes('start')) {
+                                tiedNotes.delete(noteNumber);
+                            }
+                        } else {
+                            const note = {
+                                midi: noteNumber,
+                                start: start,
+                                end: start + duration,
+                                velocity: velocity,
+                            };
+                            notes.push(note);
+                            if (tieTypes.includes('start')) {
+                                tiedNotes.set(noteNumber, note);
+                            }
+                        }
+                        break;
+                    }
+                }
+                measureEnd = Math.max(measureEnd, position);
+            }
+
+            position = measureEnd;
+        }
+
+        const track = midi.addTrack();
+        track.name = info.name;
+        if (percussion) {
+            track.channel = percussionChannel;
+        } else if (info.channel !== null && info.channel !== percussionChannel) {
+            track.channel = info.channel;
+        } else {
+            // パーカッション用のチャンネルを避けて割り当てる
+            if (nextChannel === percussionChannel) ++nextChannel;
+            track.channel = nextChannel % 16;
+            ++nextChannel;
+        }
+        track.instrument.number = info.program;
+
+        for (const note of notes) {
+            track.addNote({
+                midi: Math.min(127, Math.max(0, note.midi)),
+                ticks: toTicks(note.start),
+                durationTicks: Math.max(1, toTicks(note.end) - toTicks(note.start)),
+                velocity: note.velocity,
+            });
+        }
+    });
+
+    header.update();
+    return midi;
+}
@@ -0,0 +1,64 @@
+/**
+ * 小節内の区切りの種類
+ * @typedef {'measure' | 'beat' | 'subdivision'} DivisionLevel
+ */
+
+/**
+ * @typedef BeatDivision
+ * @property {number} position 小節内の位置（0～1）
+ * @property {DivisionLevel} level
+ */
+
+
+/**
+ * GMドラムの楽器ごとのレーン（横並びでは下から、小節時計では内側から順）
+ *
+ * いずれにも含まれないノート番号は最後のレーンにまとめる。
+ */
+export const drumLanes = [
+    { name: 'キック', notes: [35, 36] },
+    { name: 'スネア', notes: [37, 38, 39, 40] },
+    { name: 'タム', notes: [41, 43, 45, 47, 48, 50] },
+    { name: 'ハイハット', notes: [42, 44, 46] },
+    { name: 'シンバル', notes: [49, 51, 52, 53, 55, 57, 59] },
+    { name: 'その他', notes: [] },
+];
+
+const laneIndices = new Map(drumLanes.flatMap((lane, index) => lane.notes.map(midi => [midi, index])));
+
+
+/**
+ * @param {number} midi
+ * @returns {number} drumLanesの添字
+ */
+export function drumLaneOf(midi) {
+    const index = laneIndices.get(midi);
+    return (index !== undefined) ? index : drumLanes.length - 1;
+}
+
+/**
+ * 拍子から小節内の拍・拍の分割位置を求める
+ *
+ * 6/8などの複合拍子は3つずつまとめて1拍とし、それ以外は1拍を2つに分ける。
+ * @param {[number, number]} timeSignature [分子, 分母]
+ * @returns {BeatDivision[]}
+ */
+export function beatDivisionsOf(timeSignature) {
+    const [numerator, denominator] = timeSignature;
+    const compound = denominator >= 8 && numerator > 3 && numerator % 3 === 0;
+    const beats = compound ? numerator / 3 : numerator;
+    const subdivisions = compound ? 3 : 2;
+    const count = beats * subdivisions;
+
+    const divisions = [];
+    for (let index = 0; index < count; ++index) {
+        let level = 'subdivision';
+        if (index === 0) {
+            level = 'measure';
+        } else if (index % subdivisions === 0) {
+            level = 'beat';
+        }
+        divisions.push({ position: index / count, level: level });
+    }
+    return divisions;
+}
@@ -0,0 +1,270 @@
+/**
+ * 曲の終わりの扱い
+ *
+ * - off: 最後の曲で止まる
+ * - one: 同じ曲を繰り返す
+ * - all: 最後の曲の次は先頭へ戻る
+ * - shuffle: 全曲を無作為な順で一巡するごとに並べ直す
+ * @typedef {'off' | 'one' | 'all' | 'shuffle'} RepeatMode
+ */
+
+/**
+ * @typedef PlaylistEntry
+ * @property {File} file
+ * @property {string} name
+ * @property {number?} key 移調量（未設定の場合は直前の値を引き継ぐ）
+ * @property {number?} magnification ノートの表示倍率（未設定の場合は直前の値を引き継ぐ）
+ */
+
+
+/**
+ * 読み込める演奏情報の拡張子
+ */
+const scoreExtensions = ['mid', 'midi', 'musicxml', 'xml', 'mxl', 'abc'];
+
+/**
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isScoreFileName(name) {
+    return scoreExtensions.includes(name.toLowerCase().split('.').pop());
+}
+
+/**
+ * フォルダ内のファイルを再帰的に集める
+ * @param {FileSystemEntry} entry
+ * @param {{path: string, file: File}[]} results
+ */
+async function collectEntryFiles(entry, results) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        results.push({ path: entry.fullPath, file: file });
+        return;
+    }
+
+    const reader = entry.createReader();
+    // 一度に全ての項目が返るとは限らないため空になるまで読む
+    for (;;) {
+        const children = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (children.length === 0) break;
+
+        for (const child of children) {
+            await collectEntryFiles(child, results);
+        }
+    }
+}
+
+/**
+ * ドロップされたファイル・フォルダから演奏情報のファイルを取り出す
+ *
+ * フォルダ内のファイルはパスの自然順（"2"は"10"より前）に並べる。
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<File[]>}
+ */
+export async function scoreFilesFromDataTransfer(dataTransfer) {
+    // 項目はイベント処理中にしか取得できないため、非同期処理の前に取り出す
+    const entries = Array.from(dataTransfer.items, item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null);
+    if (entries.some(entry => entry === null)) {
+        return Array.from(dataTransfer.files).filter(file => isScoreFileName(file.name));
+    }
+
+    const files = [];
+    for (const entry of entries) {
+        const results = [];
+        await collectEntryFiles(entry, results);
+        results.sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
+        files.push(...results.map(result => result.file).filter(file => isScoreFileName(file.name)));
+    }
+    return files;
+}
+
+/**
+ * ファイル選択ダイアログで選ばれたファイル（フォルダ選択の場合はその中身）から演奏情報のファイルを取り出す
+ * @param {FileList} fileList
+ * @returns {File[]}
+ */
+export function scoreFilesFromFileList(fileList) {
+    const pathOf = file => file.webkitRelativePath || file.name;
+    return Array.from(fileList)
+        .filter(file => isScoreFileName(file.name))
+        .sort((a, b) => pathOf(a).localeCompare(pathOf(b), undefined, { numeric: true }));
+}
+
+
+/**
+ * 再生する曲の一覧
+ */
+export class Playlist {
+    /**
+     * @param {() => number} random シャッフルに使う[0, 1)の乱数
+     */
+    constructor(random = Math.random) {
+        /** @type {PlaylistEntry[]} */
+        this.entries = [];
+        /**
+         * 選択中の曲の添字（未選択の場合は-1）
+         */
+        this.index = -1;
+
+        this._repeat = 'all';
+        this._random = random;
+        /**
+         * シャッフル時の再生順（選択中の曲より前は再生済み）
+         * @type {PlaylistEntry[]}
+         */
+        this._order = [];
+    }
+
+    /**
+     * @returns {RepeatMode}
+     */
+    get repeat() {
+        return this._repeat;
+    }
+    /**
+     * @param {RepeatMode} value
+     */
+    set repeat(value) {
+        this._repeat = value;
+
+        if (value === 'shuffle') {
+            this._order = this._shuffled(this.current);
+        }
+    }
+
+    /**
+     * @returns {number}
+     */
+    get length() {
+        return this.entries.length;
+    }
+
+    /**
+     * 選択中の曲
+     * @returns {PlaylistEntry?}
+     */
+    get current() {
+        return (this.index >= 0) ? this.entries[this.index] : null;
+    }
+
+    /**
+     * 末尾に追加する
+     * @param {File[]} files
+     * @returns {number} 追加した先頭の曲の添字
+     */
+    add(files) {
+        const firstIndex = this.entries.length;
+        for (const file of files) {
+            const entry = { file: file, name: file.name, key: null, magnification: null };
+            this.entries.push(entry);
+
+            // 未再生の範囲の無作為な位置に入れる
+            const position = this._order.indexOf(this.current) + 1;
+            this._order.splice(position + Math.floor(this._random() * (this._order.length - position + 1)), 0, entry);
+        }
+        return firstIndex;
+    }
+
+    /**
+     * @param {number} index
+     */
+    remove(index) {
+        const [entry] = this.entries.splice(index, 1);
+        this._order = this._order.filter(orderEntry => orderEntry !== entry);
+
+        if (index === this.index) {
+            this.index = -1;
+        } else if (index < this.index) {
+            --this.index;
+        }
+    }
+
+    /**
+     * 並べ替える（選択中の曲は選択したまま）
+     * @param {number} from
+     * @param {number} to
+     */
+    move(from, to) {
+        if (to < 0 || to >= this.entries.length) return;
+
+        const current = this.current;
+        const [entry] = this.entries.splice(from, 1);
+        this.entries.splice(to, 0, entry);
+        this.index = this.entries.indexOf(current);
+    }
+
+    clear() {
+        this.entries = [];
+        this._order = [];
+        this.index = -1;
+    }
+
+    /**
+     * @param {number} index
+     * @returns {number} 選択した曲の添字
+     */
+    select(index) {
+        this.index = index;
+        return index;
+    }
+
+    /**
+     * 次の曲を選択する
+     * @param {boolean} ended 曲の終わりに達して自動で進む場合はtrue（1曲の繰り返しでは同じ曲を選ぶ）
+     * @returns {number} 選択した曲の添字（次の曲が無い場合は-1で、選択は変えない）
+     */
+    next(ended = false) {
+        if (this.entries.length === 0) return -1;
+        if (ended && this._repeat === 'one' && this.index >= 0) return this.index;
+
+        if (this._repeat === 'shuffle') {
+            const position = this._order.indexOf(this.current) + 1;
+            if (position < this._order.length) {
+                return this.select(this.entries.indexOf(this._order[position]));
+            }
+            // 一巡したら並べ直す（同じ曲が続かないよう選択中の曲は先頭にしない）
+            this._order = this._shuffled(null);
+            if (this._order.length > 1 && this._order[0] === this.current) {
+                const swapIndex = 1 + Math.floor(this._random() * (this._order.length - 1));
+                [this._order[0], this._order[swapIndex]] = [this._order[swapIndex], this._order[0]];
+            }
+            return this.select(this.entries.indexOf(this._order[0]));
+        }
+
+        if (this.index + 1 < this.entries.length) return this.select(this.index + 1);
+        return (this._repeat === 'off') ? -1 : this.select(0);
+    }
+
+    /**
+     * 前の曲を選択する
+     * @returns {number} 選択した曲の添字（前の曲が無い場合は-1で、選択は変えない）
+     */
+    previous() {
+        if (this.entries.length === 0) return -1;
+
+        if (this._repeat === 'shuffle') {
+            const position = this._order.indexOf(this.current) - 1;
+            return (position >= 0) ? this.select(this.entries.indexOf(this._order[position])) : -1;
+        }
+
+        if (this.index > 0) return this.select(this.index - 1);
+        return (this._repeat === 'off') ? -1 : this.select(this.entries.length - 1);
+    }
+
+    /**
+     * 全曲を無作為に並べる
+     * @param {PlaylistEntry?} first 先頭に置く曲
+     * @returns {PlaylistEntry[]}
+     */
+    _shuffled(first) {
+        const order = this.entries.filter(entry => entry !== first);
+        for (let index = order.length - 1; index > 0; --index) {
+            const swapIndex = Math.floor(this._random() * (index + 1));
+            [order[index], order[swapIndex]] = [order[swapIndex], order[index]];
+        }
+        if (first !== null) {
+            order.unshift(first);
+        }
+        return order;
+    }
+};
@@ -0,0 +1,204 @@
+/**
+ * @typedef Instrument
+ * @property {number} number
+ * @property {string} family
+ * @property {boolean} percussion
+ */
+
+/**
+ * サンプルの一覧（samples/index.json）
+ *
+ * パスはいずれも一覧のファイルからの相対パス。
+ * @typedef SampleManifest
+ * @property {Object.<string, Object.<string, string>>} instruments 音色名ごとの音名（例: "C4"）とサンプルのパス
+ * @property {Object.<string, string>=} programs GMの音色番号（0始まり）ごとの音色名
+ * @property {Object.<string, string>=} families GMの音色の分類（例: "piano"）ごとの音色名
+ * @property {Object.<string, string>=} drums 打楽器名（gmDrumMapの値、または"-"より前の部分）ごとのサンプルのパス
+ */
+
+
+/**
+ * GMのパーカッションのノート番号ごとの打楽器名
+ */
+const gmDrumMap = {
+    35: 'kick',
+    36: 'kick',
+    37: 'rimshot',
+    38: 'snare',
+    39: 'clap',
+    40: 'snare',
+    41: 'tom-low',
+    42: 'hihat-closed',
+    43: 'tom-low',
+    44: 'hihat-pedal',
+    45: 'tom-mid',
+    46: 'hihat-open',
+    47: 'tom-mid',
+    48: 'tom-high',
+    49: 'crash',
+    50: 'tom-high',
+    51: 'ride',
+    52: 'crash-china',
+    53: 'ride-bell',
+    54: 'tambourine',
+    55: 'crash-splash',
+    56: 'cowbell',
+    57: 'crash',
+    58: 'vibraslap',
+    59: 'ride',
+    60: 'bongo-high',
+    61: 'bongo-low',
+    62: 'conga-mute',
+    63: 'conga-high',
+    64: 'conga-low',
+    65: 'timbale-high',
+    66: 'timbale-low',
+    67: 'agogo-high',
+    68: 'agogo-low',
+    69: 'cabasa',
+    70: 'maracas',
+    71: 'whistle-short',
+    72: 'whistle-long',
+    73: 'guiro-short',
+    74: 'guiro-long',
+    75: 'claves',
+    76: 'woodblock-high',
+    77: 'woodblock-low',
+    78: 'cuica-mute',
+    79: 'cuica-open',
+    80: 'triangle-mute',
+    81: 'triangle-open',
+};
+
+
+/**
+ * 同梱のサンプルから音色ごとの音声データを読み込むクラス
+ *
+ * 一覧やサンプルが見つからない音色はnullを返し、呼び出し側でシンセサイザに切り替える。
+ */
+export class SampleLibrary {
+    /**
+     * @param {string} manifestUrl サンプルの一覧のURL
+     */
+    constructor(manifestUrl = './samples/index.json') {
+        this._manifestUrl = manifestUrl;
+        /**
+         * @type {Promise<SampleManifest?>?}
+         */
+        this._manifest = null;
+        /**
+         * 読み込み済みの音声データ（キーはURL）
+         * @type {Map<string, Promise<Tone.ToneAudioBuffer?>>}
+         */
+        this._buffers = new Map();
+    }
+
+    /**
+     * @returns {Promise<SampleManifest?>}
+     */
+    _loadManifest() {
+        if (this._manifest === null) {
+            this._manifest = fetch(this._manifestUrl)
+                .then(response => response.ok ? response.json() : null)
+                .catch(error => null);
+        }
+        return this._manifest;
+    }
+
+    /**
+     * @param {string} path
+     * @returns {Promise<Tone.ToneAudioBuffer?>}
+     */
+    _loadBuffer(path) {
+        const url = new URL(path, new URL(this._manifestUrl, document.baseURI)).href;
+        if (!this._buffers.has(url)) {
+            this._buffers.set(url, Tone.ToneAudioBuffer.fromUrl(url).catch(error => null));
+        }
+        return this._buffers.get(url);
+    }
+
+    /**
+     * 音名（またはノート番号）とサンプルのパスの対応を読み込む
+     * @param {Object.<string, string>} paths
+     * @returns {Promise<Object.<string, Tone.ToneAudioBuffer>?>} 1つも読み込めない場合はnull
+     */
+    async _loadBuffers(paths) {
+        const entries = await Promise.all(Object.entries(paths).map(async ([note, path]) => [note, await this._loadBuffer(path)]));
+        const buffers = {};
+        for (const [note, buffer] of entries) {
+            if (buffer !== null) {
+                buffers[note] = buffer;
+            }
+        }
+        return (Object.keys(buffers).length > 0) ? buffers : null;
+    }
+
+    /**
+     * 楽器に対応するサンプラー用の音声データ
+     * @param {Instrument} instrument
+     * @returns {Promise<Object.<string, Tone.ToneAudioBuffer>?>} Tone.Samplerのurlsに渡せる形式
+     */
+    async buffersFor(instrument) {
+        const manifest = await this._loadManifest();
+        if (manifest === null) return null;
+
+        if (instrument.percussion) {
+            return this._loadBuffers(this._drumPaths(manifest));
+        }
+
+        const programs = manifest.programs || {};
+        const families = manifest.families || {};
+        const name = programs[instrument.number] || families[instrument.family];
+        const paths = (name !== undefined) ? manifest.instruments[name] : undefined;
+        if (paths === undefined) return null;
+
+        return this._loadBuffers(paths);
+    }
+
+    /**
+     * GMのパーカッションのノート番号ごとのサンプルのパス
+     * @param {SampleManifest} manifest
+     * @returns {Object.<string, string>}
+     */
+    _drumPaths(manifest) {
+        const drums = manifest.drums || {};
+        const paths = {};
+        for (const [midi, drum] of Object.entries(gmDrumMap)) {
+            // 細かい種類（例: "tom-low"）が無い場合は大まかな種類（"tom"）で代用する
+            const path = drums[drum] || drums[drum.split('-')[0]];
+            if (path !== undefined) {
+                paths[midi] = path;
+            }
+        }
+        return paths;
+    }
+};
+
+
+/**
+ * サンプラーで発音するノートか
+ *
+ * パーカッションはノート番号が楽器を表すため、サンプルの無い番号を近いサンプルの音高を変えて鳴らすことはしない。
+ * @param {Object.<string, Tone.ToneAudioBuffer>} buffers SampleLibrary.buffersForの結果
+ * @param {boolean} percussion
+ * @param {number} midi ノート番号
+ * @returns {boolean}
+ */
+export function hasSampleFor(buffers, percussion, midi) {
+    return !percussion || buffers[midi] !== undefined;
+}
+
+/**
+ * 読み込んだ音声データからサンプラーを生成する
+ * @param {Object.<string, Tone.ToneAudioBuffer>} buffers
+ * @param {boolean} percussion
+ * @returns {Tone.Sampler}
+ */
+export function createSampler(buffers, percussion) {
+    return new Tone.Sampler({
+        urls: buffers,
+        attack: 0.0,
+        // パーカッションはシンバルなどの余韻を残す
+        release: percussion ? 1.0 : 0.8,
+    });
+}
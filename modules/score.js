@@ -0,0 +1,508 @@
+import { binarySearch, upperBound } from "./binarySearch.js";
+
+/**
+ * @typedef TempoEvent
+ * @property {number} ticks
+ * @property {number} bpm
+ * @property {number} time 開始時刻（秒）
+ */
+
+/**
+ * @typedef TimeSignatureEvent
+ * @property {number} ticks
+ * @property {[number, number]} timeSignature [分子, 分母]
+ * @property {number} measures 開始位置（拍子記号による補正前の小節位置）
+ */
+
+/**
+ * テンポ・拍子の時刻・小節位置を計算済みのヘッダ（Midi.jsのHeaderのメソッドには依存しない）
+ * @typedef Header
+ * @property {string} name
+ * @property {number} ppq
+ * @property {TempoEvent[]} tempos
+ * @property {TimeSignatureEvent[]} timeSignatures
+ * @property {{key: string, scale: string, ticks: number}[]} keySignatures
+ * @property {Object[]} meta
+ */
+
+/**
+ * @typedef Note
+ * @property {number} midi
+ * @property {number} time
+ * @property {number} ticks
+ * @property {string} name
+ * @property {string} pitch
+ * @property {number} octave
+ * @property {number} velocity
+ * @property {number} duration
+ * @property {number} durationTicks
+ */
+
+/**
+ * @typedef ControlChange
+ * @property {number} number
+ * @property {number} ticks
+ * @property {number} time
+ * @property {number} value
+ */
+
+/**
+ * @typedef PitchBend
+ * @property {number} ticks
+ * @property {number} time
+ * @property {number} value -1.0～1.0のベンド量
+ */
+
+/**
+ * @typedef Instrument
+ * @property {number} number
+ * @property {string} family
+ * @property {string} name
+ * @property {boolean} percussion
+ */
+
+/**
+ * @typedef Track
+ * @property {string} name
+ * @property {number} channel
+ * @property {Note[]} notes
+ * @property {Object.<string, ControlChange[]>} controlChanges
+ * @property {PitchBend[]} pitchBends
+ * @property {Instrument} instrument
+ */
+
+/**
+ * Midi.jsのMidi、またはそのtoJSON()の結果
+ * @typedef Midi
+ * @property {Header} header
+ * @property {Track[]} tracks
+ */
+
+
+const SUSTAIN = 64;
+const DATA_ENTRY = 6;
+const RPN_LSB = 100;
+const RPN_MSB = 101;
+
+/**
+ * ピッチベンドセンシティビティが指定されない場合のベンド幅（半音）
+ */
+const defaultPitchBendRange = 2;
+
+/**
+ * テンポ指定より前の位置のテンポ（Midi.jsと同じ）
+ */
+const defaultBpm = 120;
+
+/**
+ * 小節位置の繰り上げで許容する計算誤差
+ */
+const measureEpsilon = 1e-9;
+
+const pitchNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+
+/**
+ * テンポ・拍子の時刻・小節位置を計算したヘッダを作る
+ *
+ * 計算はMidi.jsのHeader.updateと同じにし、Midi.jsで読み込んだノートの時刻と一致させる。
+ * @param {Header} header 時刻・小節位置は無くてもよい
+ * @returns {Header}
+ */
+function headerOf(header) {
+    const ppq = header.ppq;
+    const tempos = header.tempos
+        .map(event => ({ ticks: event.ticks, bpm: event.bpm, time: 0 }))
+        .sort((a, b) => a.ticks - b.ticks);
+    let time = 0;
+    let beats = 0;
+    tempos.forEach((event, index) => {
+        const bpm = (index > 0) ? tempos[index - 1].bpm : tempos[0].bpm;
+        const elapsedBeats = event.ticks / ppq - beats;
+        event.time = time + 60 / bpm * elapsedBeats;
+        time = event.time;
+        beats += elapsedBeats;
+    });
+
+    const timeSignatures = header.timeSignatures
+        .map(event => ({ ticks: event.ticks, timeSignature: [...event.timeSignature], measures: 0 }))
+        .sort((a, b) => a.ticks - b.ticks);
+    timeSignatures.forEach((event, index) => {
+        if (index === 0) return;
+
+        const previous = timeSignatures[index - 1];
+        const [numerator, denominator] = previous.timeSignature;
+        event.measures = previous.measures + (event.ticks - previous.ticks) / ppq / numerator / (denominator / 4);
+    });
+
+    return {
+        name: header.name,
+        ppq: ppq,
+        tempos: tempos,
+        timeSignatures: timeSignatures,
+        keySignatures: (header.keySignatures || []).map(event => ({ ...event })),
+        meta: (header.meta || []).map(event => ({ ...event })),
+    };
+}
+
+/**
+ * 拍子記号ごとの補正後の開始小節位置
+ *
+ * 小節の途中で拍子が変わる場合は次の小節の頭に繰り上げ、以降の拍子記号にも繰り上げ分を引き継ぐ。
+ * 最初の拍子記号は1小節目が1から始まるよう繰り上げる。
+ * @param {TimeSignatureEvent[]} timeSignatures
+ * @returns {number[]}
+ */
+function fixedMeasuresOf(timeSignatures) {
+    const fixedMeasures = [];
+    timeSignatures.forEach((event, index) => {
+        if (index === 0) {
+            fixedMeasures.push(event.measures + 1.0 - event.measures % 1.0);
+            return;
+        }
+
+        const previous = timeSignatures[index - 1];
+        const measures = fixedMeasures[index - 1] + (event.measures - previous.measures);
+        fixedMeasures.push(Math.ceil(measures - measureEpsilon));
+    });
+    return fixedMeasures;
+}
+
+/**
+ * @param {number} midi
+ * @returns {{name: string, pitch: string, octave: number}} 音名（例: "C#4"）
+ */
+function pitchOf(midi) {
+    const pitch = pitchNames[midi % 12];
+    const octave = Math.floor(midi / 12) - 1;
+    return { name: pitch + octave, pitch: pitch, octave: octave };
+}
+
+
+/**
+ * 指定位置以前で最後のコントロールチェンジの値
+ * @param {ControlChange[]} events
+ * @param {number} ticks
+ * @returns {number?}
+ */
+function controlChangeValueAt(events, ticks) {
+    if (events === undefined) return null;
+
+    const count = upperBound(events, ticks, event => event.ticks);
+    return (count > 0) ? events[count - 1].value : null;
+}
+
+/**
+ * RPN 0（ピッチベンドセンシティビティ）で指定されたベンド幅（半音）
+ * @param {Object.<string, ControlChange[]>} controlChanges
+ * @returns {number}
+ */
+function pitchBendRangeOf(controlChanges) {
+    for (const entry of controlChanges[DATA_ENTRY] || []) {
+        const msb = controlChangeValueAt(controlChanges[RPN_MSB], entry.ticks);
+        const lsb = controlChangeValueAt(controlChanges[RPN_LSB], entry.ticks);
+        if (msb !== null && lsb !== null && Math.round(127 * msb) === 0 && Math.round(127 * lsb) === 0) {
+            return Math.round(127 * entry.value);
+        }
+    }
+    return defaultPitchBendRange;
+}
+
+/**
+ * トラックの最後のイベント（ノートの終了・コントロールチェンジ・トラックの終端）の時刻
+ * @param {{notes: Note[], controlChanges: Object.<string, ControlChange[]>}} track
+ * @param {number} endOfTrackTime トラックの終端の時刻（無い場合は0）
+ * @returns {number}
+ */
+function trackEndTimeOf(track, endOfTrackTime) {
+    let endTime = endOfTrackTime;
+    track.notes.forEach(note => {
+        endTime = Math.max(endTime, note.time + note.duration);
+    });
+    Object.values(track.controlChanges).forEach(events => {
+        events.forEach(event => {
+            endTime = Math.max(endTime, event.time);
+        });
+    });
+    return endTime;
+}
+
+/**
+ * サステインペダルが踏まれている間に離鍵したノートをペダルを離すまで伸ばす
+ * @param {Note[]} notes
+ * @param {ControlChange[]} sustains
+ * @param {number} endTime ペダルが離されない場合の終了時刻（トラックの終わり）
+ */
+function extendSustainedNotes(notes, sustains, endTime) {
+    if (sustains === undefined || sustains.length === 0) return;
+
+    notes.forEach(note => {
+        const releaseTime = note.time + note.duration;
+        const count = upperBound(sustains, releaseTime, event => event.time);
+        if (count === 0 || sustains[count - 1].value < 0.5) return;
+
+        const pedalUp = sustains.slice(count).find(event => event.value < 0.5);
+        const pedalUpTime = (pedalUp !== undefined) ? pedalUp.time : endTime;
+        note.duration = Math.max(note.duration, pedalUpTime - note.time);
+    });
+}
+
+
+/**
+ * 演奏情報を保持するクラス
+ *
+ * 時刻・小節位置はtickとヘッダのテンポ・拍子から求めるため、ブラウザの外でも同じ結果になる。
+ */
+export class Score {
+    /**
+     * @param {string} name 
+     * @param {Midi} midi 
+     */
+    constructor(name, midi) {
+        this.name = name;
+
+        this.header = headerOf(midi.header);
+        this._fixedMeasures = fixedMeasuresOf(this.header.timeSignatures);
+        this.tracks = midi.tracks.map((track, trackIndex) => {
+            // パーカッションかどうかはMidi.jsではチャンネルから求めるgetterのため写しておく
+            const instrument = track.instrument;
+            const newTrack = {
+                name: track.name,
+                instrument: {
+                    number: instrument.number,
+                    family: instrument.family,
+                    name: instrument.name,
+                    percussion: (instrument.percussion !== undefined) ? instrument.percussion : track.channel === 9,
+                },
+                channel: track.channel,
+                notes: track.notes.map(note => {
+                    const time = this.ticksToSeconds(note.ticks);
+                    return {
+                        trackIndex: trackIndex,
+                        midi: note.midi,
+                        time: time,
+                        ticks: note.ticks,
+                        ...pitchOf(note.midi),
+                        velocity: note.velocity,
+                        duration: this.ticksToSeconds(note.ticks + note.durationTicks) - time,
+                        durationTicks: note.durationTicks,
+                        measures: this.ticksToFixedMeasures(note.ticks),
+                    };
+                }),
+                // Midi.jsのイベントは値をgetterで持つため個別に写す
+                controlChanges: Object.fromEntries(Object.entries(track.controlChanges).map(([number, events]) => [
+                    number,
+                    events.map(event => ({
+                        number: event.number,
+                        ticks: event.ticks,
+                        time: event.time,
+                        value: event.value,
+                    })),
+                ])),
+                pitchBends: track.pitchBends.map(bend => ({
+                    ticks: bend.ticks,
+                    time: bend.time,
+                    value: bend.value,
+                })),
+                pitchBendRange: pitchBendRangeOf(track.controlChanges),
+            };
+            if (!newTrack.instrument.percussion) {
+                // 発音・描画ともペダルで伸びた長さを用いる（durationTicksは元の長さのまま）
+                const endOfTrackTime = (track.endOfTrackTicks !== undefined) ? this.ticksToSeconds(track.endOfTrackTicks) : 0;
+                extendSustainedNotes(newTrack.notes, newTrack.controlChanges[SUSTAIN], trackEndTimeOf(newTrack, endOfTrackTime));
+            }
+            return newTrack;
+        });
+        // 最後のノートの終了時刻（ペダルで伸ばした長さによる）
+        this.duration = this.tracks.reduce((max, track) => {
+            return track.notes.reduce((trackMax, note) => Math.max(trackMax, note.time + note.duration), max);
+        }, 0);
+        this.tracks.forEach(track => {
+            if (track.instrument.percussion) {
+                track.notes.forEach(note => {
+                    note.duration = 0.1;
+                });
+            }
+        });
+
+        this.notes = this.tracks.filter(track => !track.instrument.percussion).flatMap(track => track.notes);
+        this.percussions = this.tracks.filter(track => track.instrument.percussion).flatMap(track => track.notes);
+
+        this.notes.sort((a, b) => (a.time === b.time) ? (b.duration - a.duration) : (a.time - b.time));
+        this.percussions.sort((a, b) => (a.time === b.time) ? (b.duration - a.duration) : (a.time - b.time));
+    }
+
+    /**
+     * 
+     * @param {number} seconds 
+     * @returns {number}
+     */
+    secondsToTicks(seconds) {
+        const tempos = this.header.tempos;
+        const ppq = this.header.ppq;
+        if (tempos.length === 0 || seconds < tempos[0].time) {
+            return Math.round(seconds / (60 / defaultBpm) * ppq);
+        }
+
+        const event = tempos[binarySearch(tempos, seconds, event => event.time)];
+        return Math.round(event.ticks + (seconds - event.time) / (60 / event.bpm) * ppq);
+    }
+
+    /**
+     * 拍子記号による補正前の小節位置
+     * @param {number} ticks
+     * @returns {number}
+     */
+    ticksToMeasures(ticks) {
+        const timeSignatures = this.header.timeSignatures;
+        const ppq = this.header.ppq;
+        if (timeSignatures.length === 0 || ticks < timeSignatures[0].ticks) {
+            return ticks / ppq / 4;
+        }
+
+        const event = timeSignatures[binarySearch(timeSignatures, ticks, event => event.ticks)];
+        const [numerator, denominator] = event.timeSignature;
+        return event.measures + (ticks - event.ticks) / ppq / (numerator / denominator) / 4;
+    }
+
+    /**
+     * 拍子記号を基点として不足分の小節位置を繰り上げる
+     * @param {number} ticks
+     * @returns {number}
+     */
+    ticksToFixedMeasures(ticks) {
+        const measures = this.ticksToMeasures(ticks);
+        if (this.header.timeSignatures.length === 0) return measures;
+
+        const index = binarySearch(this.header.timeSignatures, ticks, event => event.ticks);
+        const event = this.header.timeSignatures[index];
+
+        return this._fixedMeasures[index] + (measures - event.measures);
+    }
+
+    /**
+     * 
+     * @param {number} ticks 
+     * @returns {number}
+     */
+    ticksToSeconds(ticks) {
+        const tempos = this.header.tempos;
+        const ppq = this.header.ppq;
+        if (tempos.length === 0 || ticks < tempos[0].ticks) {
+            return 60 / defaultBpm * ticks / ppq;
+        }
+
+        const event = tempos[binarySearch(tempos, ticks, event => event.ticks)];
+        return event.time + 60 / event.bpm * (ticks - event.ticks) / ppq;
+    }
+
+    /**
+     * ticksToFixedMeasuresの逆変換
+     * @param {number} measures
+     * @returns {number}
+     */
+    fixedMeasuresToTicks(measures) {
+        const ppq = this.header.ppq;
+        const timeSignatures = this.header.timeSignatures;
+        if (timeSignatures.length === 0) {
+            return Math.max(0, Math.round(measures * 4 * ppq));
+        }
+
+        const index = binarySearch(timeSignatures, measures, event => this.ticksToFixedMeasures(event.ticks));
+        const event = timeSignatures[index];
+        const [numerator, denominator] = event.timeSignature;
+        const ticksPerMeasure = 4 * ppq * numerator / denominator;
+        const ticks = event.ticks + (measures - this.ticksToFixedMeasures(event.ticks)) * ticksPerMeasure;
+
+        return Math.max(0, Math.round(ticks));
+    }
+
+    /**
+     * 指定時刻のテンポ（BPM）
+     * @param {number} seconds
+     * @returns {number}
+     */
+    tempoAt(seconds) {
+        const tempos = this.header.tempos;
+        if (tempos.length === 0) return 120;
+
+        const index = binarySearch(tempos, seconds, event => event.time);
+        return tempos[index].bpm;
+    }
+
+    /**
+     * 指定時刻のコントロールチェンジの値
+     * @param {number} trackIndex
+     * @param {number} number コントロール番号
+     * @param {number} seconds
+     * @param {number} defaultValue 指定時刻以前にイベントが無い場合の値
+     * @returns {number} 0.0～1.0の値
+     */
+    controlChangeAt(trackIndex, number, seconds, defaultValue) {
+        const events = this.tracks[trackIndex].controlChanges[number];
+        if (events === undefined) return defaultValue;
+
+        const count = upperBound(events, seconds, event => event.time);
+        return (count > 0) ? events[count - 1].value : defaultValue;
+    }
+
+    /**
+     * 指定時刻のピッチベンド
+     * @param {number} trackIndex
+     * @param {number} seconds
+     * @returns {number} ベンド量（半音単位）
+     */
+    pitchBendAt(trackIndex, seconds) {
+        const track = this.tracks[trackIndex];
+        const count = upperBound(track.pitchBends, seconds, bend => bend.time);
+        return (count > 0) ? track.pitchBends[count - 1].value * track.pitchBendRange : 0.0;
+    }
+
+    /**
+     * 指定位置の拍子
+     * @param {number} ticks
+     * @returns {[number, number]} [分子, 分母]
+     */
+    timeSignatureAt(ticks) {
+        const timeSignatures = this.header.timeSignatures;
+        if (timeSignatures.length === 0) return [4, 4];
+
+        const index = binarySearch(timeSignatures, ticks, event => event.ticks);
+        return timeSignatures[index].timeSignature;
+    }
+
+    /**
+     * 指定時刻の小節番号・拍番号（いずれも1始まり）
+     * @param {number} seconds
+     * @returns {{measure: number, beat: number}}
+     */
+    positionAt(seconds) {
+        const ticks = this.secondsToTicks(seconds);
+        // 浮動小数点誤差で前の拍に丸められないよう補正
+        const measures = this.ticksToFixedMeasures(ticks) + 1e-9;
+        const [numerator] = this.timeSignatureAt(ticks);
+
+        return {
+            measure: Math.max(1, Math.floor(measures) + this._measureNumberOrigin()),
+            beat: Math.floor((measures % 1.0) * numerator) + 1,
+        };
+    }
+
+    /**
+     * 小節番号（1始まり）の先頭時刻
+     * @param {number} measure
+     * @returns {number}
+     */
+    measureToSeconds(measure) {
+        const measures = measure - this._measureNumberOrigin();
+        return this.ticksToSeconds(this.fixedMeasuresToTicks(measures));
+    }
+
+    /**
+     * 拍子記号がない場合は小節位置が0から始まるため小節番号を補正する
+     * @returns {number}
+     */
+    _measureNumberOrigin() {
+        return (this.header.timeSignatures.length === 0) ? 1 : 0;
+    }
+};
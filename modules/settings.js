@@ -0,0 +1,127 @@
+/**
+ * 設定値（既定値の型に合わせて文字列から復元する）
+ * @typedef {number | boolean | string} SettingValue
+ */
+
+
+/**
+ * 表示・再生の設定をlocalStorageとURLのハッシュに保存するクラス
+ *
+ * ハッシュには既定値と異なる設定のみを書き込み、URLを共有すると同じ状態で開ける。
+ * 読み込み時はハッシュの値をlocalStorageの値より優先する。
+ */
+export class SettingsStore {
+    /**
+     * @param {Object.<string, SettingValue>} defaults 設定名ごとの既定値
+     * @param {string} storageKey localStorageのキー
+     */
+    constructor(defaults, storageKey = 'melody-pattern-settings') {
+        this._defaults = defaults;
+        this._storageKey = storageKey;
+        /**
+         * @type {Object.<string, SettingValue>}
+         */
+        this._values = { ...defaults };
+
+        this._restore(this._readStorage());
+        this._restore(new URLSearchParams(location.hash.slice(1)));
+    }
+
+    /**
+     * @returns {URLSearchParams}
+     */
+    _readStorage() {
+        try {
+            return new URLSearchParams(localStorage.getItem(this._storageKey) || '');
+        } catch (error) {
+            // プライベートブラウズなどで利用できない場合は保存しない
+            return new URLSearchParams();
+        }
+    }
+
+    /**
+     * @param {URLSearchParams} params
+     */
+    _restore(params) {
+        for (const [name, text] of params) {
+            if (!(name in this._defaults)) continue;
+
+            const value = this._parse(this._defaults[name], text);
+            if (value !== null) {
+                this._values[name] = value;
+            }
+        }
+    }
+
+    /**
+     * @param {SettingValue} defaultValue
+     * @param {string} text
+     * @returns {SettingValue?} 解釈できない場合はnull
+     */
+    _parse(defaultValue, text) {
+        switch (typeof defaultValue) {
+            case 'number': {
+                const value = Number(text);
+                return (text !== '' && Number.isFinite(value)) ? value : null;
+            }
+            case 'boolean':
+                return text === '1';
+            default:
+                return text;
+        }
+    }
+
+    /**
+     * @param {SettingValue} value
+     * @returns {string}
+     */
+    _format(value) {
+        if (typeof value === 'boolean') {
+            return value ? '1' : '0';
+        }
+        return String(value);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {SettingValue}
+     */
+    get(name) {
+        return this._values[name];
+    }
+
+    /**
+     * 設定を変更して保存する
+     * @param {string} name
+     * @param {SettingValue} value
+     */
+    set(name, value) {
+        if (!(name in this._defaults)) {
+            throw new Error(`Unknown setting: ${name}`);
+        }
+        if (this._values[name] === value) return;
+
+        this._values[name] = value;
+        this._save();
+    }
+
+    _save() {
+        const params = new URLSearchParams();
+        for (const [name, value] of Object.entries(this._values)) {
+            if (value !== this._defaults[name]) {
+                params.set(name, this._format(value));
+            }
+        }
+        const text = params.toString();
+
+        try {
+            localStorage.setItem(this._storageKey, text);
+        } catch (error) {
+            // 保存できなくてもURLには反映する
+        }
+        // 履歴を増やさずにハッシュを書き換える（hashchangeは発生しない）
+        const url = new URL(location.href);
+        url.hash = text;
+        history.replaceState(history.state, '', url.href);
+    }
+};
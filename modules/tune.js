@@ -1,138 +1,146 @@
-import { binarySearch } from "./binarySearch.js";
+import { MidiOutput } from "./midiOutput.js";
+import { Tuning } from "./tuning.js";
+import { extractMusicXml, midiFromMusicXml } from "./musicXml.js";
+import { midiFromAbc } from "./abc.js";
+import { createSampler, hasSampleFor, SampleLibrary } from "./sampleLibrary.js";
+import { Score } from "./score.js";
+
+const VOLUME = 7;
+const PAN = 10;
+const EXPRESSION = 11;
+
 
 /**
- * @typedef Header
- * @property {string} name
- * @property {TempoEvent[]} tempos
- * @property {TimeSignatureEvent[]} timeSignatures
- * @property {number} PPQ
+ * ファイルの種類（拡張子）に応じた形式で読み込む
+ * @param {File} file 
  */
+export async function scoreFromFile(file) {
+    const buffer = await file.arrayBuffer();
+    const extension = file.name.toLowerCase().split('.').pop();
+
+    switch (extension) {
+        case 'musicxml':
+        case 'xml':
+            return new Score(file.name, midiFromMusicXml(new TextDecoder().decode(buffer)));
+        case 'mxl':
+            return new Score(file.name, midiFromMusicXml(await extractMusicXml(buffer)));
+        case 'abc':
+            return new Score(file.name, midiFromAbc(new TextDecoder().decode(buffer)));
+        default:
+            return new Score(file.name, new Midi(buffer));
+    }
+}
 
 /**
- * @typedef Note
- * @property {number} midi
- * @property {number} time
- * @property {number} ticks
- * @property {string} name
- * @property {string} pitch
- * @property {number} octave
- * @property {number} velocity
- * @property {number} duration
+ * URL（相対パスは画面のURLが基準）から演奏情報のファイルを取得する
+ *
+ * 形式はscoreFromFileと同じくURLの末尾の拡張子で判定する。
+ * @param {string} url
+ * @returns {Promise<File>}
  */
+export async function fetchScoreFile(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+    }
+    const name = decodeURIComponent(new URL(url, location.href).pathname.split('/').pop()) || url;
+    return new File([await response.blob()], name);
+}
+
 
 /**
- * @typedef ControlChange
- * @property {number} number
- * @property {number} ticks
- * @property {number} time
- * @property {number} value
+ * 再生速度1.0のときのTone.Transportのテンポ
+ *
+ * 演奏情報の時刻（秒）はこのテンポでTransportのtickに変換し、
+ * 再生速度はTransportのテンポのみで変える。
  */
+const transportBaseBpm = 120;
+
 
 /**
- * @typedef Instrument
- * @property {number} number
- * @property {string} family
- * @property {string} name
- * @property {boolean} percussion
+ * ノート用のシンセサイザを生成する
+ * @returns {Tone.PolySynth}
  */
+function createNoteSynth() {
+    return new Tone.PolySynth({
+        maxPolyphony: 80,
+        voice: Tone.Synth,
+        options: {
+            envelope: {
+                attack: 0.02,
+                decay: 0.1,
+                sustain: 0.3,
+                release: 0.8,
+            },
+        },
+    });
+}
 
 /**
- * @typedef Track
- * @property {string} name
- * @property {number} channel
- * @property {Note[]} notes
- * @property {Object.<string, ControlChange>} controlChanges
- * @property {Instrument} instrument
+ * パーカッション用のシンセサイザを生成する
+ * @returns {Tone.PolySynth}
  */
+function createPercussionSynth() {
+    return new Tone.PolySynth({
+        maxPolyphony: 30,
+        voice: Tone.Synth,
+        options: {
+            envelope: {
+                attack: 0.01,
+                decay: 0.07,
+                sustain: 0.3,
+                release: 0.3,
+            },
+        },
+    });
+}
 
 /**
- * @typedef Midi
- * @property {Header} header
- * @property {number} duration
- * @property {Track[]} tracks
+ * 書き出し時に曲末尾の余韻として加える時間（秒）
  */
-
+const offlineReleaseTime = 1.0;
 
 /**
- * 演奏情報を保持するクラス
+ * GMのボリューム（CC7）・パン（CC10）の初期値
  */
-export class Score {
-    /**
-     * @param {string} name 
-     * @param {Midi} midi 
-     */
-    constructor(name, midi) {
-        this.name = name;
-
-        this.header = midi.header;
-        this.duration = midi.duration;
-        this.tracks = midi.tracks.map((track, trackIndex) => {
-            const newTrack = {
-                name: track.name,
-                instrument: track.instrument,
-                channel: track.channel,
-                notes: track.notes.map(note => ({
-                    trackIndex: trackIndex,
-                    midi: note.midi,
-                    time: note.time,
-                    ticks: note.ticks,
-                    name: note.name,
-                    pitch: note.pitch,
-                    octave: note.octave,
-                    velocity: note.velocity,
-                    duration: note.duration,
-                    measures: this.ticksToFixedMeasures(note.ticks),
-                })),
-            };
-            if (newTrack.instrument.percussion) {
-                newTrack.notes.forEach(note => {
-                    note.duration = 0.1;
-                });
-            }
-            return newTrack;
-        });
-
-        this.notes = this.tracks.filter(track => !track.instrument.percussion).flatMap(track => track.notes);
-        this.percussions = this.tracks.filter(track => track.instrument.percussion).flatMap(track => track.notes);
-
-        this.notes.sort((a, b) => (a.time === b.time) ? (b.duration - a.duration) : (a.time - b.time));
-        this.percussions.sort((a, b) => (a.time === b.time) ? (b.duration - a.duration) : (a.time - b.time));
-    }
-
-    /**
-     * 
-     * @param {number} seconds 
-     * @returns {number}
-     */
-    secondsToTicks(seconds) {
-        return this.header.secondsToTicks(seconds);
-    }
+const defaultVolume = 100 / 127;
+const defaultPan = 64 / 127;
 
-    /**
-     * 拍子記号を基点として不足分の小節位置を繰り上げる
-     * @param {number} ticks
-     * @returns {number}
-     */
-    ticksToFixedMeasures(ticks) {
-        const measures = this.header.ticksToMeasures(ticks);
-        if (this.header.timeSignatures.length === 0) return measures;
-
-        let index = binarySearch(this.header.timeSignatures, ticks, event => event.ticks);
-        const event = this.header.timeSignatures[index];
-        const lackedMeasures = 1.0 - event.measures % 1.0;
-
-        return measures + lackedMeasures;
-    }
-};
+/**
+ * ボリューム・エクスプレッションからトラックの音量を求める
+ *
+ * GMの推奨する音量カーブ（40log10）を用い、初期値のときに0dBとなるようにする。
+ * @param {number} volume 0.0～1.0の値
+ * @param {number} expression 0.0～1.0の値
+ * @returns {number} デシベル
+ */
+function controllerDecibels(volume, expression) {
+    return 40 * Math.log10(Math.max(1e-3, volume * expression / defaultVolume));
+}
 
+/**
+ * @param {number} value 0.0～1.0のパン（中央は64/127）
+ * @returns {number} -1.0～1.0の定位
+ */
+function controllerPan(value) {
+    return Math.min(1.0, Math.max(-1.0, (127 * value - 64) / 63));
+}
 
 /**
- * 
- * @param {File} file 
+ * トラックのボリューム・エクスプレッション・パン・ピッチベンド（時刻順）
+ * @param {Track} track
+ * @returns {{time: number, number: number?, value: number}[]} numberがnullのものはピッチベンド
  */
-export async function scoreFromFile(file) {
-    const buffer = await file.arrayBuffer();
-    return new Score(file.name, new Midi(buffer))
+function controllerEventsOf(track) {
+    const events = [VOLUME, EXPRESSION, PAN].flatMap(number => (track.controlChanges[number] || []).map(event => ({
+        time: event.time,
+        number: number,
+        value: event.value,
+    })));
+    track.pitchBends.forEach(bend => {
+        events.push({ time: bend.time, number: null, value: bend.value });
+    });
+    return events.sort((a, b) => a.time - b.time);
 }
 
 
@@ -151,9 +159,328 @@ export class Vocal {
         this._percussionSynths = [];
         this._activeNoteSynthCount = 0;
         this._activePercussionSynthCount = 0;
+        this._sampleLibrary = new SampleLibrary();
+        /**
+         * 演奏情報ごとに生成するサンプラー
+         * @type {Tone.Sampler[]}
+         */
+        this._samplers = [];
+
+        this._midiOutput = null;
+        this._outputPortId = null;
 
         this._tracks = [];
+        this._score = null;
+        this._duration = 0.0;
+        this._loopStart = 0.0;
+        this._loopEnd = 0.0;
+        this._repeat = true;
+        this._playbackRate = 1.0;
+        this._tuning = null;
         this.key = 0.0;
+        /**
+         * 繰り返さずに曲の終わりに達したときに呼ぶ
+         * @type {(() => void)?}
+         */
+        this.onended = null;
+
+        // ループで先頭へ戻ったときにボリューム等を戻す
+        Tone.Transport.on('loop', () => {
+            this._restoreControllers(this._loopStart);
+        });
+    }
+
+    /**
+     * 音律（nullの場合は12平均律）
+     * @returns {Tuning?}
+     */
+    get tuning() {
+        return this._tuning;
+    }
+    /**
+     * @param {Tuning?} value
+     */
+    set tuning(value) {
+        this._tuning = value;
+
+        this._updateKey();
+    }
+
+    /**
+     * 発音する音高（音名または周波数）
+     *
+     * 音律を指定した場合は移調を含めた周波数を直接求める（パーカッションは除く）。
+     * @param {Note} note
+     * @param {boolean} percussion
+     * @param {boolean} sampled サンプラーで発音するか
+     * @param {number} pitchBend 発音開始時のピッチベンド（半音単位、サンプラーのみ）
+     * @returns {string | number}
+     */
+    _pitchOf(note, percussion, sampled = false, pitchBend = 0.0) {
+        if (percussion) {
+            return note.name;
+        }
+        // サンプラーはdetuneを持たないため移調・ピッチベンドを音高に含める
+        if (this._tuning !== null) {
+            const frequency = this._tuning.frequency(note.midi + this.key);
+            return sampled ? frequency * Math.pow(2, pitchBend / 12) : frequency;
+        }
+        if (sampled) {
+            return Tone.Frequency(note.midi + this.key + pitchBend, 'midi').toFrequency();
+        }
+        return note.name;
+    }
+
+    /**
+     * シンセサイザ全体に掛けるピッチのずれ（セント）
+     * @param {boolean} percussion
+     * @returns {number}
+     */
+    _detuneOf(percussion) {
+        if (this._tuning === null || percussion) {
+            return this.key * 100;
+        }
+        // 移調は_pitchOfで周波数に含める
+        return 0;
+    }
+
+    /**
+     * 再生速度（1.0が等速、音高は変えない）
+     * @returns {number}
+     */
+    get playbackRate() {
+        return this._playbackRate;
+    }
+    /**
+     * @param {number} value 0.25～2.0
+     */
+    set playbackRate(value) {
+        this._playbackRate = Math.min(Math.max(0.25, value), 2.0);
+
+        Tone.Transport.bpm.value = transportBaseBpm * this._playbackRate;
+    }
+
+    /**
+     * 演奏情報の時刻をTransportの位置に変換する
+     * @param {number} seconds
+     */
+    _toTransportTime(seconds) {
+        return Tone.Ticks(this._toTransportTicks(seconds));
+    }
+
+    /**
+     * @param {number} seconds
+     * @returns {number}
+     */
+    _toTransportTicks(seconds) {
+        return Math.round(seconds * (transportBaseBpm / 60) * Tone.Transport.PPQ);
+    }
+
+    /**
+     * MIDI出力（nullの場合はTone.jsのシンセサイザのみ）
+     * @returns {MidiOutput?}
+     */
+    get midiOutput() {
+        return this._midiOutput;
+    }
+    /**
+     * @param {MidiOutput?} value
+     */
+    set midiOutput(value) {
+        this._silenceMidiOutputs();
+        this._midiOutput = value;
+
+        this._sendProgramChanges();
+    }
+
+    /**
+     * 全トラックの既定の出力先ポートID（nullの場合はTone.jsのシンセサイザ）
+     * @returns {string?}
+     */
+    get outputPortId() {
+        return this._outputPortId;
+    }
+    /**
+     * @param {string?} value
+     */
+    set outputPortId(value) {
+        this._silenceMidiOutputs();
+        this._outputPortId = value;
+
+        this._sendProgramChanges();
+    }
+
+    /**
+     * トラックの出力先ポートIDを設定する
+     * @param {number} trackIndex
+     * @param {string?|undefined} portId nullの場合はTone.jsのシンセサイザ、undefinedの場合は既定の出力先
+     */
+    setTrackOutput(trackIndex, portId) {
+        if (trackIndex >= this._tracks.length) return;
+
+        this._silenceMidiOutputs();
+        this._tracks[trackIndex].outputPortId = portId;
+
+        this._sendProgramChanges();
+    }
+
+    /**
+     * トラックの実際の出力先ポートIDを求める
+     * @returns {string?}
+     */
+    _resolveOutputPortId(track) {
+        if (this._midiOutput === null) return null;
+
+        if (track.outputPortId === undefined) {
+            return this._outputPortId;
+        } else {
+            return track.outputPortId;
+        }
+    }
+
+    /**
+     * MIDI出力中の全ポートのID
+     * @returns {Set<string>}
+     */
+    _activeOutputPortIds() {
+        const portIds = new Set();
+        if (this._midiOutput === null) return portIds;
+
+        if (this._outputPortId !== null) {
+            portIds.add(this._outputPortId);
+        }
+        this._tracks.forEach(track => {
+            const portId = this._resolveOutputPortId(track);
+            if (portId !== null) {
+                portIds.add(portId);
+            }
+        });
+        return portIds;
+    }
+
+    _sendProgramChanges() {
+        if (this._midiOutput === null) return;
+
+        this._tracks.forEach(track => {
+            const portId = this._resolveOutputPortId(track);
+            if (portId === null || track.percussion) return;
+
+            this._midiOutput.sendProgramChange(portId, track.channel, track.program);
+        });
+    }
+
+    _silenceMidiOutputs() {
+        if (this._midiOutput === null) return;
+
+        this._activeOutputPortIds().forEach(portId => {
+            this._midiOutput.sendAllNotesOff(portId);
+        });
+    }
+
+    /**
+     * ノートをMIDI出力へ送信する
+     * @param {string} portId
+     * @param {number} time Tone.jsのコンテキスト時刻（秒）
+     */
+    _sendMidiNote(portId, track, note, time) {
+        const timestamp = this._toTimestamp(time);
+        // パーカッションは音高が楽器を表すため移調しない
+        const midi = track.percussion ? note.midi : note.midi + Math.round(this.key);
+
+        this._midiOutput.sendNote(
+            portId,
+            track.channel,
+            midi,
+            note.velocity,
+            timestamp,
+            1000 * note.duration / this._playbackRate,
+        );
+    }
+
+    /**
+     * ボリューム・パン・ピッチベンドをMIDI出力へ送信する
+     * @param {string} portId
+     * @param {{number: number?, value: number}} event numberがnullのものはピッチベンド
+     * @param {number} time Tone.jsのコンテキスト時刻（秒）
+     */
+    _sendMidiController(portId, track, event, time) {
+        const timestamp = this._toTimestamp(time);
+        if (event.number === null) {
+            this._midiOutput.sendPitchBend(portId, track.channel, event.value, timestamp);
+        } else {
+            this._midiOutput.sendControlChange(portId, track.channel, event.number, event.value, timestamp);
+        }
+    }
+
+    /**
+     * Tone.jsのコンテキスト時刻をperformance.now()基準に変換する
+     * @param {number} time
+     * @returns {number} ミリ秒
+     */
+    _toTimestamp(time) {
+        return performance.now() + 1000 * (time - Tone.getContext().currentTime);
+    }
+
+    /**
+     * ボリューム・パン・ピッチベンドを内蔵シンセの発音に反映する
+     * @param {{number: number?, value: number}} event numberがnullのものはピッチベンド
+     * @param {number} time Tone.jsのコンテキスト時刻（秒）
+     */
+    _applyController(track, event, time) {
+        switch (event.number) {
+            case VOLUME:
+                track.volume = event.value;
+                track.mixer.volume.setValueAtTime(controllerDecibels(track.volume, track.expression), time);
+                break;
+            case EXPRESSION:
+                track.expression = event.value;
+                track.mixer.volume.setValueAtTime(controllerDecibels(track.volume, track.expression), time);
+                break;
+            case PAN:
+                track.mixer.pan.setValueAtTime(controllerPan(event.value), time);
+                break;
+            case null: {
+                // PolySynthのdetuneは時刻を指定できないため発音時刻まで待って反映する
+                const context = Tone.getContext();
+                context.setTimeout(() => {
+                    track.pitchBend = event.value * track.pitchBendRange;
+                    this._updateTrackDetune(track);
+                }, Math.max(0, time - context.currentTime));
+                break;
+            }
+        }
+    }
+
+    /**
+     * 指定時刻のボリューム・パン・ピッチベンドに戻す（シーク・ループ時）
+     * @param {number} seconds
+     */
+    _restoreControllers(seconds) {
+        const score = this._score;
+        if (score === null) return;
+
+        const time = Tone.now();
+        this._tracks.forEach((track, trackIndex) => {
+            const scoreTrack = score.tracks[trackIndex];
+            const events = [];
+            [[VOLUME, defaultVolume], [EXPRESSION, 1.0], [PAN, defaultPan]].forEach(([number, defaultValue]) => {
+                if (scoreTrack.controlChanges[number] === undefined) return;
+
+                events.push({ number: number, value: score.controlChangeAt(trackIndex, number, seconds, defaultValue) });
+            });
+            if (scoreTrack.pitchBends.length > 0) {
+                events.push({ number: null, value: score.pitchBendAt(trackIndex, seconds) / scoreTrack.pitchBendRange });
+            }
+
+            const portId = this._resolveOutputPortId(track);
+            events.forEach(event => {
+                if (portId === null) {
+                    this._applyController(track, event, time);
+                } else {
+                    this._sendMidiController(portId, track, event, time);
+                }
+            });
+        });
     }
 
     /**
@@ -173,13 +500,22 @@ export class Vocal {
 
     _updateKey() {
         this._tracks.forEach(track => {
-            track.synth.set({ detune: this.key * 100 });
+            this._updateTrackDetune(track);
         });
     }
 
+    _updateTrackDetune(track) {
+        track.synth.set({ detune: this._detuneOf(track.percussion) + 100 * track.pitchBend });
+    }
+
     _deactivateAllSynths() {
         this._activeNoteSynthCount = 0;
         this._activePercussionSynthCount = 0;
+
+        this._samplers.forEach(sampler => {
+            sampler.dispose();
+        });
+        this._samplers = [];
     }
 
     _activateNoteSynth() {
@@ -189,18 +525,7 @@ export class Vocal {
         if (synthIndex < this._noteSynths.length) {
             return this._noteSynths[synthIndex];
         } else {
-            const synth = new Tone.PolySynth({
-                maxPolyphony: 80,
-                voice: Tone.Synth,
-                options: {
-                    envelope: {
-                        attack: 0.02,
-                        decay: 0.1,
-                        sustain: 0.3,
-                        release: 0.8,
-                    },
-                },
-            });
+            const synth = createNoteSynth();
             synth.connect(this._toneVolume);
 
             this._noteSynths.push(synth);
@@ -215,18 +540,7 @@ export class Vocal {
         if (synthIndex < this._percussionSynths.length) {
             return this._percussionSynths[synthIndex];
         } else {
-            const synth = new Tone.PolySynth({
-                maxPolyphony: 30,
-                voice: Tone.Synth,
-                options: {
-                    envelope: {
-                        attack: 0.01,
-                        decay: 0.07,
-                        sustain: 0.3,
-                        release: 0.3,
-                    },
-                },
-            });
+            const synth = createPercussionSynth();
             synth.connect(this._percussionVolume);
 
             this._percussionSynths.push(synth);
@@ -240,51 +554,280 @@ export class Vocal {
      * @param {Score} score 演奏情報
      */
     async apply(score) {
-        await Tone.start();
+        // ページを開いた直後の読み込みではユーザー操作まで再開できないため待たない
+        Tone.start();
+
+        // サンプルが無いトラックはnull（シンセサイザで発音する）
+        const trackBuffers = await Promise.all(score.tracks.map(track => this._sampleLibrary.buffersFor(track.instrument)));
 
         Tone.Transport.stop();
         Tone.Transport.cancel();
 
+        this._silenceMidiOutputs();
+
         this._tracks.forEach(track => {
-            track.part.stop();
-            track.part.cancel();
-            track.part.dispose();
+            [track.part, track.controllerPart].forEach(part => {
+                part.stop();
+                part.cancel();
+                part.dispose();
+            });
+            track.mixer.dispose();
         });
 
         this._deactivateAllSynths();
 
-        this._tracks = score.tracks.map(track => {
+        this._tracks = score.tracks.map((track, trackIndex) => {
+            const buffers = trackBuffers[trackIndex];
             let synth;
-            if (track.instrument.percussion) {
+            if (buffers !== null) {
+                synth = createSampler(buffers, track.instrument.percussion);
+                this._samplers.push(synth);
+            } else if (track.instrument.percussion) {
                 synth = this._activatePercussionSynth();
             } else {
                 synth = this._activateNoteSynth();
             }
+            // トラックごとのボリューム・パンを通して音量バスへ出力する
+            const mixer = new Tone.Channel().connect(track.instrument.percussion ? this._percussionVolume : this._toneVolume);
+            synth.disconnect();
+            synth.connect(mixer);
 
-            const part = new Tone.Part((time, note) => {
-                synth.triggerAttackRelease(
-                    note.name,
-                    note.duration,
-                    time,
-                    note.velocity,
-                );
-            }, track.notes);
-            part.start(0);
-
-            return {
+            const newTrack = {
                 synth: synth,
-                part: part,
+                mixer: mixer,
+                part: null,
+                controllerPart: null,
+                muted: false,
+                soloed: false,
+                channel: track.channel,
+                program: track.instrument.number,
+                percussion: track.instrument.percussion,
+                sampled: buffers !== null,
+                outputPortId: undefined,
+                volume: defaultVolume,
+                expression: 1.0,
+                pitchBend: 0.0,
+                pitchBendRange: track.pitchBendRange,
             };
+
+            // 再生速度に依存しないようtick単位で登録
+            const events = track.notes.map(note => ({
+                time: this._toTransportTime(note.time),
+                note: note,
+            }));
+            newTrack.part = new Tone.Part((time, event) => {
+                const note = event.note;
+                const portId = this._resolveOutputPortId(newTrack);
+                if (portId === null) {
+                    // 対応するサンプルの無い打楽器は鳴らさない
+                    if (newTrack.sampled && !hasSampleFor(buffers, newTrack.percussion, note.midi)) return;
+
+                    synth.triggerAttackRelease(
+                        this._pitchOf(note, newTrack.percussion, newTrack.sampled, score.pitchBendAt(trackIndex, note.time)),
+                        note.duration / this._playbackRate,
+                        time,
+                        note.velocity,
+                    );
+                } else {
+                    this._sendMidiNote(portId, newTrack, note, time);
+                }
+            }, events);
+            newTrack.part.start(0);
+
+            // 消音中もボリューム等の状態は追従させる
+            const controllerEvents = controllerEventsOf(track).map(event => ({
+                time: this._toTransportTime(event.time),
+                controller: event,
+            }));
+            newTrack.controllerPart = new Tone.Part((time, event) => {
+                const portId = this._resolveOutputPortId(newTrack);
+                if (portId === null) {
+                    this._applyController(newTrack, event.controller, time);
+                } else {
+                    this._sendMidiController(portId, newTrack, event.controller, time);
+                }
+            }, controllerEvents);
+            newTrack.controllerPart.start(0);
+
+            return newTrack;
         });
 
 
-        const duration = Math.max(1.0, score.duration);
-        // Infinite Loop
-        Tone.Transport.schedule(() => {
-            Tone.Transport.seconds = 0;
-        }, duration);
+        this._score = score;
+        this._duration = Math.max(1.0, score.duration);
+        this.resetLoop();
+
+        // 先頭へ戻して停止し、終わった時刻に通知する
+        // （描画の更新は背面のタブで止まるため、Transportのコールバックから直接行う）
+        Tone.Transport.schedule(time => {
+            if (Tone.Transport.loop) return;
+
+            Tone.Transport.stop(time);
+            setTimeout(() => {
+                this._silenceMidiOutputs();
+                this._restoreControllers(0.0);
+                if (this.onended !== null) {
+                    this.onended();
+                }
+            }, Math.max(0.0, time - Tone.immediate()) * 1000);
+        }, this._toTransportTime(this._duration));
 
         this._updateKey();
+        this._sendProgramChanges();
+        this._restoreControllers(0.0);
+    }
+
+    /**
+     * トラックの消音を切り替える
+     * @param {number} trackIndex
+     * @param {boolean} muted
+     */
+    setTrackMuted(trackIndex, muted) {
+        if (trackIndex >= this._tracks.length) return;
+
+        this._tracks[trackIndex].muted = muted;
+        this._updateMutes();
+    }
+
+    /**
+     * トラックのソロ演奏を切り替える
+     * @param {number} trackIndex
+     * @param {boolean} soloed
+     */
+    setTrackSoloed(trackIndex, soloed) {
+        if (trackIndex >= this._tracks.length) return;
+
+        this._tracks[trackIndex].soloed = soloed;
+        this._updateMutes();
+    }
+
+    _updateMutes() {
+        this._tracks.forEach(track => {
+            track.part.mute = this._isTrackSilent(track);
+        });
+    }
+
+    /**
+     * 消音・ソロ演奏の状態から発音しないトラックか判定する
+     * @returns {boolean}
+     */
+    _isTrackSilent(track) {
+        const soloing = this._tracks.some(track => track.soloed);
+        return track.muted || (soloing && !track.soloed);
+    }
+
+    /**
+     * 現在の演奏情報を移調・消音の状態を反映してオフラインで録音する
+     * @returns {Promise<AudioBuffer?>}
+     */
+    async renderOffline() {
+        const score = this._score;
+        if (score === null) return null;
+
+        const noteDecibels = this._toneVolume.volume.value;
+        const percussionDecibels = this._percussionVolume.volume.value;
+        const silentTracks = this._tracks.map(track => this._isTrackSilent(track));
+        const trackBuffers = await Promise.all(score.tracks.map(track => this._sampleLibrary.buffersFor(track.instrument)));
+
+        const buffer = await Tone.Offline(({ transport }) => {
+            // 再生時と同じくノート・パーカッションで別々の音量バスを通す
+            const noteVolume = new Tone.Volume(noteDecibels).toDestination();
+            const percussionVolume = new Tone.Volume(percussionDecibels).toDestination();
+
+            score.tracks.forEach((track, trackIndex) => {
+                if (silentTracks[trackIndex]) return;
+
+                const percussion = track.instrument.percussion;
+                const buffers = trackBuffers[trackIndex];
+                let synth;
+                if (buffers !== null) {
+                    synth = createSampler(buffers, percussion);
+                } else if (percussion) {
+                    synth = createPercussionSynth();
+                } else {
+                    synth = createNoteSynth();
+                }
+                const offlineTrack = {
+                    synth: synth,
+                    mixer: new Tone.Channel().connect(percussion ? percussionVolume : noteVolume),
+                    percussion: percussion,
+                    volume: defaultVolume,
+                    expression: 1.0,
+                    pitchBend: 0.0,
+                    pitchBendRange: track.pitchBendRange,
+                };
+                synth.connect(offlineTrack.mixer);
+                this._updateTrackDetune(offlineTrack);
+
+                const part = new Tone.Part((time, note) => {
+                    if (buffers !== null && !hasSampleFor(buffers, percussion, note.midi)) return;
+
+                    synth.triggerAttackRelease(
+                        this._pitchOf(note, percussion, buffers !== null, score.pitchBendAt(trackIndex, note.time)),
+                        note.duration,
+                        time,
+                        note.velocity,
+                    );
+                }, track.notes);
+                part.start(0);
+
+                const controllerPart = new Tone.Part((time, controller) => {
+                    this._applyController(offlineTrack, controller, time);
+                }, controllerEventsOf(track));
+                controllerPart.start(0);
+            });
+
+            transport.start(0);
+        }, score.duration + offlineReleaseTime);
+
+        return buffer.get();
+    }
+
+    /**
+     * 現在の演奏情報を移調・消音の状態を反映したMIDIファイルにする
+     *
+     * テンポ・拍子・コントロールチェンジ・ピッチベンドはそのまま引き継ぎ、発音しないトラックは含めない。
+     * パーカッションのトラックは音色が変わるため移調しない。
+     * @returns {Midi?}
+     */
+    toMidi() {
+        const score = this._score;
+        if (score === null) return null;
+
+        const key = Math.round(this.key);
+        const midi = new Midi();
+        midi.header.fromJSON(score.header);
+        // 同梱のMidi.jsは調号を正しく書き出せない（値がずれる）ため含めない
+        midi.header.keySignatures = [];
+
+        score.tracks.forEach((track, trackIndex) => {
+            if (this._isTrackSilent(this._tracks[trackIndex])) return;
+
+            const newTrack = midi.addTrack();
+            newTrack.name = track.name;
+            newTrack.channel = track.channel;
+            newTrack.instrument.number = track.instrument.number;
+
+            const transposition = track.instrument.percussion ? 0 : key;
+            track.notes.forEach(note => {
+                newTrack.addNote({
+                    midi: Math.min(127, Math.max(0, note.midi + transposition)),
+                    ticks: note.ticks,
+                    durationTicks: note.durationTicks,
+                    velocity: note.velocity,
+                });
+            });
+            Object.values(track.controlChanges).forEach(events => {
+                events.forEach(event => {
+                    newTrack.addCC({ number: event.number, ticks: event.ticks, value: event.value });
+                });
+            });
+            // 同梱のMidi.jsはピッチベンドの値を変換せずに書き出すため-8192～8191で渡す
+            track.pitchBends.forEach(bend => {
+                newTrack.addPitchBend({ ticks: bend.ticks, value: Math.min(8191, Math.round(8192 * bend.value)) });
+            });
+        });
+        return midi;
     }
 
     get playing() {
@@ -296,26 +839,132 @@ export class Vocal {
 
         if (this.playing) {
             Tone.Transport.pause();
+            this._silenceMidiOutputs();
         } else {
             Tone.Transport.start();
         }
     }
 
+    /**
+     * ループ区間の先頭へ戻る
+     */
     async returnToTop() {
         await Tone.start();
 
+        this._silenceMidiOutputs();
+
         if (this.playing) {
             Tone.Transport.stop();
-            Tone.Transport.start();
+            Tone.Transport.start(undefined, this._toTransportTime(this._loopStart));
         } else {
             Tone.Transport.stop();
+            Tone.Transport.ticks = this._toTransportTicks(this._loopStart);
         }
+        this._restoreControllers(this._loopStart);
+    }
+
+    /**
+     * ループ区間を小節番号で設定する
+     * @param {number} startMeasure 開始小節（1始まり）
+     * @param {number} endMeasure 終了小節（この小節の末尾まで）
+     * @returns {boolean} 設定できたか
+     */
+    setLoopMeasures(startMeasure, endMeasure) {
+        if (this._score === null) return false;
+
+        // テンポ・拍子の変化を考慮して秒へ変換
+        const start = this._score.measureToSeconds(startMeasure);
+        const end = Math.min(this._score.measureToSeconds(endMeasure + 1), this._duration);
+        if (end <= start) return false;
+
+        this._setLoopPoints(start, end);
+        return true;
     }
 
     /**
+     * ループ区間を曲全体に戻す
+     */
+    resetLoop() {
+        this._setLoopPoints(0.0, this._duration);
+    }
+
+    /**
+     * @param {number} start
+     * @param {number} end
+     */
+    _setLoopPoints(start, end) {
+        this._loopStart = start;
+        this._loopEnd = end;
+
+        Tone.Transport.setLoopPoints(this._toTransportTime(start), this._toTransportTime(end));
+        this._updateLooping();
+    }
+
+    /**
+     * 曲の一部を区間指定した場合は常に、曲全体の場合は繰り返す設定のときのみループする
+     */
+    _updateLooping() {
+        Tone.Transport.loop = this._repeat || this._loopStart > 0.0 || this._loopEnd < this._duration;
+    }
+
+    /**
+     * 曲全体を繰り返すか（falseの場合は曲の終わりで停止してonendedを呼ぶ）
+     * @returns {boolean}
+     */
+    get repeat() {
+        return this._repeat;
+    }
+    /**
+     * @param {boolean} value
+     */
+    set repeat(value) {
+        this._repeat = value;
+
+        this._updateLooping();
+    }
+
+    /**
+     * ループ区間の開始時刻（秒）
+     * @returns {number}
+     */
+    get loopStart() {
+        return this._loopStart;
+    }
+
+    /**
+     * ループ区間の終了時刻（秒）
+     * @returns {number}
+     */
+    get loopEnd() {
+        return this._loopEnd;
+    }
+
+    /**
+     * 指定時刻へ移動する
+     * @param {number} seconds
+     */
+    async seek(seconds) {
+        await Tone.start();
+
+        this._silenceMidiOutputs();
+        const time = Math.min(Math.max(0.0, seconds), this._duration);
+        Tone.Transport.ticks = this._toTransportTicks(time);
+        this._restoreControllers(time);
+    }
+
+    /**
+     * 演奏情報上の現在時刻（秒、再生速度に依存しない）
      * @returns {number}
      */
     get currentTime() {
-        return Tone.Transport.seconds;
+        return Tone.Transport.ticks / Tone.Transport.PPQ * (60 / transportBaseBpm);
+    }
+
+    /**
+     * 演奏時間（秒）
+     * @returns {number}
+     */
+    get duration() {
+        return this._duration;
     }
 };
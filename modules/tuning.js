@@ -0,0 +1,70 @@
+/**
+ * 5リミット純正律の音程比（基準音からの半音数ごと）
+ */
+const justRatios = [
+    1 / 1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3,
+    45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8,
+];
+
+/**
+ * 12平均律での周波数
+ * @param {number} midi
+ * @returns {number}
+ */
+function equalTemperamentFrequency(midi) {
+    return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+
+/**
+ * ノート番号から周波数への対応（音律）を表すクラス
+ *
+ * 基準音は12平均律と同じ周波数とし、他のノート番号は基準音からの段数で決める。
+ */
+export class Tuning {
+    /**
+     * @param {string} name
+     * @param {number} referencePitch 基準音のノート番号
+     * @param {(steps: number) => number} ratio 基準音からの段数に対する周波数比
+     * @param {number} octaveSteps 1オクターブの段数
+     */
+    constructor(name, referencePitch, ratio, octaveSteps = 12) {
+        this.name = name;
+        this.referencePitch = referencePitch;
+        this.octaveSteps = octaveSteps;
+        this._ratio = ratio;
+    }
+
+    /**
+     * 1オクターブをdivisions等分した平均律（ノート番号1つを1段とする）
+     * @param {number} divisions
+     * @param {number} referencePitch
+     * @returns {Tuning}
+     */
+    static equalDivision(divisions, referencePitch = 72) {
+        return new Tuning(`${divisions}-EDO`, referencePitch, steps => Math.pow(2, steps / divisions), divisions);
+    }
+
+    /**
+     * 基準音を主音とする純正律
+     * @param {number} referencePitch
+     * @returns {Tuning}
+     */
+    static justIntonation(referencePitch = 72) {
+        return new Tuning('Just', referencePitch, steps => {
+            const octave = Math.floor(steps / 12);
+            const degree = steps - 12 * octave;
+            return Math.pow(2, octave) * justRatios[degree];
+        });
+    }
+
+    /**
+     * ノート番号の周波数
+     * @param {number} midi 移調後のノート番号（整数）
+     * @returns {number}
+     */
+    frequency(midi) {
+        const steps = Math.round(midi - this.referencePitch);
+        return equalTemperamentFrequency(this.referencePitch) * this._ratio(steps);
+    }
+};
@@ -0,0 +1,61 @@
+/**
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {string} text
+ */
+function writeAscii(view, offset, text) {
+    for (let index = 0; index < text.length; ++index) {
+        view.setUint8(offset + index, text.charCodeAt(index));
+    }
+}
+
+
+/**
+ * AudioBufferを16bitリニアPCMのWAVファイルに変換する
+ * @param {AudioBuffer} audioBuffer
+ * @returns {Blob}
+ */
+export function audioBufferToWav(audioBuffer) {
+    const channelCount = audioBuffer.numberOfChannels;
+    const sampleRate = audioBuffer.sampleRate;
+    const frameCount = audioBuffer.length;
+    const bytesPerSample = 2;
+    const blockAlign = channelCount * bytesPerSample;
+    const dataSize = frameCount * blockAlign;
+
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    // RIFFヘッダ
+    writeAscii(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeAscii(view, 8, 'WAVE');
+    // fmtチャンク
+    writeAscii(view, 12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // リニアPCM
+    view.setUint16(22, channelCount, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, 8 * bytesPerSample, true);
+    // dataチャンク
+    writeAscii(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const channels = [];
+    for (let channel = 0; channel < channelCount; ++channel) {
+        channels.push(audioBuffer.getChannelData(channel));
+    }
+
+    let offset = 44;
+    for (let frame = 0; frame < frameCount; ++frame) {
+        for (let channel = 0; channel < channelCount; ++channel) {
+            const sample = Math.max(-1.0, Math.min(1.0, channels[channel][frame]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+            offset += bytesPerSample;
+        }
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+}
@@ -0,0 +1,243 @@
+/**
+ * @typedef WebMTrackOptions
+ * @property {string} codecId Matroskaのコーデック名（例: "V_VP9"）
+ * @property {number} width
+ * @property {number} height
+ * @property {number} frameRate
+ */
+
+/**
+ * @typedef WebMFrame
+ * @property {Uint8Array} data
+ * @property {number} timestamp ミリ秒
+ * @property {boolean} keyFrame
+ */
+
+
+/**
+ * 時刻の単位（ナノ秒、1ミリ秒）
+ */
+const timecodeScale = 1000000;
+
+/**
+ * クラスタ内の相対時刻（符号付き16bit）の上限（ミリ秒）
+ */
+const maxClusterDuration = 32767;
+
+/**
+ * 可変長整数（EBMLのデータサイズ）
+ * @param {number} value
+ * @returns {number[]}
+ */
+function encodeSize(value) {
+    let length = 1;
+    // 全ビットが1の値は「サイズ不明」を表すため使わない
+    while (length < 8 && value >= Math.pow(2, 7 * length) - 1) {
+        ++length;
+    }
+    const bytes = [];
+    let rest = value;
+    for (let index = 0; index < length; ++index) {
+        bytes.unshift(rest % 256);
+        rest = Math.floor(rest / 256);
+    }
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+}
+
+/**
+ * 符号なし整数（最小のバイト数、ビッグエンディアン）
+ * @param {number} value
+ * @returns {number[]}
+ */
+function encodeUint(value) {
+    const bytes = [];
+    let rest = value;
+    do {
+        bytes.unshift(rest % 256);
+        rest = Math.floor(rest / 256);
+    } while (rest > 0);
+    return bytes;
+}
+
+/**
+ * @param {number} id 識別子（先頭の長さを表すビットを含む）
+ * @returns {number[]}
+ */
+function encodeId(id) {
+    return encodeUint(id);
+}
+
+/**
+ * 要素を連結したバイト列
+ */
+class ByteList {
+    constructor() {
+        /** @type {(number[] | Uint8Array)[]} */
+        this.parts = [];
+        this.length = 0;
+    }
+
+    /**
+     * @param {number[] | Uint8Array} bytes
+     */
+    push(bytes) {
+        this.parts.push(bytes);
+        this.length += bytes.length;
+        return this;
+    }
+
+    /**
+     * @param {number} id
+     * @param {ByteList | number[] | Uint8Array} content
+     */
+    element(id, content) {
+        this.push(encodeId(id));
+        this.push(encodeSize(content.length));
+        if (content instanceof ByteList) {
+            content.parts.forEach(part => this.push(part));
+        } else {
+            this.push(content);
+        }
+        return this;
+    }
+
+    /**
+     * @param {number} id
+     * @param {number} value
+     */
+    uint(id, value) {
+        return this.element(id, encodeUint(value));
+    }
+
+    /**
+     * @param {number} id
+     * @param {number} value
+     */
+    float(id, value) {
+        const bytes = new Uint8Array(8);
+        new DataView(bytes.buffer).setFloat64(0, value);
+        return this.element(id, bytes);
+    }
+
+    /**
+     * @param {number} id
+     * @param {string} value ASCIIの文字列
+     */
+    string(id, value) {
+        return this.element(id, Array.from(value, c => c.charCodeAt(0)));
+    }
+
+    /**
+     * @returns {Uint8Array}
+     */
+    toArray() {
+        const array = new Uint8Array(this.length);
+        let offset = 0;
+        for (const part of this.parts) {
+            array.set(part, offset);
+            offset += part.length;
+        }
+        return array;
+    }
+};
+
+
+/**
+ * 符号化済みの映像フレームを時刻付きでWebMに格納するクラス（映像1トラックのみ）
+ */
+export class WebMWriter {
+    /**
+     * @param {WebMTrackOptions} options
+     */
+    constructor(options) {
+        this._options = options;
+        /** @type {WebMFrame[]} */
+        this._frames = [];
+    }
+
+    /**
+     * @param {Uint8Array} data
+     * @param {number} timestamp マイクロ秒（WebCodecsのEncodedVideoChunkと同じ単位）
+     * @param {boolean} keyFrame
+     */
+    addFrame(data, timestamp, keyFrame) {
+        this._frames.push({ data: data, timestamp: Math.round(timestamp / 1000), keyFrame: keyFrame });
+    }
+
+    /**
+     * @returns {Uint8Array}
+     */
+    toArray() {
+        const options = this._options;
+        const frameDuration = 1000 / options.frameRate;
+        const lastTimestamp = this._frames.reduce((max, frame) => Math.max(max, frame.timestamp), 0);
+
+        const header = new ByteList()
+            .uint(0x4286, 1) // EBMLVersion
+            .uint(0x42F7, 1) // EBMLReadVersion
+            .uint(0x42F2, 4) // EBMLMaxIDLength
+            .uint(0x42F3, 8) // EBMLMaxSizeLength
+            .string(0x4282, 'webm') // DocType
+            .uint(0x4287, 2) // DocTypeVersion
+            .uint(0x4285, 2); // DocTypeReadVersion
+
+        const info = new ByteList()
+            .uint(0x2AD7B1, timecodeScale)
+            .string(0x4D80, 'Melody Pattern App') // MuxingApp
+            .string(0x5741, 'Melody Pattern App') // WritingApp
+            .float(0x4489, (this._frames.length > 0) ? lastTimestamp + frameDuration : 0); // Duration
+
+        const video = new ByteList()
+            .uint(0xB0, options.width) // PixelWidth
+            .uint(0xBA, options.height); // PixelHeight
+        const trackEntry = new ByteList()
+            .uint(0xD7, 1) // TrackNumber
+            .uint(0x73C5, 1) // TrackUID
+            .uint(0x9C, 0) // FlagLacing
+            .string(0x86, options.codecId) // CodecID
+            .uint(0x83, 1) // TrackType（映像）
+            .uint(0x23E383, Math.round(timecodeScale * frameDuration)) // DefaultDuration
+            .element(0xE0, video);
+        const tracks = new ByteList().element(0xAE, trackEntry);
+
+        const segment = new ByteList()
+            .element(0x1549A966, info)
+            .element(0x1654AE6B, tracks);
+        for (const cluster of this._clusters()) {
+            segment.element(0x1F43B675, cluster);
+        }
+
+        return new ByteList()
+            .element(0x1A45DFA3, header)
+            .element(0x18538067, segment)
+            .toArray();
+    }
+
+    /**
+     * キーフレームごと（相対時刻が収まらない場合はその前）にクラスタへ分ける
+     * @returns {ByteList[]}
+     */
+    _clusters() {
+        const clusters = [];
+        let cluster = null;
+        let clusterTimestamp = 0;
+        for (const frame of this._frames) {
+            if (cluster === null || frame.keyFrame || frame.timestamp - clusterTimestamp > maxClusterDuration) {
+                clusterTimestamp = frame.timestamp;
+                cluster = new ByteList().uint(0xE7, clusterTimestamp); // Timecode
+                clusters.push(cluster);
+            }
+
+            const relative = frame.timestamp - clusterTimestamp;
+            const blockHeader = [
+                0x81, // トラック番号1
+                (relative >> 8) & 0xFF,
+                relative & 0xFF,
+                frame.keyFrame ? 0x80 : 0x00,
+            ];
+            cluster.element(0xA3, new ByteList().push(blockHeader).push(frame.data)); // SimpleBlock
+        }
+        return clusters;
+    }
+};
@@ -0,0 +1,156 @@
+// ドラムのサンプルを合成してWAVで書き出す
+// 使い方: node samples/generate-drums.js
+import { mkdirSync, writeFileSync } from "node:fs";
+
+import { audioBufferToWav } from "../modules/wav.js";
+
+const sampleRate = 44100;
+
+/**
+ * 再現できるよう固定の種から生成する白色雑音
+ * @param {number} seed
+ */
+function noiseSource(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return 2 * state / 2147483648 - 1;
+    };
+}
+
+/**
+ * 1次のハイパスフィルタ
+ * @param {number} cutoff 遮断周波数（Hz）
+ */
+function highPass(cutoff) {
+    const rc = 1 / (2 * Math.PI * cutoff);
+    const alpha = rc / (rc + 1 / sampleRate);
+    let lastInput = 0;
+    let lastOutput = 0;
+    return input => {
+        lastOutput = alpha * (lastOutput + input - lastInput);
+        lastInput = input;
+        return lastOutput;
+    };
+}
+
+/**
+ * 矩形波を重ねた金属的な音（シンバル・ハイハット用）
+ * @param {number} time
+ * @param {number} fundamental
+ */
+function metallic(time, fundamental) {
+    const ratios = [2, 3, 4.16, 5.43, 6.79, 8.21];
+    let sum = 0;
+    for (const ratio of ratios) {
+        sum += (Math.sin(2 * Math.PI * fundamental * ratio * time) >= 0) ? 1 : -1;
+    }
+    return sum / ratios.length;
+}
+
+/**
+ * 最大振幅をpeakに揃えて書き出す
+ * @param {string} name
+ * @param {number} duration 秒
+ * @param {number} peak 最大振幅（0～1）
+ * @param {(time: number) => number} render 時刻ごとの値
+ */
+async function write(name, duration, peak, render) {
+    const samples = new Float32Array(Math.round(duration * sampleRate));
+    for (let index = 0; index < samples.length; ++index) {
+        samples[index] = render(index / sampleRate);
+    }
+    const max = samples.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
+    for (let index = 0; index < samples.length; ++index) {
+        samples[index] *= peak / max;
+    }
+    // 末尾を短く減衰させてクリックを防ぐ
+    const fade = Math.min(samples.length, Math.round(0.01 * sampleRate));
+    for (let index = 0; index < fade; ++index) {
+        samples[samples.length - 1 - index] *= index / fade;
+    }
+
+    const audioBuffer = {
+        numberOfChannels: 1,
+        sampleRate: sampleRate,
+        length: samples.length,
+        getChannelData: channel => samples,
+    };
+    const blob = audioBufferToWav(audioBuffer);
+    writeFileSync(new URL(`drums/${name}.wav`, import.meta.url), Buffer.from(await blob.arrayBuffer()));
+}
+
+/**
+ * 音高が下がっていく正弦波（キック・タム用）
+ * @param {number} startFrequency
+ * @param {number} endFrequency
+ * @param {number} sweepTime 音高が下がりきるまでの時間（秒）
+ * @param {number} decay 減衰の時定数（秒）
+ */
+function sweptSine(startFrequency, endFrequency, sweepTime, decay) {
+    let phase = 0;
+    return time => {
+        const frequency = endFrequency + (startFrequency - endFrequency) * Math.exp(-time / sweepTime);
+        phase += 2 * Math.PI * frequency / sampleRate;
+        return Math.sin(phase) * Math.exp(-time / decay);
+    };
+}
+
+
+mkdirSync(new URL("drums/", import.meta.url), { recursive: true });
+
+{
+    const body = sweptSine(150, 45, 0.04, 0.18);
+    const noise = noiseSource(1);
+    await write("kick", 0.6, 0.9, time => 0.9 * body(time) + 0.2 * noise() * Math.exp(-time / 0.003));
+}
+{
+    const tone = sweptSine(240, 180, 0.02, 0.07);
+    const noise = noiseSource(2);
+    const filter = highPass(1200);
+    await write("snare", 0.4, 0.8, time => 0.45 * tone(time) + 0.6 * filter(noise()) * Math.exp(-time / 0.1));
+}
+{
+    const noise = noiseSource(3);
+    const filter = highPass(2000);
+    await write("rimshot", 0.15, 0.6, time => (0.5 * Math.sin(2 * Math.PI * 1700 * time) + 0.4 * filter(noise())) * Math.exp(-time / 0.015));
+}
+{
+    // 少しずつずれた3回の破裂音と残響
+    const noise = noiseSource(4);
+    const filter = highPass(900);
+    await write("clap", 0.35, 0.7, time => {
+        const burst = [0, 0.011, 0.023].reduce((sum, start) => sum + ((time >= start) ? Math.exp(-(time - start) / 0.006) : 0), 0);
+        return filter(noise()) * Math.min(1, burst + 0.5 * Math.exp(-time / 0.08));
+    });
+}
+for (const [name, frequency] of [["tom-low", 90], ["tom-mid", 130], ["tom-high", 180]]) {
+    const body = sweptSine(frequency * 1.6, frequency, 0.05, 0.25);
+    const noise = noiseSource(frequency);
+    await write(name, 0.8, 0.8, time => 0.8 * body(time) + 0.1 * noise() * Math.exp(-time / 0.01));
+}
+for (const [name, decay, duration] of [["hihat", 0.04, 0.2], ["hihat-open", 0.3, 0.8]]) {
+    const noise = noiseSource(5);
+    const filter = highPass(7000);
+    await write(name, duration, 0.5, time => filter(0.6 * metallic(time, 320) + 0.4 * noise()) * Math.exp(-time / decay));
+}
+{
+    const noise = noiseSource(6);
+    const filter = highPass(4000);
+    await write("crash", 2.0, 0.6, time => filter(0.5 * metallic(time, 280) + 0.5 * noise()) * Math.exp(-time / 0.7));
+}
+{
+    const noise = noiseSource(7);
+    const filter = highPass(5000);
+    await write("ride", 1.5, 0.5, time => {
+        const bell = 0.15 * Math.sin(2 * Math.PI * 2300 * time) * Math.exp(-time / 0.4);
+        return 0.5 * filter(0.7 * metallic(time, 410) + 0.3 * noise()) * Math.exp(-time / 0.5) + bell;
+    });
+}
+{
+    const filter = highPass(400);
+    await write("cowbell", 0.4, 0.5, time => {
+        const square = frequency => (Math.sin(2 * Math.PI * frequency * time) >= 0) ? 1 : -1;
+        return filter(square(540) + square(800)) * Math.exp(-time / 0.09);
+    });
+}
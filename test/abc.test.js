@@ -0,0 +1,48 @@
+// 実行: node --test test/*.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+import { midiFromAbc } from "../modules/abc.js";
+
+const require = createRequire(import.meta.url);
+// midiFromAbcは画面と同じく大域のMidiを使う
+globalThis.Midi = require("../third-parties/Midi/Midi.js").Midi;
+
+/**
+ * @param {string} body 曲の本体
+ */
+function parse(body) {
+    return midiFromAbc(`X:1\nT:Test\nM:4/4\nL:1/4\nK:C\n${body}\n`);
+}
+
+/**
+ * @param {Midi} midi
+ * @returns {[number, number][]} [ノート番号, tick]
+ */
+function notesOf(midi) {
+    return midi.tracks[0].notes.map(note => [note.midi, note.ticks]);
+}
+
+
+test("小節線の直後の和音", () => {
+    assert.deepEqual(notesOf(parse("C|[CEG]2|")), [[60, 0], [60, 480], [64, 480], [67, 480]]);
+});
+
+test("小節線の直後のインラインフィールド", () => {
+    // 調号の変更でFがF#になる
+    assert.deepEqual(notesOf(parse("C|[K:D]F|")), [[60, 0], [66, 480]]);
+
+    const meter = parse("CDE|[M:2/4]FG|");
+    assert.deepEqual(meter.header.timeSignatures.map(event => [event.ticks, event.timeSignature]), [[0, [4, 4]], [1440, [2, 4]]]);
+    assert.equal(notesOf(meter).length, 5);
+});
+
+test("小節線の直後の和音で反復区間を区切らない", () => {
+    assert.deepEqual(notesOf(parse("|:C|[CE]D:|")).map(([midi]) => midi), [60, 60, 64, 62, 60, 60, 64, 62]);
+});
+
+test("番号括弧・[|は小節線として読む", () => {
+    assert.deepEqual(notesOf(parse("|:C|1D:|[2E|]")).map(([midi]) => midi), [60, 62, 60, 64]);
+    assert.deepEqual(notesOf(parse("C[|D|]")), [[60, 0], [62, 480]]);
+});
@@ -0,0 +1,52 @@
+// 実行: node --test test/*.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+import { readFileSync } from "node:fs";
+
+import { Score } from "../modules/score.js";
+import { analyzeHarmony, chordName, keyName } from "../modules/harmony.js";
+import { exampleGroups } from "../modules/examples.js";
+
+const require = createRequire(import.meta.url);
+const { Midi } = require("../third-parties/Midi/Midi.js");
+
+/**
+ * @param {string} path
+ * @returns {Score}
+ */
+function loadExample(path) {
+    return new Score(path.split("/").pop(), new Midi(readFileSync(new URL(`../${path}`, import.meta.url))));
+}
+
+/**
+ * 小節ごとの先頭の和音名
+ * @param {Score} score
+ * @param {number} count
+ */
+function chordNamesByMeasure(score, count) {
+    const harmony = analyzeHarmony(score);
+    return Array.from({ length: count }, (_, measure) => chordName(harmony.chordAt(score.measureToSeconds(measure + 1) + 0.01)));
+}
+
+
+test("一覧のサンプル曲は全て読み込める", () => {
+    for (const group of exampleGroups) {
+        for (const example of group.examples) {
+            const score = loadExample(example.path);
+            assert.ok(score.notes.length > 0, example.path);
+            assert.ok(score.duration > 0, example.path);
+        }
+    }
+});
+
+test("和音進行のサンプル曲は意図した和音に解析される", () => {
+    const twoFiveOne = loadExample("examples/two-five-one.mid");
+    assert.deepEqual(chordNamesByMeasure(twoFiveOne, 4), ["Dm7", "G7", "Cmaj7", "C"]);
+    assert.equal(keyName(analyzeHarmony(twoFiveOne).key), "C major");
+
+    const blues = loadExample("examples/twelve-bar-blues.mid");
+    const bluesChords = chordNamesByMeasure(blues, 12);
+    assert.deepEqual([0, 4, 8, 9].map(measure => bluesChords[measure]), ["C7", "F7", "G7", "F7"]);
+    assert.ok(blues.percussions.length > 0);
+});
@@ -0,0 +1,50 @@
+// テスト用の大域のTone（node --testの対象外）
+
+/**
+ * Vocalが使う範囲のTone.js（発音はせず、パートのコールバックを直接呼べるようにする）
+ */
+export function installFakeTone() {
+    const node = () => ({
+        connect() { return this; },
+        disconnect() { return this; },
+        toDestination() { return this; },
+        dispose() {},
+        set() {},
+        triggerAttackRelease() {},
+        volume: { setValueAtTime() {} },
+        pan: { setValueAtTime() {} },
+    });
+    const parts = [];
+    const transport = {
+        state: "stopped",
+        ticks: 0,
+        PPQ: 192,
+        bpm: { value: 120 },
+        loop: false,
+        on() {},
+        start() { this.state = "started"; },
+        stop() { this.state = "stopped"; },
+        pause() { this.state = "paused"; },
+        cancel() {},
+        schedule() {},
+        setLoopPoints() {},
+    };
+    globalThis.Tone = {
+        Transport: transport,
+        Volume: function () { return node(); },
+        Channel: function () { return node(); },
+        PolySynth: function () { return node(); },
+        Synth: function () {},
+        Part: function (callback, events) {
+            const part = { callback: callback, events: events, mute: false, start() {}, stop() {}, cancel() {}, dispose() {} };
+            parts.push(part);
+            return part;
+        },
+        Ticks: ticks => ticks,
+        start: async () => {},
+        now: () => 0.0,
+        immediate: () => 0.0,
+        getContext: () => ({ currentTime: 0.0, setTimeout() {} }),
+    };
+    return { parts, transport };
+}
@@ -0,0 +1,85 @@
+// テスト用のMIDIファイルを同梱のMidi.jsで書き出す
+// 使い方: node test/fixtures/generate.js
+import { createRequire } from "node:module";
+import { writeFileSync } from "node:fs";
+
+const require = createRequire(import.meta.url);
+const { Midi } = require("../../third-parties/Midi/Midi.js");
+
+/**
+ * @param {string} name
+ * @param {(midi: Midi) => void} build
+ */
+function write(name, build) {
+    const midi = new Midi();
+    build(midi);
+    writeFileSync(new URL(name, import.meta.url), midi.toArray());
+}
+
+// 2小節目の頭（1920 tick）で120 bpmから60 bpmに変わる
+write("tempo.mid", midi => {
+    midi.header.tempos.push({ ticks: 0, bpm: 120 });
+    midi.header.tempos.push({ ticks: 1920, bpm: 60 });
+    midi.header.timeSignatures.push({ ticks: 0, timeSignature: [4, 4] });
+    midi.header.update();
+    const track = midi.addTrack();
+    track.name = "melody";
+    [60, 64, 67, 72].forEach((pitch, index) => {
+        track.addNote({ midi: pitch, ticks: 960 * index, durationTicks: 480, velocity: 0.8 });
+    });
+});
+
+// 1小節目の4拍目（1440 tick）で4/4から3/4に変わる
+write("meter.mid", midi => {
+    midi.header.tempos.push({ ticks: 0, bpm: 120 });
+    midi.header.timeSignatures.push({ ticks: 0, timeSignature: [4, 4] });
+    midi.header.timeSignatures.push({ ticks: 1440, timeSignature: [3, 4] });
+    midi.header.update();
+    const track = midi.addTrack();
+    for (let index = 0; index < 8; ++index) {
+        track.addNote({ midi: 60 + index, ticks: 480 * index, durationTicks: 240, velocity: 0.5 });
+    }
+});
+
+// メロディとドラム（チャンネル10）
+write("drums.mid", midi => {
+    midi.header.tempos.push({ ticks: 0, bpm: 120 });
+    midi.header.update();
+    const melody = midi.addTrack();
+    melody.channel = 0;
+    melody.addNote({ midi: 67, ticks: 480, durationTicks: 960, velocity: 0.6 });
+    melody.addNote({ midi: 60, ticks: 0, durationTicks: 480, velocity: 0.6 });
+    const drums = midi.addTrack();
+    drums.channel = 9;
+    [36, 42, 38, 42].forEach((pitch, index) => {
+        drums.addNote({ midi: pitch, ticks: 240 * index, durationTicks: 60, velocity: 1.0 });
+    });
+});
+
+// サステインペダル（CC64）
+write("sustain.mid", midi => {
+    midi.header.tempos.push({ ticks: 0, bpm: 120 });
+    midi.header.update();
+    const track = midi.addTrack();
+    track.addCC({ number: 64, ticks: 0, value: 1.0 });
+    track.addCC({ number: 64, ticks: 1920, value: 0.0 });
+    track.addNote({ midi: 60, ticks: 0, durationTicks: 240, velocity: 0.7 });
+    track.addNote({ midi: 64, ticks: 960, durationTicks: 240, velocity: 0.7 });
+    track.addNote({ midi: 67, ticks: 2400, durationTicks: 240, velocity: 0.7 });
+    // 最後のノートを離した後もペダルを踏み続ける
+    track.addCC({ number: 64, ticks: 2400, value: 1.0 });
+    track.addCC({ number: 64, ticks: 3360, value: 0.0 });
+});
+
+// RPNでピッチベンド幅を12半音にしてからピッチベンドする
+write("pitchbend.mid", midi => {
+    midi.header.tempos.push({ ticks: 0, bpm: 120 });
+    midi.header.update();
+    const track = midi.addTrack();
+    track.addCC({ number: 101, ticks: 0, value: 0 });
+    track.addCC({ number: 100, ticks: 0, value: 0 });
+    track.addCC({ number: 6, ticks: 0, value: 12 / 127 });
+    track.addNote({ midi: 60, ticks: 0, durationTicks: 1920, velocity: 0.7 });
+    // 同梱のMidi.jsはピッチベンドの値を変換せずに書き出すため-8192～8191で渡す
+    track.addPitchBend({ ticks: 960, value: 4096 });
+});
@@ -0,0 +1,62 @@
+// 実行: node --test test/*.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+import { readFileSync } from "node:fs";
+
+import { Score } from "../modules/score.js";
+import { analyzeHarmony, chordName, keyName } from "../modules/harmony.js";
+
+const require = createRequire(import.meta.url);
+const { Midi } = require("../third-parties/Midi/Midi.js");
+
+/**
+ * 4/4拍子・120BPMで拍ごとに音を並べた演奏情報
+ * @param {number[][]} beats 拍ごとのノート番号
+ * @returns {Score}
+ */
+function scoreOfBeats(beats) {
+    const midi = new Midi();
+    midi.header.tempos.push({ ticks: 0, bpm: 120 });
+    midi.header.timeSignatures.push({ ticks: 0, timeSignature: [4, 4] });
+    midi.header.update();
+    const track = midi.addTrack();
+    beats.forEach((pitches, beat) => {
+        for (const pitch of pitches) {
+            track.addNote({ midi: pitch, ticks: 480 * beat, durationTicks: 480, velocity: 0.7 });
+        }
+    });
+    return new Score("test.mid", midi);
+}
+
+
+test("単音の旋律には和音を付けない", () => {
+    // イ短調の旋律的短音階
+    const harmony = analyzeHarmony(scoreOfBeats([[69], [71], [72], [74], [76], [78], [80], [81]]));
+    assert.deepEqual(harmony.chords, []);
+    assert.equal(chordName(harmony.chordAt(0.1)), "N.C.");
+});
+
+test("2音だけの拍にも和音を付けない", () => {
+    const harmony = analyzeHarmony(scoreOfBeats([[60, 67], [60, 64, 67]]));
+    assert.equal(harmony.chordAt(0.1), null);
+    assert.equal(chordName(harmony.chordAt(0.6)), "C");
+});
+
+test("3音以上の拍は和音を推定し、同じ和音が続く拍はまとめる", () => {
+    const harmony = analyzeHarmony(scoreOfBeats([[57, 60, 64], [57, 60, 64], [55, 59, 62, 65], [48, 52, 55]]));
+    assert.deepEqual(harmony.chords.map(chord => [chordName(chord), chord.time, chord.endTime]), [
+        ["Am", 0.0, 1.0],
+        ["G7", 1.0, 1.5],
+        ["C", 1.5, 2.0],
+    ]);
+    // 移調量を和音名に反映する
+    assert.equal(chordName(harmony.chordAt(1.2), 2), "A7");
+});
+
+test("同梱の音階のサンプル曲には和音を付けない", () => {
+    const score = new Score("a-minor-scales.mid", new Midi(readFileSync(new URL("../examples/a-minor-scales.mid", import.meta.url))));
+    const harmony = analyzeHarmony(score);
+    assert.deepEqual(harmony.chords, []);
+    assert.equal(keyName(harmony.key), "A minor");
+});
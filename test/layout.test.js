@@ -0,0 +1,258 @@
+// 実行: node --test test/*.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+import { readFileSync } from "node:fs";
+
+import { Score } from "../modules/score.js";
+import { NoteLayout, OffsetWindow, calculateTheta } from "../modules/layout.js";
+
+const require = createRequire(import.meta.url);
+const { Midi } = require("../third-parties/Midi/Midi.js");
+
+/**
+ * @param {string} name
+ * @returns {Score}
+ */
+function loadScore(name) {
+    return new Score(name, new Midi(readFileSync(new URL(`fixtures/${name}`, import.meta.url))));
+}
+
+/**
+ * @param {number} actual
+ * @param {number} expected
+ */
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} !== ${expected}`);
+}
+
+/**
+ * 範囲の定義どおりに先頭から調べた結果（条件を満たす先頭からの連続した数）
+ * @param {{time: number, duration: number}[]} events
+ * @param {number} currentTime
+ * @param {number} appearingTime
+ * @param {number} releasingTime
+ * @param {boolean} withDuration
+ */
+function bruteForceWindow(events, currentTime, appearingTime, releasingTime, withDuration) {
+    const count = predicate => {
+        const index = events.findIndex(event => !predicate(event));
+        return (index < 0) ? events.length : index;
+    };
+    return {
+        released: count(event => currentTime >= event.time + (withDuration ? event.duration : 0.0) + releasingTime),
+        attacked: count(event => currentTime >= event.time),
+        appeared: count(event => currentTime >= event.time + appearingTime),
+    };
+}
+
+/**
+ * @param {OffsetWindow} window
+ */
+function rangeOf(window) {
+    return { released: window.released, attacked: window.attacked, appeared: window.appeared };
+}
+
+/**
+ * 長さの異なるノートを含む時刻順の配列（先に発音したノートが後に消えることがある）
+ */
+const events = [
+    { time: 0.0, duration: 3.0 },
+    { time: 0.5, duration: 0.25 },
+    { time: 1.0, duration: 0.5 },
+    { time: 1.0, duration: 2.0 },
+    { time: 2.5, duration: 0.25 },
+    { time: 4.0, duration: 1.0 },
+];
+
+
+test("位相は基準のノート番号で0になり、移調量だけずれる", () => {
+    assertClose(calculateTheta(72, 0, 72, 7, 12), 0);
+    // 5度圏では半音上が7/12周
+    assertClose(calculateTheta(73, 0, 72, 7, 12), 2 * Math.PI * 7 / 12);
+    // 完全5度上は1周して1/12周
+    assertClose(calculateTheta(79, 0, 72, 7, 12) - 2 * Math.PI * 4, 2 * Math.PI / 12);
+    assertClose(calculateTheta(71, 1, 72, 7, 12), 0);
+});
+
+test("内方向では発音時に中心に届き、外方向では発生時に中心から出る", () => {
+    const layout = new NoteLayout();
+    layout.setFrame(10.0, 100, 1000, 500);
+
+    assert.equal(layout.circleTime, 4.0);
+    assert.equal(layout.unitSize, 100);
+    assertClose(layout.appearingTime, -4.0 * 6 / 7);
+    // ノートの中心は長さの半分だけ外側
+    assertClose(layout.viewOffset(10.0, 1.0), 0.5);
+    assertClose(layout.viewOffset(11.0, 1.0), 1.5);
+
+    layout.direction = "outward";
+    layout.setFrame(10.0, 200, 1000, 500);
+    assert.equal(layout.circleTime, 2.0);
+    assert.equal(layout.appearingTime, -1.0);
+    assertClose(layout.viewOffset(11.0, 0.0), 0.0);
+    assertClose(layout.viewOffset(10.0, 1.0), 0.5);
+});
+
+test("ノートの位置・大きさ", () => {
+    const layout = new NoteLayout();
+    layout.circleNumerator = 1;
+    layout.circleDenominator = 4;
+    layout.referencePitch = 60;
+    layout.setFrame(0.0, 100, 800, 800);
+
+    layout.place(1.0, 2.0, 61);
+    // 4半音で1周するので1半音上は真上
+    assertClose(layout.x, 0);
+    assertClose(layout.y, layout.unitSize * 2.0);
+    assertClose(layout.size, layout.unitSize * 2.0);
+
+    layout.key = -1;
+    layout.place(1.0, 2.0, 61);
+    assertClose(layout.x, layout.unitSize * 2.0);
+    assertClose(layout.y, 0);
+});
+
+test("渦巻きでは同じ音名のノートをオクターブごとに外側へ置く", () => {
+    const layout = new NoteLayout();
+    layout.direction = "spiral";
+    layout.setFrame(0.0, 100, 1000, 1000);
+
+    layout.place(0.0, 1.0, 48);
+    const low = { x: layout.x, y: layout.y };
+    layout.place(0.0, 1.0, 72);
+    const high = { x: layout.x, y: layout.y };
+    // 同じ向きで、半径は音の高さに比例する
+    assertClose(Math.atan2(low.y, low.x), Math.atan2(high.y, high.x));
+    assertClose(Math.hypot(high.x, high.y) - Math.hypot(low.x, low.y), layout.radius * 0.9 * 24 / 84);
+    // 範囲外の高さは端に置く
+    assertClose(layout.spiralRadius(0), layout.radius * 0.1);
+    assertClose(layout.spiralRadius(127), layout.radius);
+    // 移調後に鳴る音の高さで置く
+    layout.key = 12;
+    assertClose(layout.spiralRadius(60), Math.hypot(high.x, high.y));
+});
+
+test("渦巻きでは発音までに大きくなり、発音中は小さくなる", () => {
+    const layout = new NoteLayout();
+    layout.direction = "spiral";
+    layout.setFrame(10.0, 100, 1000, 1000);
+    const size = 0.25 * layout.unitSize;
+
+    assertClose(layout.spiralSize(10.0 - layout.appearingTime, 1.0), 0.0);
+    assertClose(layout.spiralSize(10.5, 1.0), size * (1 - 0.5 / -layout.appearingTime));
+    assertClose(layout.spiralSize(10.0, 1.0), size);
+    assertClose(layout.spiralSize(9.5, 1.0), 0.75 * size);
+    assertClose(layout.spiralSize(8.0, 1.0), 0.5 * size);
+});
+
+test("ピアノロールでは横軸が時刻、縦軸が音の高さ", () => {
+    const layout = new NoteLayout();
+    layout.direction = "piano roll";
+    layout.lowestPitch = 59;
+    layout.highestPitch = 72;
+    layout.setFrame(10.0, 100, 1000, 500);
+
+    assert.equal(layout.rowCount, 14);
+    assert.equal(layout.playheadX, -250);
+    // 右端から現れて左端へ流れ去る
+    assertClose(layout.appearingTime, -750 / layout.unitSize);
+    assertClose(layout.releasingTime, 250 / layout.unitSize);
+
+    layout.place(10.0, 2.0, 60);
+    assertClose(layout.x, -250 + layout.unitSize);
+    assertClose(layout.y, layout.bottom + 1.5 * layout.rowHeight);
+    assertClose(layout.size, 2.0 * layout.unitSize);
+    // 移調しても行は変わらない（行の音名が変わる）
+    layout.key = 2;
+    assert.equal(layout.rowOf(60), 1);
+});
+
+test("ピアノロールの円周の順の行は位相に従う", () => {
+    const layout = new NoteLayout();
+    layout.direction = "piano roll";
+    layout.pianoRollOrder = "circle";
+    layout.setFrame(0.0, 100, 1000, 500);
+
+    assert.equal(layout.rowCount, 12);
+    // 五度圏ではC, G, D, ...の順
+    assert.deepEqual([72, 79, 74, 69, 64].map(midi => layout.rowOf(midi)), [0, 1, 2, 3, 4]);
+    assert.equal(layout.rowOf(60), 0);
+    assert.equal(layout.rowOf(77), 11);
+    // 移調すると円周と同じだけ行が移る
+    layout.key = 7;
+    assert.equal(layout.rowOf(72), 1);
+});
+
+test("時刻を少しずつ進めた範囲が定義と一致する", () => {
+    for (const withDuration of [true, false]) {
+        const window = new OffsetWindow(withDuration);
+        window.maxDuration = 3.0;
+        for (let time = 0.0; time < 6.0; time += 0.05) {
+            window.update(events, time, -0.8, 0.1);
+            assert.deepEqual(rangeOf(window), bruteForceWindow(events, time, -0.8, 0.1, withDuration), `${withDuration} ${time}`);
+        }
+    }
+});
+
+test("巻き戻し・大きな移動では二分探索し直す", () => {
+    const window = new OffsetWindow(true);
+    window.maxDuration = 3.0;
+    for (const time of [5.0, 0.2, 2.9, 1.2, 1.3, 4.5]) {
+        window.update(events, time, -0.8, 0.0);
+        const expected = bruteForceWindow(events, time, -0.8, 0.0, true);
+        // 二分探索では消滅済みの範囲が狭くなることがあるが、発音中のノートは漏らさない
+        assert.ok(window.released <= expected.released, `${time}`);
+        assert.ok(events.slice(0, window.released).every(event => event.time + event.duration <= time), `${time}`);
+        assert.equal(window.attacked, expected.attacked, `${time}`);
+        assert.equal(window.appeared, expected.appeared, `${time}`);
+    }
+});
+
+test("先頭から走査する場合は巻き戻し時に最初からやり直す", () => {
+    const window = new OffsetWindow(true);
+    window.sequential = true;
+    window.update(events, 3.0, -0.8, 0.0);
+    // 大きく進めても二分探索しない
+    assert.equal(window.lastTime, 3.0);
+    assert.deepEqual(rangeOf(window), bruteForceWindow(events, 3.0, -0.8, 0.0, true));
+
+    window.update(events, 1.2, -0.8, 0.0);
+    assert.deepEqual(rangeOf(window), bruteForceWindow(events, 1.2, -0.8, 0.0, true));
+});
+
+test("先頭を取り除いた分だけ範囲をずらす", () => {
+    const window = new OffsetWindow(true);
+    window.sequential = true;
+    window.update(events, 3.2, -0.8, 0.0);
+    assert.equal(window.released, 5);
+
+    // 消滅済みの2つを取り除いてから進めても、残りを先頭から調べた結果と同じ
+    const rest = events.slice(2);
+    window.discard([0, 1]);
+    assert.deepEqual(rangeOf(window), bruteForceWindow(rest, 3.2, -0.8, 0.0, true));
+    window.update(rest, 4.5, -0.8, 0.0);
+    assert.deepEqual(rangeOf(window), bruteForceWindow(rest, 4.5, -0.8, 0.0, true));
+});
+
+test("途中のイベントを取り除いた場合はそれより後の位置だけずらす", () => {
+    const window = new OffsetWindow(true);
+    window.sequential = true;
+    window.update(events, 3.2, -0.8, 0.0);
+
+    // 消滅済みの2番目・5番目を取り除く
+    const rest = events.filter((event, index) => index !== 1 && index !== 4);
+    window.discard([1, 4]);
+    assert.deepEqual(rangeOf(window), bruteForceWindow(rest, 3.2, -0.8, 0.0, true));
+    window.update(rest, 4.5, -0.8, 0.0);
+    assert.deepEqual(rangeOf(window), bruteForceWindow(rest, 4.5, -0.8, 0.0, true));
+});
+
+test("演奏情報のパーカッションの範囲", () => {
+    const score = loadScore("drums.mid");
+    const window = new OffsetWindow(false);
+    for (let time = 0.0; time < 1.0; time += 0.01) {
+        window.update(score.percussions, time, -0.8, 0.0625);
+        assert.deepEqual(rangeOf(window), bruteForceWindow(score.percussions, time, -0.8, 0.0625, false));
+    }
+});
@@ -0,0 +1,79 @@
+// 実行: node --test test/*.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { LiveInput } from "../modules/liveInput.js";
+
+/**
+ * 時刻を進められる生演奏の入力
+ */
+function liveInputAt() {
+    const clock = { now: 0.0 };
+    const liveInput = new LiveInput(() => clock.now);
+    return { liveInput, clock };
+}
+
+
+test("鳴り終えたノートを捨て、鳴っているノートは残す", () => {
+    const { liveInput, clock } = liveInputAt();
+    liveInput.noteOn(0, 60, 1.0);
+    clock.now = 1.0;
+    liveInput.noteOff(0, 60);
+    liveInput.noteOn(9, 36, 1.0);
+    liveInput.noteOn(0, 64, 1.0);
+    clock.now = 2.0;
+    liveInput.noteOn(0, 67, 1.0);
+    liveInput.noteOff(0, 67);
+    clock.now = 10.0;
+
+    // 押鍵中の64より後の67も捨てる
+    assert.deepEqual(liveInput.discardBefore(5.0), { notes: [0, 2], percussions: [0] });
+    assert.deepEqual(liveInput.notes.map(note => note.midi), [64]);
+    assert.equal(liveInput.percussions.length, 0);
+
+    liveInput.noteOff(0, 64);
+    assert.deepEqual(liveInput.discardBefore(5.0), { notes: [], percussions: [] });
+    assert.deepEqual(liveInput.discardBefore(11.0), { notes: [0], percussions: [] });
+    assert.equal(liveInput.notes.length, 0);
+});
+
+test("押鍵し続けている間も他のノートは溜まらない", () => {
+    const { liveInput, clock } = liveInputAt();
+    liveInput.noteOn(0, 48, 1.0);
+    for (let index = 0; index < 1000; ++index) {
+        clock.now = 0.1 * index;
+        liveInput.noteOn(0, 72, 1.0);
+        clock.now += 0.05;
+        liveInput.noteOff(0, 72);
+        liveInput.update();
+        liveInput.discardBefore(clock.now - 1.0);
+        assert.ok(liveInput.notes.length <= 12, `${index}`);
+    }
+    assert.equal(liveInput.notes[0].midi, 48);
+    // 残りは時刻順のまま
+    assert.ok(liveInput.notes.every((note, index) => index === 0 || liveInput.notes[index - 1].time <= note.time));
+});
+
+test("サステインペダルで伸ばしているノートは捨てない", () => {
+    const { liveInput, clock } = liveInputAt();
+    liveInput.sustain(0, true);
+    liveInput.noteOn(0, 60, 1.0);
+    liveInput.noteOff(0, 60);
+    clock.now = 10.0;
+
+    assert.deepEqual(liveInput.discardBefore(5.0), { notes: [], percussions: [] });
+    liveInput.sustain(0, false);
+    assert.deepEqual(liveInput.discardBefore(11.0), { notes: [0], percussions: [] });
+});
+
+test("捨てた時刻以降のピッチベンドは変わらない", () => {
+    const { liveInput, clock } = liveInputAt();
+    for (const [time, value] of [[1.0, 0.5], [2.0, -0.5], [3.0, 0.25], [6.0, 1.0]]) {
+        clock.now = time;
+        liveInput.pitchBend(0, value);
+    }
+
+    liveInput.discardBefore(4.0);
+    assert.equal(liveInput.pitchBendAt(0, 4.0), 0.5);
+    assert.equal(liveInput.pitchBendAt(0, 7.0), 2.0);
+});
@@ -0,0 +1,204 @@
+// 実行: node --test test/*.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+import { MidiOutput } from "../modules/midiOutput.js";
+import { Score } from "../modules/score.js";
+import { Vocal } from "../modules/tune.js";
+import { installFakeTone } from "./fakeTone.js";
+
+const require = createRequire(import.meta.url);
+const { Midi } = require("../third-parties/Midi/Midi.js");
+
+/**
+ * 送信したメッセージを記録する出力ポート
+ */
+class FakeOutputPort {
+    /**
+     * @param {string} id
+     */
+    constructor(id) {
+        this.id = id;
+        this.name = `Port ${id}`;
+        /** @type {{data: number[], timestamp: number?}[]} */
+        this.messages = [];
+        this.clearCount = 0;
+    }
+
+    send(data, timestamp = null) {
+        this.messages.push({ data: data, timestamp: timestamp });
+    }
+
+    clear() {
+        ++this.clearCount;
+    }
+
+    /**
+     * @param {number} status 上位4bit
+     */
+    messagesOf(status) {
+        return this.messages.filter(message => (message.data[0] & 0xF0) === status).map(message => message.data);
+    }
+};
+
+/**
+ * @param {string[]} portIds
+ */
+function fakeMidiAccess(portIds) {
+    return {
+        outputs: new Map(portIds.map(id => [id, new FakeOutputPort(id)])),
+        onstatechange: null,
+    };
+}
+
+/**
+ * ピアノ（チャンネル0）・ベース（チャンネル1）・ドラム（チャンネル9）の3トラック
+ */
+function threeTrackScore() {
+    const midi = new Midi();
+    for (const [channel, program, note] of [[0, 0, 60], [1, 33, 40], [9, 0, 36]]) {
+        const track = midi.addTrack();
+        track.channel = channel;
+        track.instrument.number = program;
+        track.addNote({ midi: note, ticks: 0, durationTicks: 480, velocity: 0.5 });
+    }
+    return new Score("test.mid", midi);
+}
+
+/**
+ * パートのコールバックを呼んで全ノートを発音させる
+ * @param {{callback: Function, events: {note: Object}[]}[]} parts
+ */
+function playAllNotes(parts) {
+    parts.forEach(part => {
+        part.events.filter(event => event.note !== undefined).forEach(event => part.callback(0.0, event));
+    });
+}
+
+
+test("ノートはポートへノートオンとノートオフを時刻付きで送信する", () => {
+    const midiAccess = fakeMidiAccess(["a"]);
+    const output = new MidiOutput(midiAccess);
+    assert.deepEqual(output.ports, [{ id: "a", name: "Port a" }]);
+
+    output.sendNote("a", 3, 60.4, 0.5, 1000, 250);
+    output.sendNote("missing", 0, 60, 1.0, 0, 100);
+    assert.deepEqual(midiAccess.outputs.get("a").messages, [
+        { data: [0x93, 60, 64], timestamp: 1000 },
+        { data: [0x83, 60, 0], timestamp: 1250 },
+    ]);
+});
+
+test("ポートの接続状態の変化を通知する", () => {
+    const midiAccess = fakeMidiAccess([]);
+    const output = new MidiOutput(midiAccess);
+    let count = 0;
+    output.onportschange = () => {
+        ++count;
+    };
+    midiAccess.outputs.set("b", new FakeOutputPort("b"));
+    midiAccess.onstatechange(new Event("statechange"));
+    assert.equal(count, 1);
+    assert.deepEqual(output.ports.map(port => port.id), ["b"]);
+});
+
+test("既定の出力先とトラックごとの出力先へ振り分ける", async () => {
+    const { parts } = installFakeTone();
+    const midiAccess = fakeMidiAccess(["a", "b"]);
+    const [portA, portB] = midiAccess.outputs.values();
+
+    const vocal = new Vocal();
+    await vocal.apply(threeTrackScore());
+    vocal.midiOutput = new MidiOutput(midiAccess);
+    vocal.outputPortId = "a";
+    vocal.setTrackOutput(1, "b");
+    // 内蔵のシンセサイザで発音する
+    vocal.setTrackOutput(2, null);
+    portA.messages = [];
+    portB.messages = [];
+
+    playAllNotes(parts);
+    assert.deepEqual(portA.messagesOf(0x90), [[0x90, 60, 64]]);
+    assert.deepEqual(portB.messagesOf(0x90), [[0x91, 40, 64]]);
+
+    // 既定の出力先に戻す
+    vocal.setTrackOutput(1, undefined);
+    portA.messages = [];
+    portB.messages = [];
+    playAllNotes(parts);
+    assert.deepEqual(portA.messagesOf(0x90), [[0x90, 60, 64], [0x91, 40, 64]]);
+    assert.deepEqual(portB.messagesOf(0x90), []);
+});
+
+test("出力先を変えるとパーカッション以外の音色を送信する", async () => {
+    installFakeTone();
+    const midiAccess = fakeMidiAccess(["a", "b"]);
+    const [portA, portB] = midiAccess.outputs.values();
+
+    const vocal = new Vocal();
+    await vocal.apply(threeTrackScore());
+    vocal.midiOutput = new MidiOutput(midiAccess);
+    // 出力先が無い間は送信しない
+    assert.deepEqual(portA.messages, []);
+
+    vocal.outputPortId = "a";
+    assert.deepEqual(portA.messagesOf(0xC0), [[0xC0, 0], [0xC1, 33]]);
+
+    vocal.setTrackOutput(1, "b");
+    assert.deepEqual(portB.messagesOf(0xC0), [[0xC1, 33]]);
+});
+
+test("一時停止・シークでは使用中の全ポートの発音を止める", async () => {
+    const { transport } = installFakeTone();
+    const midiAccess = fakeMidiAccess(["a", "b", "c"]);
+    const [portA, portB, portC] = midiAccess.outputs.values();
+
+    const vocal = new Vocal();
+    await vocal.apply(threeTrackScore());
+    vocal.midiOutput = new MidiOutput(midiAccess);
+    vocal.outputPortId = "a";
+    vocal.setTrackOutput(2, "b");
+
+    const allNotesOff = port => port.messagesOf(0xB0).filter(data => data[1] === 123);
+    const reset = () => {
+        [portA, portB, portC].forEach(port => {
+            port.messages = [];
+            port.clearCount = 0;
+        });
+    };
+
+    reset();
+    transport.state = "started";
+    await vocal.togglePlaying();
+    assert.equal(transport.state, "paused");
+    for (const port of [portA, portB]) {
+        assert.equal(port.clearCount, 1);
+        assert.deepEqual(allNotesOff(port).map(data => data[0] & 0x0F), Array.from({ length: 16 }, (_, channel) => channel));
+    }
+    assert.deepEqual(portC.messages, []);
+
+    reset();
+    await vocal.seek(0.5);
+    assert.equal(allNotesOff(portA).length, 16);
+    assert.equal(allNotesOff(portB).length, 16);
+    assert.deepEqual(portC.messages, []);
+});
+
+test("移調量を半音に丸めてノート番号に加え、パーカッションは移調しない", async () => {
+    const { parts } = installFakeTone();
+    const midiAccess = fakeMidiAccess(["a"]);
+    const [portA] = midiAccess.outputs.values();
+
+    const vocal = new Vocal();
+    await vocal.apply(threeTrackScore());
+    vocal.midiOutput = new MidiOutput(midiAccess);
+    vocal.outputPortId = "a";
+
+    for (const [key, expected] of [[2.4, [[0x90, 62, 64], [0x91, 42, 64], [0x99, 36, 64]]], [-1.6, [[0x90, 58, 64], [0x91, 38, 64], [0x99, 36, 64]]]]) {
+        vocal.key = key;
+        portA.messages = [];
+        playAllNotes(parts);
+        assert.deepEqual(portA.messagesOf(0x90), expected, `${key}`);
+    }
+});
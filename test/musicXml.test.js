@@ -0,0 +1,173 @@
+// 実行: node --test test/*.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+import { midiFromMusicXml } from "../modules/musicXml.js";
+
+const require = createRequire(import.meta.url);
+// midiFromMusicXmlは画面と同じく大域のMidiを使う
+globalThis.Midi = require("../third-parties/Midi/Midi.js").Midi;
+
+/**
+ * テスト用の最小限のXML解析（要素・属性・文字列のみ、DOMParserの代わり）
+ * @param {string} text
+ */
+function parseXml(text) {
+    const decode = value => value
+        .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, "\"").replace(/&apos;/g, "'").replace(/&amp;/g, "&");
+    const element = (tagName, attributes) => ({
+        tagName: tagName,
+        children: [],
+        texts: [],
+        get textContent() {
+            return this.texts.join("") + this.children.map(child => child.textContent).join("");
+        },
+        getAttribute(name) {
+            return (name in attributes) ? attributes[name] : null;
+        },
+    });
+
+    const documentElement = element("#document", {});
+    const stack = [documentElement];
+    const tokens = text.replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>/g, "").split(/(<[^>]+>)/);
+    for (const token of tokens) {
+        if (!token.startsWith("<")) {
+            stack[stack.length - 1].texts.push(decode(token));
+        } else if (token.startsWith("</")) {
+            stack.pop();
+        } else {
+            const [, tagName, body] = token.match(/^<([\w:-]+)([\s\S]*?)\/?>$/);
+            const attributes = {};
+            for (const [, name, , value] of body.matchAll(/([\w:-]+)\s*=\s*(["'])([\s\S]*?)\2/g)) {
+                attributes[name] = decode(value);
+            }
+            const child = element(tagName, attributes);
+            stack[stack.length - 1].children.push(child);
+            if (!token.endsWith("/>")) {
+                stack.push(child);
+            }
+        }
+    }
+    return { documentElement: documentElement.children[0] };
+}
+
+/**
+ * @param {string} parts part要素の並び
+ * @param {string} partList score-part要素の並び
+ */
+function parse(parts, partList = "<score-part id=\"P1\"><part-name>Piano</part-name></score-part>") {
+    return midiFromMusicXml(`<?xml version="1.0" encoding="UTF-8"?>
+<score-partwise version="3.1">
+<work><work-title>Test &amp; Title</work-title></work>
+<part-list>${partList}</part-list>
+${parts}
+</score-partwise>`, parseXml);
+}
+
+/**
+ * @param {string} step
+ * @param {number} octave
+ * @param {number} duration
+ * @param {string} extra pitchの後に加える要素
+ */
+function note(step, octave, duration, extra = "") {
+    return `<note><pitch><step>${step}</step><octave>${octave}</octave></pitch><duration>${duration}</duration>${extra}</note>`;
+}
+
+/**
+ * @param {Midi} midi
+ * @returns {[number, number, number][]} [ノート番号, tick, 長さ（tick）]
+ */
+function notesOf(midi, trackIndex = 0) {
+    return midi.tracks[trackIndex].notes.map(note => [note.midi, note.ticks, note.durationTicks]);
+}
+
+
+test("和音・後戻りで同じ位置から複数の声部を並べる", () => {
+    const midi = parse(`<part id="P1">
+<measure number="1">
+<attributes><divisions>2</divisions><time><beats>4</beats><beat-type>4</beat-type></time></attributes>
+${note("C", 4, 4)}${note("E", 4, 4, "<chord/>")}${note("G", 4, 4)}
+<backup><duration>8</duration></backup>
+${note("C", 3, 8)}
+</measure>
+</part>`);
+
+    assert.equal(midi.header.name, "Test & Title");
+    assert.equal(midi.tracks[0].name, "Piano");
+    assert.deepEqual(notesOf(midi).sort((a, b) => a[1] - b[1] || a[0] - b[0]), [
+        [48, 0, 1920],
+        [60, 0, 960],
+        [64, 0, 960],
+        [67, 960, 960],
+    ]);
+    assert.deepEqual(midi.header.timeSignatures.map(event => [event.ticks, event.timeSignature]), [[0, [4, 4]]]);
+});
+
+test("小節の途中でdivisionsが変わっても四分音符単位の位置は変わらない", () => {
+    const midi = parse(`<part id="P1">
+<measure number="1">
+<attributes><divisions>1</divisions></attributes>
+${note("C", 4, 2)}
+<attributes><divisions>4</divisions></attributes>
+${note("D", 4, 2)}${note("E", 4, 6)}
+</measure>
+<measure number="2">
+${note("F", 4, 16)}
+</measure>
+</part>`);
+
+    assert.deepEqual(notesOf(midi), [[60, 0, 960], [62, 960, 240], [64, 1200, 720], [65, 1920, 1920]]);
+});
+
+test("タイで繋いだ音は小節線を越えて1つのノートにする", () => {
+    const midi = parse(`<part id="P1">
+<measure number="1">
+<attributes><divisions>1</divisions></attributes>
+${note("C", 4, 2)}${note("G", 4, 2, "<tie type=\"start\"/>")}
+</measure>
+<measure number="2">
+${note("G", 4, 4, "<tie type=\"stop\"/><tie type=\"start\"/>")}
+</measure>
+<measure number="3">
+${note("G", 4, 1, "<tie type=\"stop\"/>")}${note("G", 4, 1)}
+</measure>
+</part>`);
+
+    assert.deepEqual(notesOf(midi), [[60, 0, 960], [67, 960, 3360], [67, 4320, 480]]);
+});
+
+test("複数パートのテンポは位置順にまとめ、同じ位置の重複は除く", () => {
+    const tempo = bpm => `<direction><sound tempo="${bpm}"/></direction>`;
+    const midi = parse(`<part id="P1">
+<measure number="1">
+<attributes><divisions>1</divisions></attributes>
+${tempo(120)}${note("C", 4, 4)}
+</measure>
+<measure number="2">
+${tempo(60)}${note("D", 4, 4)}
+</measure>
+</part>
+<part id="P2">
+<measure number="1">
+<attributes><divisions>2</divisions></attributes>
+${tempo(120)}${note("C", 3, 4)}${tempo(90)}${note("E", 3, 4)}
+</measure>
+<measure number="2">
+${note("G", 3, 4)}
+<backup><duration>4</duration></backup>
+${tempo(60)}
+</measure>
+</part>`, `<score-part id="P1"><part-name>Right</part-name></score-part>
+<score-part id="P2"><part-name>Left</part-name><midi-instrument id="P2-I1"><midi-channel>3</midi-channel><midi-program>33</midi-program></midi-instrument></score-part>`);
+
+    assert.deepEqual(midi.header.tempos.map(event => [event.ticks, event.bpm]), [[0, 120], [960, 90], [1920, 60]]);
+    assert.deepEqual(notesOf(midi, 1), [[48, 0, 960], [52, 960, 960], [55, 1920, 960]]);
+    assert.equal(midi.tracks[1].channel, 2);
+    assert.equal(midi.tracks[1].instrument.number, 32);
+});
+
+test("score-partwise以外は読み込まない", () => {
+    assert.throws(() => midiFromMusicXml("<score-timewise version=\"3.1\"></score-timewise>", parseXml), /score-timewise/);
+});
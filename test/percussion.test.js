@@ -0,0 +1,37 @@
+// 実行: node --test test/*.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { beatDivisionsOf, drumLaneOf, drumLanes } from "../modules/percussion.js";
+
+
+test("GMドラムのノート番号を楽器別のレーンに分ける", () => {
+    const laneName = midi => drumLanes[drumLaneOf(midi)].name;
+
+    assert.equal(laneName(36), "キック");
+    assert.equal(laneName(38), "スネア");
+    assert.equal(laneName(45), "タム");
+    assert.equal(laneName(42), "ハイハット");
+    assert.equal(laneName(46), "ハイハット");
+    assert.equal(laneName(49), "シンバル");
+    // 定義のないノート番号は最後のレーン
+    assert.equal(drumLaneOf(56), drumLanes.length - 1);
+    assert.equal(drumLaneOf(0), drumLanes.length - 1);
+});
+
+test("単純拍子は1拍を2つに分ける", () => {
+    const divisions = beatDivisionsOf([3, 4]);
+
+    assert.deepEqual(divisions.map(division => division.position), [0, 1 / 6, 2 / 6, 3 / 6, 4 / 6, 5 / 6]);
+    assert.deepEqual(divisions.map(division => division.level), [
+        "measure", "subdivision", "beat", "subdivision", "beat", "subdivision",
+    ]);
+});
+
+test("複合拍子は3つずつまとめて1拍とする", () => {
+    const levels = beatDivisionsOf([6, 8]).map(division => division.level);
+
+    assert.deepEqual(levels, ["measure", "subdivision", "subdivision", "beat", "subdivision", "subdivision"]);
+    // 3/8は1小節3拍のまま
+    assert.equal(beatDivisionsOf([3, 8]).filter(division => division.level !== "subdivision").length, 3);
+});
@@ -0,0 +1,119 @@
+// 実行: node --test test/*.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Playlist, isScoreFileName } from "../modules/playlist.js";
+
+/**
+ * @param {string[]} names
+ * @param {() => number} random
+ */
+function playlistOf(names, random = Math.random) {
+    const playlist = new Playlist(random);
+    playlist.add(names.map(name => ({ name: name })));
+    return playlist;
+}
+
+/**
+ * 決まった順に値を返す乱数
+ * @param {number} seed
+ */
+function seededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+
+test("演奏情報の拡張子のみ受け付ける", () => {
+    assert.ok(isScoreFileName("song.MID"));
+    assert.ok(isScoreFileName("score.musicxml"));
+    assert.ok(isScoreFileName("tune.abc"));
+    assert.ok(!isScoreFileName("cover.jpg"));
+    assert.ok(!isScoreFileName("README"));
+});
+
+test("繰り返しなしでは最後の曲で止まり、全曲の繰り返しでは先頭へ戻る", () => {
+    const playlist = playlistOf(["a.mid", "b.mid", "c.mid"]);
+    playlist.repeat = "off";
+    playlist.select(1);
+
+    assert.equal(playlist.next(true), 2);
+    assert.equal(playlist.next(true), -1);
+    assert.equal(playlist.index, 2);
+    assert.equal(playlist.previous(), 1);
+
+    playlist.repeat = "all";
+    playlist.select(2);
+    assert.equal(playlist.next(true), 0);
+    assert.equal(playlist.previous(), 2);
+});
+
+test("1曲の繰り返しでは曲の終わりでは同じ曲、操作では次の曲を選ぶ", () => {
+    const playlist = playlistOf(["a.mid", "b.mid"]);
+    playlist.repeat = "one";
+    playlist.select(0);
+
+    assert.equal(playlist.next(true), 0);
+    assert.equal(playlist.next(), 1);
+});
+
+test("並べ替え・削除しても選択中の曲を指す", () => {
+    const playlist = playlistOf(["a.mid", "b.mid", "c.mid", "d.mid"]);
+    playlist.select(1);
+
+    playlist.move(1, 3);
+    assert.equal(playlist.current.name, "b.mid");
+    assert.deepEqual(playlist.entries.map(entry => entry.name), ["a.mid", "c.mid", "d.mid", "b.mid"]);
+    playlist.move(0, 2);
+    assert.equal(playlist.index, 3);
+    // 範囲外へは動かさない
+    playlist.move(3, 4);
+    assert.equal(playlist.index, 3);
+
+    playlist.remove(0);
+    assert.equal(playlist.current.name, "b.mid");
+    playlist.remove(playlist.index);
+    assert.equal(playlist.current, null);
+    assert.equal(playlist.next(), 0);
+});
+
+test("シャッフルでは一巡するまで同じ曲を選ばない", () => {
+    const names = ["a", "b", "c", "d", "e", "f", "g"];
+    const playlist = playlistOf(names, seededRandom(1));
+    playlist.select(2);
+    playlist.repeat = "shuffle";
+
+    for (let cycle = 0; cycle < 5; ++cycle) {
+        const played = [playlist.current.name];
+        for (let count = 1; count < names.length; ++count) {
+            played.push(playlist.entries[playlist.next(true)].name);
+        }
+        assert.deepEqual(played.slice().sort(), names);
+
+        // 並べ直しても直前の曲は続けない
+        const last = playlist.index;
+        assert.notEqual(playlist.next(true), last);
+    }
+});
+
+test("シャッフル中に追加した曲はこの一巡で再生する", () => {
+    const playlist = playlistOf(["a", "b", "c"], seededRandom(7));
+    playlist.select(0);
+    playlist.repeat = "shuffle";
+    playlist.next(true);
+    playlist.add([{ name: "d" }, { name: "e" }]);
+
+    const played = [];
+    for (let count = 0; count < 3; ++count) {
+        played.push(playlist.entries[playlist.next(true)].name);
+    }
+    assert.ok(played.includes("d") && played.includes("e"), played.join());
+    // 再生済みの曲へ戻れる
+    playlist.previous();
+    playlist.previous();
+    playlist.previous();
+    assert.equal(playlist.previous(), playlist.entries.findIndex(entry => entry.name === "a"));
+});
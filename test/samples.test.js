@@ -0,0 +1,53 @@
+// 実行: node --test test/*.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, readFileSync } from "node:fs";
+
+import { hasSampleFor } from "../modules/sampleLibrary.js";
+
+const manifestUrl = new URL("../samples/index.json", import.meta.url);
+
+/**
+ * Midi.jsの楽器の分類
+ */
+const gmFamilies = [
+    "piano", "chromatic percussion", "organ", "guitar", "bass", "strings", "ensemble", "brass",
+    "reed", "pipe", "synth lead", "synth pad", "synth effects", "world", "percussive", "sound effects",
+];
+
+
+test("サンプルの一覧のファイルが全て同梱されている", () => {
+    const manifest = JSON.parse(readFileSync(manifestUrl, "utf8"));
+    const paths = [
+        ...Object.values(manifest.instruments).flatMap(notes => Object.values(notes)),
+        ...Object.values(manifest.drums),
+    ];
+    for (const path of paths) {
+        assert.ok(existsSync(new URL(path, manifestUrl)), path);
+    }
+});
+
+test("分類・音色番号の割り当て先の楽器が一覧にある", () => {
+    const manifest = JSON.parse(readFileSync(manifestUrl, "utf8"));
+    for (const [family, name] of Object.entries(manifest.families)) {
+        assert.ok(gmFamilies.includes(family), family);
+        assert.ok(name in manifest.instruments, name);
+    }
+    for (const name of Object.values(manifest.programs || {})) {
+        assert.ok(name in manifest.instruments, name);
+    }
+    // 基本のドラムは揃っている
+    for (const drum of ["kick", "snare", "hihat", "crash", "ride", "tom-low"]) {
+        assert.ok(drum in manifest.drums, drum);
+    }
+});
+
+test("サンプルの無い打楽器は近いサンプルで代用しない", () => {
+    const buffers = { 36: "kick", 42: "hihat" };
+    assert.ok(hasSampleFor(buffers, true, 36));
+    // GM2で追加された打楽器など
+    assert.ok(!hasSampleFor(buffers, true, 27));
+    assert.ok(!hasSampleFor(buffers, true, 86));
+    // 音程のある楽器は音高を変えて鳴らす
+    assert.ok(hasSampleFor({ 57: "A3" }, false, 60));
+});
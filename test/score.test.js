@@ -0,0 +1,168 @@
+// 実行: node --test test/*.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+import { readFileSync } from "node:fs";
+
+import { Score } from "../modules/score.js";
+
+const require = createRequire(import.meta.url);
+const { Midi } = require("../third-parties/Midi/Midi.js");
+
+/**
+ * @param {string} name
+ * @returns {Midi}
+ */
+function loadMidi(name) {
+    return new Midi(readFileSync(new URL(`fixtures/${name}`, import.meta.url)));
+}
+
+/**
+ * @param {number} actual
+ * @param {number} expected
+ */
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} !== ${expected}`);
+}
+
+/**
+ * @param {number[]} actual
+ * @param {number[]} expected
+ */
+function assertCloseArray(actual, expected) {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((value, index) => assertClose(value, expected[index]));
+}
+
+
+test("ノートとパーカッションを分けて時刻順に並べる", () => {
+    const score = new Score("drums", loadMidi("drums.mid"));
+
+    assert.deepEqual(score.notes.map(note => note.midi), [60, 67]);
+    assert.deepEqual(score.percussions.map(note => note.midi), [36, 42, 38, 42]);
+    assert.ok(score.percussions.every(note => note.trackIndex === 1));
+    assert.ok(score.tracks[1].instrument.percussion);
+    assert.ok(!score.tracks[0].instrument.percussion);
+});
+
+test("パーカッションの長さは一定にし、曲の長さには元の長さを用いる", () => {
+    const score = new Score("drums", loadMidi("drums.mid"));
+
+    assert.ok(score.percussions.every(note => note.duration === 0.1));
+    assertClose(score.duration, 1.5);
+});
+
+test("音名を付ける", () => {
+    const score = new Score("drums", loadMidi("drums.mid"));
+    const note = score.notes[1];
+
+    assert.equal(note.name, "G4");
+    assert.equal(note.pitch, "G");
+    assert.equal(note.octave, 4);
+});
+
+test("テンポ変化を含む時刻がMidi.jsと一致する", () => {
+    const midi = loadMidi("tempo.mid");
+    const score = new Score("tempo", midi);
+
+    assert.deepEqual(score.notes.map(note => note.time), midi.tracks[0].notes.map(note => note.time));
+    assert.deepEqual(score.notes.map(note => note.time), [0, 1, 2, 4]);
+    for (const ticks of [0, 240, 1920, 2000, 5000]) {
+        assertClose(score.ticksToSeconds(ticks), midi.header.ticksToSeconds(ticks));
+    }
+    for (const seconds of [0, 0.3, 2, 3.7]) {
+        assert.equal(score.secondsToTicks(seconds), midi.header.secondsToTicks(seconds));
+    }
+    assert.equal(score.tempoAt(1.9), 120);
+    assert.equal(score.tempoAt(2.0), 60);
+});
+
+test("toJSON()の結果からも同じ演奏情報を作る", () => {
+    const midi = loadMidi("tempo.mid");
+    const fromMidi = new Score("tempo", midi);
+    const fromJson = new Score("tempo", midi.toJSON());
+
+    assert.deepEqual(fromJson.header, fromMidi.header);
+    assert.deepEqual(fromJson.notes, fromMidi.notes);
+});
+
+test("補正前の小節位置がMidi.jsと一致する", () => {
+    const midi = loadMidi("meter.mid");
+    const score = new Score("meter", midi);
+
+    for (const ticks of [0, 480, 1440, 2000, 4000]) {
+        assertClose(score.ticksToMeasures(ticks), midi.header.ticksToMeasures(ticks));
+    }
+});
+
+test("小節の途中で拍子が変わる場合は次の小節の頭に繰り上げる", () => {
+    const score = new Score("meter", loadMidi("meter.mid"));
+
+    // 4/4の3拍目の後で3/4に変わる
+    assertCloseArray(score.notes.map(note => note.measures), [1, 1.25, 1.5, 2, 2 + 1 / 3, 2 + 2 / 3, 3, 3 + 1 / 3]);
+    // 繰り上げても小節位置は時刻順のまま
+    for (let ticks = 0; ticks < 4000; ticks += 120) {
+        assert.ok(score.ticksToFixedMeasures(ticks) < score.ticksToFixedMeasures(ticks + 120));
+    }
+});
+
+test("補正後の小節位置からtickに戻す", () => {
+    for (const name of ["tempo.mid", "meter.mid", "drums.mid"]) {
+        const score = new Score(name, loadMidi(name));
+        for (let ticks = 0; ticks < 4000; ticks += 120) {
+            assert.equal(score.fixedMeasuresToTicks(score.ticksToFixedMeasures(ticks)), ticks, `${name} ${ticks}`);
+        }
+    }
+});
+
+test("小節番号・拍番号", () => {
+    const meter = new Score("meter", loadMidi("meter.mid"));
+    assert.deepEqual(meter.positionAt(0.0), { measure: 1, beat: 1 });
+    assert.deepEqual(meter.positionAt(1.0), { measure: 1, beat: 3 });
+    assert.deepEqual(meter.positionAt(1.5), { measure: 2, beat: 1 });
+    assert.deepEqual(meter.positionAt(3.0), { measure: 3, beat: 1 });
+    assertClose(meter.measureToSeconds(3), 3.0);
+
+    // 拍子記号がない場合も1小節目から数える
+    const drums = new Score("drums", loadMidi("drums.mid"));
+    assert.deepEqual(drums.positionAt(0.0), { measure: 1, beat: 1 });
+    assert.deepEqual(drums.positionAt(2.5), { measure: 2, beat: 2 });
+    assertClose(drums.measureToSeconds(2), 2.0);
+});
+
+test("サステインペダルを離すまでノートを伸ばす", () => {
+    const score = new Score("sustain", loadMidi("sustain.mid"));
+
+    assert.deepEqual(score.notes.map(note => note.duration), [2, 1, 1]);
+    assert.equal(score.controlChangeAt(0, 64, 1.0, 0), 1);
+    assert.equal(score.controlChangeAt(0, 64, 2.0, 0), 0);
+    // 最後のノートを離した後のペダルの分まで曲の長さに含める
+    assertClose(score.duration, 3.5);
+});
+
+test("ペダルを離さない場合はトラックの最後のイベントまで伸ばす", () => {
+    const midi = new Midi();
+    midi.header.tempos.push({ ticks: 0, bpm: 120 });
+    midi.header.update();
+    const track = midi.addTrack();
+    track.addCC({ number: 64, ticks: 0, value: 1.0 });
+    track.addNote({ midi: 60, ticks: 0, durationTicks: 240, velocity: 0.7 });
+    track.addNote({ midi: 64, ticks: 480, durationTicks: 480, velocity: 0.7 });
+    track.addCC({ number: 7, ticks: 1440, value: 0.5 });
+    const score = new Score("sustain", midi);
+
+    assert.deepEqual(score.notes.map(note => note.duration), [1.5, 1]);
+    assertClose(score.duration, 1.5);
+});
+
+test("RPNで指定したベンド幅でピッチベンドを半音単位にする", () => {
+    const score = new Score("pitchbend", loadMidi("pitchbend.mid"));
+
+    assert.equal(score.tracks[0].pitchBendRange, 12);
+    assert.equal(score.pitchBendAt(0, 0.5), 0);
+    assert.equal(score.pitchBendAt(0, 1.0), 6);
+
+    // 指定がない場合は2半音
+    const tempo = new Score("tempo", loadMidi("tempo.mid"));
+    assert.equal(tempo.tracks[0].pitchBendRange, 2);
+});
@@ -0,0 +1,66 @@
+// 実行: node --test test/*.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+import { Score } from "../modules/score.js";
+import { Vocal } from "../modules/tune.js";
+import { installFakeTone } from "./fakeTone.js";
+
+const require = createRequire(import.meta.url);
+// toMidiは画面と同じく大域のMidiを使う
+globalThis.Midi = require("../third-parties/Midi/Midi.js").Midi;
+
+/**
+ * テンポ・拍子の変化、メロディ・ベース・ドラムのトラックを持つ演奏情報
+ * @returns {Score}
+ */
+function testScore() {
+    const midi = new Midi();
+    midi.header.tempos.push({ ticks: 0, bpm: 120 }, { ticks: 1920, bpm: 90 });
+    midi.header.timeSignatures.push({ ticks: 0, timeSignature: [4, 4] }, { ticks: 1920, timeSignature: [3, 4] });
+    midi.header.update();
+    for (const [name, channel, program, pitches] of [["Melody", 0, 0, [60, 126]], ["Bass", 1, 33, [36]], ["Drums", 9, 0, [36, 42]]]) {
+        const track = midi.addTrack();
+        track.name = name;
+        track.channel = channel;
+        track.instrument.number = program;
+        pitches.forEach((pitch, index) => {
+            track.addNote({ midi: pitch, ticks: 480 * index, durationTicks: 480, velocity: 0.5 });
+        });
+    }
+    midi.tracks[0].addCC({ number: 7, ticks: 960, value: 0.5 });
+    return new Score("test.mid", midi);
+}
+
+
+test("書き出したMIDIファイルは移調を反映し、テンポ・拍子を保つ", async () => {
+    installFakeTone();
+    const vocal = new Vocal();
+    await vocal.apply(testScore());
+    vocal.key = 2.6;
+    vocal.setTrackMuted(1, true);
+
+    const midi = new Midi(vocal.toMidi().toArray());
+
+    // 消音したトラックは含めない
+    assert.deepEqual(midi.tracks.map(track => track.name), ["Melody", "Drums"]);
+    // 移調量は半音に丸め、範囲外は127に収める。パーカッションは移調しない
+    assert.deepEqual(midi.tracks[0].notes.map(note => [note.midi, note.ticks, note.durationTicks]), [[63, 0, 480], [127, 480, 480]]);
+    assert.deepEqual(midi.tracks[1].notes.map(note => note.midi), [36, 42]);
+    assert.equal(midi.tracks[1].channel, 9);
+    assert.equal(midi.tracks[0].controlChanges[7][0].ticks, 960);
+
+    assert.deepEqual(midi.header.tempos.map(event => [event.ticks, Math.round(event.bpm)]), [[0, 120], [1920, 90]]);
+    assert.deepEqual(midi.header.timeSignatures.map(event => [event.ticks, event.timeSignature]), [[0, [4, 4]], [1920, [3, 4]]]);
+});
+
+test("ソロ演奏中はソロのトラックのみ書き出す", async () => {
+    installFakeTone();
+    const vocal = new Vocal();
+    await vocal.apply(testScore());
+    vocal.setTrackSoloed(2, true);
+
+    const midi = new Midi(vocal.toMidi().toArray());
+    assert.deepEqual(midi.tracks.map(track => track.name), ["Drums"]);
+});
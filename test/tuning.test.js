@@ -0,0 +1,58 @@
+// 実行: node --test test/*.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Tuning } from "../modules/tuning.js";
+
+/**
+ * @param {number} actual
+ * @param {number} expected
+ */
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} !== ${expected}`);
+}
+
+/**
+ * C5（ノート番号72）の12平均律での周波数
+ */
+const c5 = 440 * Math.pow(2, 3 / 12);
+
+
+test("12平均律はA4が440Hz、半音ごとに2の12乗根倍", () => {
+    const tuning = Tuning.equalDivision(12);
+    assert.equal(tuning.name, "12-EDO");
+    assertClose(tuning.frequency(69), 440);
+    assertClose(tuning.frequency(72), c5);
+    assertClose(tuning.frequency(73) / tuning.frequency(72), Math.pow(2, 1 / 12));
+});
+
+test("19・31平均律は基準音から1段ごとに1オクターブの19・31分の1", () => {
+    for (const divisions of [19, 31]) {
+        const tuning = Tuning.equalDivision(divisions, 60);
+        assert.equal(tuning.octaveSteps, divisions);
+        // 基準音は12平均律と同じ周波数
+        assertClose(tuning.frequency(60), c5 / 2);
+        assertClose(tuning.frequency(61), c5 / 2 * Math.pow(2, 1 / divisions));
+        // ノート番号をdivisions進めると1オクターブ
+        assertClose(tuning.frequency(60 + divisions), c5);
+        assertClose(tuning.frequency(60 - divisions), c5 / 4);
+    }
+});
+
+test("純正律は基準音からの5リミットの音程比", () => {
+    const tuning = Tuning.justIntonation(72);
+    const ratios = [[0, 1], [2, 9 / 8], [4, 5 / 4], [5, 4 / 3], [7, 3 / 2], [9, 5 / 3], [11, 15 / 8]];
+    for (const [steps, ratio] of ratios) {
+        assertClose(tuning.frequency(72 + steps), c5 * ratio);
+    }
+    // オクターブ上下も同じ比
+    assertClose(tuning.frequency(72 + 12 + 4), c5 * 2 * 5 / 4);
+    assertClose(tuning.frequency(72 - 12 + 7), c5 / 2 * 3 / 2);
+    // 基準音より下の短3度は長6度の1オクターブ下
+    assertClose(tuning.frequency(72 - 3), c5 / 2 * 5 / 3);
+});
+
+test("小数のノート番号は最も近い段に丸める", () => {
+    const tuning = Tuning.justIntonation(72);
+    assertClose(tuning.frequency(75.4), c5 * 6 / 5);
+});
@@ -0,0 +1,57 @@
+// 実行: node --test test/*.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { audioBufferToWav } from "../modules/wav.js";
+
+/**
+ * AudioBufferと同じ形のチャンネルごとのサンプル列
+ * @param {number[][]} channels
+ * @param {number} sampleRate
+ */
+function fakeAudioBuffer(channels, sampleRate) {
+    return {
+        numberOfChannels: channels.length,
+        sampleRate: sampleRate,
+        length: channels[0].length,
+        getChannelData: channel => Float32Array.from(channels[channel]),
+    };
+}
+
+/**
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} length
+ */
+function readAscii(view, offset, length) {
+    return String.fromCharCode(...Array.from({ length: length }, (_, index) => view.getUint8(offset + index)));
+}
+
+
+test("16bitリニアPCMのヘッダを書き出す", async () => {
+    const blob = audioBufferToWav(fakeAudioBuffer([[0, 0, 0], [0, 0, 0]], 48000));
+    assert.equal(blob.type, "audio/wav");
+    const view = new DataView(await blob.arrayBuffer());
+
+    assert.equal(view.byteLength, 44 + 3 * 2 * 2);
+    assert.equal(readAscii(view, 0, 4), "RIFF");
+    assert.equal(view.getUint32(4, true), view.byteLength - 8);
+    assert.equal(readAscii(view, 8, 8), "WAVEfmt ");
+    assert.equal(view.getUint32(16, true), 16);
+    assert.equal(view.getUint16(20, true), 1);
+    assert.equal(view.getUint16(22, true), 2);
+    assert.equal(view.getUint32(24, true), 48000);
+    assert.equal(view.getUint32(28, true), 48000 * 4);
+    assert.equal(view.getUint16(32, true), 4);
+    assert.equal(view.getUint16(34, true), 16);
+    assert.equal(readAscii(view, 36, 4), "data");
+    assert.equal(view.getUint32(40, true), 12);
+});
+
+test("チャンネルを交互に並べ、範囲外の値は丸める", async () => {
+    const blob = audioBufferToWav(fakeAudioBuffer([[0.0, 1.0, 2.0], [-1.0, -0.5, -3.0]], 44100));
+    const view = new DataView(await blob.arrayBuffer());
+
+    const samples = Array.from({ length: 6 }, (_, index) => view.getInt16(44 + 2 * index, true));
+    assert.deepEqual(samples, [0, -32768, 32767, -16384, 32767, -32768]);
+});
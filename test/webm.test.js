@@ -0,0 +1,113 @@
+// 実行: node --test test/*.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { WebMWriter } from "../modules/webm.js";
+
+/**
+ * EBMLの可変長整数を読む
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {boolean} keepMarker 識別子として読む（長さを表すビットを残す）
+ */
+function readVint(bytes, offset, keepMarker) {
+    let length = 1;
+    while (!(bytes[offset] & (0x80 >> (length - 1)))) {
+        ++length;
+    }
+    let value = keepMarker ? bytes[offset] : bytes[offset] & (0xFF >> length);
+    for (let index = 1; index < length; ++index) {
+        value = value * 256 + bytes[offset + index];
+    }
+    return { value: value, length: length };
+}
+
+/**
+ * 要素を木に分解する（マスター要素は中身も分解する）
+ * @param {Uint8Array} bytes
+ * @returns {{ id: number, data: Uint8Array, children?: any[] }[]}
+ */
+function parseElements(bytes) {
+    const masters = [0x1A45DFA3, 0x18538067, 0x1549A966, 0x1654AE6B, 0xAE, 0xE0, 0x1F43B675];
+    const elements = [];
+    let offset = 0;
+    while (offset < bytes.length) {
+        const id = readVint(bytes, offset, true);
+        const size = readVint(bytes, offset + id.length, false);
+        const start = offset + id.length + size.length;
+        const data = bytes.subarray(start, start + size.value);
+        const element = { id: id.value, data: data };
+        if (masters.includes(id.value)) {
+            element.children = parseElements(data);
+        }
+        elements.push(element);
+        offset = start + size.value;
+    }
+    assert.equal(offset, bytes.length);
+    return elements;
+}
+
+/**
+ * @param {Uint8Array} data
+ */
+function readUint(data) {
+    return data.reduce((value, byte) => value * 256 + byte, 0);
+}
+
+/**
+ * @param {{ id: number }[]} elements
+ * @param {number} id
+ */
+function find(elements, id) {
+    return elements.find(element => element.id === id);
+}
+
+
+test("フレーム番号から求めた時刻で格納する", () => {
+    const frameRate = 30;
+    const writer = new WebMWriter({ codecId: "V_VP9", width: 640, height: 360, frameRate: frameRate });
+    for (let frameIndex = 0; frameIndex < 6; ++frameIndex) {
+        writer.addFrame(new Uint8Array([frameIndex, 0xAA]), Math.round(frameIndex * 1e6 / frameRate), frameIndex % 3 === 0);
+    }
+
+    const [header, segment] = parseElements(writer.toArray());
+    assert.equal(new TextDecoder().decode(find(header.children, 0x4282).data), "webm");
+
+    const trackEntry = find(find(segment.children, 0x1654AE6B).children, 0xAE);
+    assert.equal(new TextDecoder().decode(find(trackEntry.children, 0x86).data), "V_VP9");
+    const video = find(trackEntry.children, 0xE0);
+    assert.equal(readUint(find(video.children, 0xB0).data), 640);
+    assert.equal(readUint(find(video.children, 0xBA).data), 360);
+
+    const info = find(segment.children, 0x1549A966);
+    const duration = find(info.children, 0x4489).data;
+    assert.equal(new DataView(duration.buffer, duration.byteOffset).getFloat64(0), 167 + 1000 / 30);
+
+    // キーフレームごとにクラスタを分ける
+    const clusters = segment.children.filter(element => element.id === 0x1F43B675);
+    assert.equal(clusters.length, 2);
+    const blocks = clusters.flatMap(cluster => {
+        const clusterTime = readUint(find(cluster.children, 0xE7).data);
+        return cluster.children.filter(element => element.id === 0xA3).map(block => ({
+            time: clusterTime + new DataView(block.data.buffer, block.data.byteOffset).getInt16(1),
+            keyFrame: (block.data[3] & 0x80) !== 0,
+            frame: block.data[4],
+        }));
+    });
+    assert.deepEqual(blocks.map(block => block.time), [0, 33, 67, 100, 133, 167]);
+    assert.deepEqual(blocks.map(block => block.keyFrame), [true, false, false, true, false, false]);
+    assert.deepEqual(blocks.map(block => block.frame), [0, 1, 2, 3, 4, 5]);
+});
+
+test("相対時刻が収まらない場合はクラスタを分ける", () => {
+    const writer = new WebMWriter({ codecId: "V_VP8", width: 2, height: 2, frameRate: 1 });
+    for (let second = 0; second < 40; ++second) {
+        writer.addFrame(new Uint8Array(200), second * 1e6, second === 0);
+    }
+
+    const [, segment] = parseElements(writer.toArray());
+    const clusterTimes = segment.children
+        .filter(element => element.id === 0x1F43B675)
+        .map(cluster => readUint(find(cluster.children, 0xE7).data));
+    assert.deepEqual(clusterTimes, [0, 33000]);
+});